@@ -0,0 +1,154 @@
+#!/usr/bin/env node
+
+// Fake Docker Engine API for trying the CLI and dashboard without a Docker daemon.
+// Serves the endpoints synchronize uses over a unix socket (or TCP port), with one
+// synchronizer container that prints proxy-connected and then a stats line every few seconds.
+//
+//   node docker-api-stub.js [socket-or-port]
+//   DOCKER_HOST=unix:///tmp/docker-stub.sock synchronize status
+//
+// STUB_CONTAINER  container name (default synchronizer-cli)
+// STUB_STOPPED=1  report the container as stopped; followed logs end right away
+// STUB_DROP_MS    destroy followed log streams after this many ms, like a daemon restart
+
+const http = require('http');
+const fs = require('fs');
+
+const listenOn = process.argv[2] || '/tmp/docker-stub.sock';
+const containerName = process.env.STUB_CONTAINER || 'synchronizer-cli';
+const running = process.env.STUB_STOPPED !== '1';
+const dropAfterMs = Number(process.env.STUB_DROP_MS) || 0;
+const image = 'cdrakep/synqchronizer:latest';
+const imageDigest = 'sha256:' + 'ab'.repeat(32);
+const startedAt = new Date(Date.now() - 10 * 60 * 1000).toISOString();
+
+const container = {
+  Id: 'f'.repeat(64),
+  Name: `/${containerName}`,
+  Image: 'sha256:' + 'cd'.repeat(32),
+  RestartCount: 0,
+  Config: { Image: image, Tty: false },
+  State: { Running: running, Status: running ? 'running' : 'exited', StartedAt: startedAt },
+  HostConfig: { AutoRemove: false, RestartPolicy: { Name: 'unless-stopped' } }
+};
+
+// Non-TTY containers stream multiplexed frames: stream type, three zero bytes, payload length
+function frame(text, stream = 1) {
+  const payload = Buffer.from(text);
+  const header = Buffer.alloc(8);
+  header[0] = stream;
+  header.writeUInt32BE(payload.length, 4);
+  return Buffer.concat([header, payload]);
+}
+
+function logLine(text, timestamps) {
+  return frame(`${timestamps ? `${new Date().toISOString()} ` : ''}${text}\n`);
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function handleLogs(req, res, query) {
+  const timestamps = query.get('timestamps') === '1';
+  res.writeHead(200, { 'Content-Type': 'application/vnd.docker.raw-stream' });
+  res.write(logLine('Starting synchronizer', timestamps));
+  res.write(frame('warning: no wallet balance cached\n', 2));
+  res.write(logLine('proxy-connected', timestamps));
+
+  if (query.get('follow') !== '1' || !running) {
+    res.end();
+    return;
+  }
+
+  let traffic = 0;
+  const timer = setInterval(() => {
+    traffic += 1024;
+    res.write(logLine(JSON.stringify({ syncLifePoints: traffic / 1024, syncLifeTraffic: traffic }), timestamps));
+  }, 3000);
+  res.on('close', () => {
+    clearInterval(timer);
+    console.log('log stream closed');
+  });
+
+  if (dropAfterMs) {
+    setTimeout(() => req.socket.destroy(), dropAfterMs);
+  }
+}
+
+function handlePull(res, query) {
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  const tag = query.get('tag') || 'latest';
+  const messages = [
+    { status: `Pulling from ${query.get('fromImage')}`, id: tag },
+    { status: 'Downloading', id: 'layer1', progressDetail: { current: 512, total: 1024 } },
+    { status: 'Download complete', id: 'layer1' },
+    { status: `Digest: ${imageDigest}` },
+    { status: `Status: Image is up to date for ${query.get('fromImage')}:${tag}` }
+  ];
+  messages.forEach((message, index) => {
+    setTimeout(() => {
+      res.write(`${JSON.stringify(message)}\n`);
+      if (index === messages.length - 1) {
+        res.end();
+      }
+    }, index * 200);
+  });
+}
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, 'http://docker');
+  const apiPath = url.pathname.replace(/^\/v[\d.]+/, '');
+  console.log(`${req.method} ${req.url}`);
+
+  if (apiPath === '/_ping') {
+    res.end('OK');
+  } else if (apiPath === '/containers/json') {
+    const filters = JSON.parse(url.searchParams.get('filters') || '{}');
+    const wanted = (filters.name || []).every(name => containerName.includes(name));
+    const listed = wanted && (running || url.searchParams.get('all') === '1');
+    sendJson(res, 200, listed ? [{ Id: container.Id, Names: [`/${containerName}`], Image: image, State: container.State.Status }] : []);
+  } else if (apiPath === `/containers/${containerName}/json`) {
+    sendJson(res, 200, container);
+  } else if (apiPath === `/containers/${containerName}/top`) {
+    sendJson(res, 200, { Titles: ['PID', 'CMD'], Processes: [['1', 'node /usr/src/synchronizer/index.js']] });
+  } else if (apiPath === `/containers/${containerName}/logs`) {
+    handleLogs(req, res, url.searchParams);
+  } else if (req.method === 'POST' && apiPath === '/images/create') {
+    handlePull(res, url.searchParams);
+  } else if (apiPath.startsWith('/images/') && apiPath.endsWith('/json')) {
+    sendJson(res, 200, { Id: container.Image, RepoTags: [image], RepoDigests: [`cdrakep/synqchronizer@${imageDigest}`] });
+  } else if (apiPath.startsWith('/containers/')) {
+    sendJson(res, 404, { message: `No such container: ${apiPath.split('/')[2]}` });
+  } else {
+    sendJson(res, 404, { message: `page not found: ${apiPath}` });
+  }
+});
+
+if (/^\d+$/.test(listenOn)) {
+  server.listen(Number(listenOn), '127.0.0.1', () => {
+    console.log(`🧪 Docker API stub on tcp://127.0.0.1:${listenOn}`);
+  });
+} else {
+  try {
+    fs.unlinkSync(listenOn);
+  } catch (error) {
+    // No stale socket to remove
+  }
+  server.listen(listenOn, () => {
+    console.log(`🧪 Docker API stub on unix://${listenOn}`);
+  });
+}
+
+process.on('SIGINT', () => process.exit(0));
+process.on('SIGTERM', () => process.exit(0));
+process.on('exit', () => {
+  if (!/^\d+$/.test(listenOn)) {
+    try {
+      fs.unlinkSync(listenOn);
+    } catch (error) {
+      // Already gone
+    }
+  }
+});
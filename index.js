@@ -7,7 +7,9 @@ const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
 const os = require('os');
-const { spawn, execSync } = require('child_process');
+const { promisify } = require('util');
+const { spawn, spawnSync, execSync } = require('child_process');
+const http = require('http');
 const express = require('express');
 const packageJson = require('./package.json');
 const fetch = require('node-fetch'); // Add node-fetch for API validation
@@ -16,1345 +18,4856 @@ const program = new Command();
 const CONFIG_DIR = path.join(os.homedir(), '.synchronizer-cli');
 const CONFIG_FILE = path.join(CONFIG_DIR, 'config.json');
 const POINTS_FILE = path.join(CONFIG_DIR, 'points.json');
+const IMAGE_STATE_FILE = path.join(CONFIG_DIR, 'image-state.json');
+const EVENTS_FILE = path.join(CONFIG_DIR, 'events.log');
+const COMPARE_FILE = path.join(CONFIG_DIR, 'compare.json');
+const EVENTS_LIMIT = 500;
+const PROFILES_DIR = path.join(CONFIG_DIR, 'profiles');
+const CONFIG_HISTORY_DIR = path.join(CONFIG_DIR, 'history');
+const CONFIG_HISTORY_LIMIT = 10;
+const DEFAULT_PROFILE = 'default';
+
+let activeProfile = DEFAULT_PROFILE;
+let runtimeOverride = null;
+let containerRuntime = null;
 
-function loadConfig() {
-  if (fs.existsSync(CONFIG_FILE)) {
-    return JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
+/**
+ * Select the configuration profile used by every command
+ * Falls back to the SYNCHRONIZER_PROFILE environment variable, then to the default profile
+ * @param {string} name Profile name from the --profile option
+ */
+function setActiveProfile(name) {
+  const profile = name || process.env.SYNCHRONIZER_PROFILE || DEFAULT_PROFILE;
+  
+  if (!/^[A-Za-z0-9][A-Za-z0-9_-]{0,31}$/.test(profile)) {
+    console.error(chalk.red(`Invalid profile name "${profile}".`));
+    console.error(chalk.yellow('Profile names may contain letters, numbers, "-" and "_" (max 32 characters).'));
+    process.exit(1);
   }
-  return {};
+  
+  activeProfile = profile;
 }
 
-function saveConfig(config) {
-  if (!fs.existsSync(CONFIG_DIR)) {
-    fs.mkdirSync(CONFIG_DIR, { recursive: true });
-  }
-  fs.writeFileSync(CONFIG_FILE, JSON.stringify(config, null, 2));
+function isDefaultProfile() {
+  return activeProfile === DEFAULT_PROFILE;
 }
 
-function loadPointsData() {
-  if (fs.existsSync(POINTS_FILE)) {
-    try {
-      return JSON.parse(fs.readFileSync(POINTS_FILE, 'utf8'));
-    } catch (error) {
-      console.log('Error loading points data, starting fresh:', error.message);
-      return createEmptyPointsData();
+/**
+ * The default profile keeps the historical config.json location,
+ * named profiles live in profiles/<name>.json
+ */
+function getConfigFile() {
+  return isDefaultProfile() ? CONFIG_FILE : path.join(PROFILES_DIR, `${activeProfile}.json`);
+}
+
+function getPointsFile() {
+  return isDefaultProfile() ? POINTS_FILE : path.join(PROFILES_DIR, `${activeProfile}.points.json`);
+}
+
+function getImageStateFile() {
+  return isDefaultProfile() ? IMAGE_STATE_FILE : path.join(PROFILES_DIR, `${activeProfile}.image-state.json`);
+}
+
+function getEventsFile() {
+  return isDefaultProfile() ? EVENTS_FILE : path.join(PROFILES_DIR, `${activeProfile}.events.log`);
+}
+
+function getCompareFile() {
+  return isDefaultProfile() ? COMPARE_FILE : path.join(PROFILES_DIR, `${activeProfile}.compare.json`);
+}
+
+/**
+ * Derive a container or systemd unit name for the active profile
+ * The default profile keeps the original names so existing installs are unaffected
+ * @param {string} baseName Name used by the default profile
+ * @returns {string} Profile-specific name
+ */
+function getProfileResourceName(baseName) {
+  return isDefaultProfile() ? baseName : `${baseName}-${activeProfile}`;
+}
+
+function getContainerName() {
+  return getProfileResourceName('synchronizer-cli');
+}
+
+/**
+ * @param {string} [kind] Optional unit flavour such as 'web' or 'monitor'
+ * @returns {string} systemd unit name (without the .service suffix)
+ */
+function getServiceName(kind) {
+  const serviceName = getProfileResourceName('synchronizer-cli');
+  return kind ? `${serviceName}-${kind}` : serviceName;
+}
+
+/**
+ * Extra CLI arguments so generated services run against the same profile
+ */
+function getProfileCliArgs() {
+  return isDefaultProfile() ? '' : ` --profile ${activeProfile}`;
+}
+
+/**
+ * Dashboard and metrics ports preferred by the active profile
+ * Profiles can set dashboardPort/metricsPort to run several dashboards side by side
+ */
+function getDashboardPorts(config) {
+  const guiPort = parseInt(config.dashboardPort, 10) || 3000;
+  const metricsPort = parseInt(config.metricsPort, 10) || guiPort + 1;
+  return { guiPort, metricsPort };
+}
+
+function listProfiles() {
+  const profiles = [];
+  
+  if (fs.existsSync(CONFIG_FILE)) {
+    profiles.push(DEFAULT_PROFILE);
+  }
+  
+  if (fs.existsSync(PROFILES_DIR)) {
+    for (const file of fs.readdirSync(PROFILES_DIR).sort()) {
+      if (file.endsWith('.json') && !file.endsWith('.points.json')) {
+        profiles.push(file.slice(0, -'.json'.length));
+      }
     }
   }
-  return createEmptyPointsData();
+  
+  return profiles;
 }
 
-function savePointsData(pointsData) {
-  if (!fs.existsSync(CONFIG_DIR)) {
-    fs.mkdirSync(CONFIG_DIR, { recursive: true });
+// Bump when the config.json layout changes and add a matching entry to CONFIG_MIGRATIONS
+const CONFIG_SCHEMA_VERSION = 3;
+const DEFAULT_DEPIN_URL = 'wss://api.multisynq.io/depin';
+const DEFAULT_IMAGE = 'cdrakep/synqchronizer:latest';
+const DEFAULT_NIGHTLY_IMAGE = 'cdrakep/synqchronizer-test-fixed:latest';
+const DEFAULT_LOG_MAX_SIZE = '10m';
+const DEFAULT_LOG_MAX_FILE = 3;
+const CONTAINER_RUNTIMES = ['docker', 'podman'];
+
+/**
+ * Known config.json fields
+ * Each entry may declare a type, whether it is required and a validate()
+ * returning an error message (or null when the value is acceptable).
+ * Secret fields are masked by `config get/list`, derived fields are
+ * maintained by the CLI and cannot be set by hand.
+ */
+const CONFIG_FIELDS = {
+  version: {
+    type: 'number',
+    required: true,
+    derived: true,
+    description: 'Config schema version'
+  },
+  userName: {
+    type: 'string',
+    description: 'Optional sync name (for your reference only)'
+  },
+  key: {
+    type: 'string',
+    required: true,
+    description: 'Synq key',
+    secret: true,
+    validate: value => validateSynqKeyFormat(value) ? null : 'must be a UUID v4 synq key'
+  },
+  wallet: {
+    type: 'string',
+    description: 'Wallet address that receives rewards'
+  },
+  account: {
+    type: 'string',
+    description: 'Optional account identifier'
+  },
+  secret: {
+    type: 'string',
+    required: true,
+    derived: true,
+    description: 'Random secret used to derive the sync hash',
+    validate: value => /^[0-9a-f]{16}$/.test(value) ? null : 'must be 16 hex characters'
+  },
+  hostname: {
+    type: 'string',
+    required: true,
+    derived: true,
+    description: 'Host the config was created for'
+  },
+  syncHash: {
+    type: 'string',
+    required: true,
+    derived: true,
+    description: 'Sync name passed to the container',
+    validate: value => /^synq-[0-9a-f]{12}$/.test(value) ? null : 'must look like synq-xxxxxxxxxxxx'
+  },
+  depin: {
+    type: 'string',
+    required: true,
+    description: 'DePIN websocket endpoint',
+    validate: value => /^wss?:\/\/\S+$/.test(value) ? null : 'must be a ws:// or wss:// URL'
+  },
+  launcher: {
+    type: 'string',
+    description: 'Launcher identifier'
+  },
+  dashboardPassword: {
+    type: 'string',
+    secret: true,
+    description: 'Web dashboard password (stored as dashboardPasswordHash)',
+    validate: value => value.length >= 4 ? null : 'must be at least 4 characters'
+  },
+  dashboardPasswordHash: {
+    type: 'string',
+    secret: true,
+    derived: true,
+    description: 'Salted scrypt hash of the web dashboard password',
+    validate: value => parsePasswordHash(value) ? null : 'is not a recognised password hash'
+  },
+  dashboardPort: {
+    type: 'number',
+    description: 'Preferred web dashboard port',
+    validate: value => Number.isInteger(value) && value > 0 && value < 65536 ? null : 'must be a valid TCP port'
+  },
+  metricsPort: {
+    type: 'number',
+    description: 'Preferred metrics server port',
+    validate: value => Number.isInteger(value) && value > 0 && value < 65536 ? null : 'must be a valid TCP port'
+  },
+  enterpriseApiKey: {
+    type: 'string',
+    secret: true,
+    description: 'Enterprise API key'
+  },
+  synchronizerId: {
+    type: 'string',
+    description: 'Enterprise synchronizer ID'
+  },
+  image: {
+    type: 'string',
+    description: `Synchronizer image: repository[:tag] or repository@sha256:<digest> (default ${DEFAULT_IMAGE})`,
+    validate: value => parseImageReference(value) ? null : 'must be repository[:tag] or repository@sha256:<digest>'
+  },
+  registryUrl: {
+    type: 'string',
+    description: 'Registry API base URL for update checks (default: derived from the image, e.g. https://registry-1.docker.io)',
+    validate: value => /^https?:\/\/[^\s/]+/.test(value) ? null : 'must be an http(s) URL'
+  },
+  nightlyImage: {
+    type: 'string',
+    description: `Image used by \`synchronize nightly\` (default ${DEFAULT_NIGHTLY_IMAGE})`,
+    validate: value => parseImageReference(value) ? null : 'must be repository[:tag] or repository@sha256:<digest>'
+  },
+  memory: {
+    type: 'string',
+    description: 'Container memory limit, e.g. 512m or 2g (default: unlimited)',
+    validate: value => /^\d+(\.\d+)?[bkmg]?$/i.test(value) ? null : 'must be a size like 512m or 2g'
+  },
+  cpus: {
+    type: 'number',
+    description: 'Number of CPUs the container may use, e.g. 1.5 (default: unlimited)',
+    validate: value => value > 0 ? null : 'must be greater than 0'
+  },
+  pidsLimit: {
+    type: 'number',
+    description: 'Maximum number of processes in the container (default: unlimited)',
+    validate: value => Number.isInteger(value) && value > 0 ? null : 'must be a positive integer'
+  },
+  logMaxSize: {
+    type: 'string',
+    description: `Rotate the container's json-file log at this size (default ${DEFAULT_LOG_MAX_SIZE})`,
+    validate: value => /^\d+[kmg]$/i.test(value) ? null : 'must be a size like 10m'
+  },
+  logMaxFile: {
+    type: 'number',
+    description: `Number of rotated log files to keep (default ${DEFAULT_LOG_MAX_FILE}, Docker only)`,
+    validate: value => Number.isInteger(value) && value >= 1 ? null : 'must be a positive integer'
+  },
+  rollbackWindow: {
+    type: 'number',
+    description: 'Seconds a newly pulled image has to reach proxy-connected before `start` rolls back (default 300, 0 disables)',
+    validate: value => Number.isInteger(value) && value >= 0 ? null : 'must be a whole number of seconds'
+  },
+  watchdogTimeout: {
+    type: 'number',
+    description: 'Minutes without proxy-connected before the watchdog restarts the synchronizer (default 10; setting it enables the watchdog in `monitor`)',
+    validate: value => value > 0 ? null : 'must be a positive number of minutes'
+  },
+  watchdogMaxRestarts: {
+    type: 'number',
+    description: 'Watchdog restarts per hour before it stops restarting (default 3)',
+    validate: value => Number.isInteger(value) && value >= 1 ? null : 'must be a positive integer'
+  },
+  runtime: {
+    type: 'string',
+    description: 'Container runtime: docker or podman (default: detected)',
+    validate: value => CONTAINER_RUNTIMES.includes(value) ? null : `must be one of ${CONTAINER_RUNTIMES.join(', ')}`
   }
-  fs.writeFileSync(POINTS_FILE, JSON.stringify(pointsData, null, 2));
-}
+};
 
-function createEmptyPointsData() {
-  return {
-    totalLifetimePoints: 0,
-    sessions: [],
-    lastUpdated: new Date().toISOString(),
-    version: '1.0'
-  };
+/**
+ * Ordered upgrade steps for older config.json layouts
+ * Configs written before the version field existed are treated as version 1
+ */
+const CONFIG_MIGRATIONS = [
+  {
+    from: 1,
+    to: 2,
+    description: 'Add schema version and fill in secret, syncHash and endpoint defaults',
+    migrate(config) {
+      const migrated = { ...config };
+      
+      // Leftover prompt flag from older init versions
+      delete migrated.setDashboardPassword;
+      if (migrated.dashboardPassword === '') {
+        delete migrated.dashboardPassword;
+      }
+      
+      migrated.hostname = migrated.hostname || os.hostname();
+      migrated.depin = migrated.depin || DEFAULT_DEPIN_URL;
+      migrated.launcher = migrated.launcher || 'cli';
+      
+      // Hand-written configs (e.g. startup-synchronizer-service.sh) have no secret or syncHash
+      if (!migrated.secret) {
+        migrated.secret = crypto.randomBytes(8).toString('hex');
+        delete migrated.syncHash;
+      }
+      if (!migrated.syncHash) {
+        migrated.syncHash = generateSyncHash(migrated.userName, migrated.secret, migrated.hostname);
+      }
+      
+      return migrated;
+    }
+  },
+  {
+    from: 2,
+    to: 3,
+    description: 'Encrypt secrets at rest and hash the dashboard password',
+    migrate(config) {
+      // saveConfig() encrypts key/enterpriseApiKey, only the password needs converting here
+      const migrated = { ...config };
+      if (migrated.dashboardPassword) {
+        migrated.dashboardPasswordHash = hashDashboardPassword(migrated.dashboardPassword);
+      }
+      delete migrated.dashboardPassword;
+      return migrated;
+    }
+  }
+];
+
+/**
+ * Apply every pending migration to a config object
+ * @param {object} config Config as read from disk
+ * @returns {{config: object, fromVersion: number, applied: string[]}} Migrated config and the steps that ran
+ */
+function migrateConfig(config) {
+  const fromVersion = config.version || 1;
+  let migrated = config;
+  const applied = [];
+  
+  for (const migration of CONFIG_MIGRATIONS) {
+    if ((migrated.version || 1) === migration.from) {
+      migrated = { ...migration.migrate(migrated), version: migration.to };
+      applied.push(`v${migration.from} → v${migration.to}: ${migration.description}`);
+    }
+  }
+  
+  return { config: migrated, fromVersion, applied };
 }
 
-function authenticateRequest(req, res, next) {
-  const config = loadConfig();
+/**
+ * Check a config object against CONFIG_FIELDS
+ * @param {object} config Config to validate
+ * @returns {Array<{field: string, level: string, message: string}>} Problems found (empty when valid)
+ */
+function validateConfig(config) {
+  const problems = [];
   
-  // If no password is set, allow access
-  if (!config.dashboardPassword) {
-    return next();
+  for (const [field, definition] of Object.entries(CONFIG_FIELDS)) {
+    const value = config[field];
+    
+    if (value === undefined || value === null || value === '') {
+      if (definition.required) {
+        problems.push({ field, level: 'error', message: 'is missing' });
+      }
+      continue;
+    }
+    
+    if (typeof value !== definition.type) {
+      problems.push({ field, level: 'error', message: `must be a ${definition.type}` });
+      continue;
+    }
+    
+    const message = definition.validate ? definition.validate(value) : null;
+    if (message) {
+      problems.push({ field, level: 'error', message });
+    }
   }
   
-  const auth = req.headers.authorization;
-  
-  if (!auth || !auth.startsWith('Basic ')) {
-    res.setHeader('WWW-Authenticate', 'Basic realm="Synchronizer Dashboard"');
-    res.status(401).send('Authentication required');
-    return;
+  if (!config.wallet && !config.account) {
+    problems.push({ field: 'wallet', level: 'warning', message: 'is not set and neither is account - rewards cannot be credited' });
+  } else if (typeof config.wallet === 'string' && config.wallet) {
+    const walletResult = validateWalletAddress(config.wallet);
+    if (!walletResult.valid) {
+      problems.push({ field: 'wallet', level: 'warning', message: `is not a valid address: ${walletResult.error}` });
+    }
   }
   
-  const credentials = Buffer.from(auth.slice(6), 'base64').toString();
-  const [username, password] = credentials.split(':');
+  if (config.version > CONFIG_SCHEMA_VERSION) {
+    problems.push({ field: 'version', level: 'warning', message: `was written by a newer synchronizer-cli (schema v${config.version})` });
+  }
   
-  // Simple authentication - username can be anything, password must match
-  if (password === config.dashboardPassword) {
-    req.authenticated = true;
-    return next();
+  for (const field of Object.keys(config)) {
+    if (!CONFIG_FIELDS[field]) {
+      problems.push({ field, level: 'warning', message: 'is not a known setting' });
+    }
   }
   
-  res.setHeader('WWW-Authenticate', 'Basic realm="Synchronizer Dashboard"');
-  res.status(401).send('Invalid credentials');
+  return problems;
 }
 
-function generateSyncHash(userName, secret, hostname) {
-  const input = `${userName || ''}:${hostname}:${secret}`;
-  const hash = crypto.createHash('sha256').update(input).digest('hex');
-  return `synq-${hash.slice(0, 12)}`;
+/**
+ * Read and parse the active profile's config file without migrating it
+ * @returns {object|null} Parsed config, or null when no config file exists
+ */
+function readConfigFile() {
+  const configFile = getConfigFile();
+  if (!fs.existsSync(configFile)) {
+    return null;
+  }
+  
+  try {
+    return JSON.parse(fs.readFileSync(configFile, 'utf8'));
+  } catch (error) {
+    throw new Error(`${configFile} is not valid JSON: ${error.message}`);
+  }
 }
 
-function detectNpxPath() {
-  try {
-    // Try to find npx using 'which' command
-    const npxPath = execSync('which npx', { encoding: 'utf8', stdio: 'pipe' }).trim();
-    if (npxPath && fs.existsSync(npxPath)) {
-      return npxPath;
+// Fields encrypted at rest; dashboardPassword is hashed instead
+const ENCRYPTED_CONFIG_FIELDS = ['key', 'enterpriseApiKey'];
+const ENCRYPTED_VALUE_PREFIX = 'enc:v1';
+const MACHINE_KEY_FILE = path.join(CONFIG_DIR, '.machine-key');
+const derivedKeyCache = new Map();
+
+/**
+ * Stable per-machine material for the at-rest encryption key
+ * Uses the OS machine id where available, otherwise a random key file created on first use
+ * @returns {string} Machine-bound secret material
+ */
+function getMachineSecret() {
+  for (const idFile of ['/etc/machine-id', '/var/lib/dbus/machine-id']) {
+    try {
+      const machineId = fs.readFileSync(idFile, 'utf8').trim();
+      if (machineId) {
+        return machineId;
+      }
+    } catch (error) {
+      // Try the next location
     }
-  } catch (error) {
-    // 'which' failed, try other methods
   }
   
-  try {
-    // Try to find npm and assume npx is in the same directory
-    const npmPath = execSync('which npm', { encoding: 'utf8', stdio: 'pipe' }).trim();
-    if (npmPath) {
-      const npxPath = npmPath.replace(/npm$/, 'npx');
-      if (fs.existsSync(npxPath)) {
-        return npxPath;
+  if (os.platform() === 'darwin') {
+    try {
+      const ioreg = execSync('ioreg -rd1 -c IOPlatformExpertDevice', { encoding: 'utf8', stdio: 'pipe' });
+      const match = ioreg.match(/"IOPlatformUUID" = "([^"]+)"/);
+      if (match) {
+        return match[1];
       }
+    } catch (error) {
+      // Fall back to the key file
     }
-  } catch (error) {
-    // npm not found either
   }
   
-  // Common fallback locations
-  const fallbackPaths = [
-    '/usr/bin/npx',
-    '/usr/local/bin/npx',
-    '/opt/homebrew/bin/npx',
-    path.join(os.homedir(), '.npm-global/bin/npx'),
-    path.join(os.homedir(), '.nvm/current/bin/npx')
-  ];
-  
-  for (const fallbackPath of fallbackPaths) {
-    if (fs.existsSync(fallbackPath)) {
-      return fallbackPath;
+  if (!fs.existsSync(MACHINE_KEY_FILE)) {
+    fs.mkdirSync(CONFIG_DIR, { recursive: true });
+    fs.writeFileSync(MACHINE_KEY_FILE, crypto.randomBytes(32).toString('hex'), { mode: 0o600 });
+  }
+  return fs.readFileSync(MACHINE_KEY_FILE, 'utf8').trim();
+}
+
+/**
+ * Derive the AES key for an encrypted config value
+ * SYNCHRONIZER_PASSPHRASE selects a passphrase-derived key, otherwise the key is bound to this machine
+ * @param {string} kdf 'machine' or 'passphrase'
+ * @param {Buffer} salt Per-value salt
+ * @returns {Buffer} 32-byte key
+ */
+function deriveSecretsKey(kdf, salt) {
+  let material;
+  if (kdf === 'passphrase') {
+    material = process.env.SYNCHRONIZER_PASSPHRASE;
+    if (!material) {
+      throw new Error('This config was encrypted with a passphrase. Set SYNCHRONIZER_PASSPHRASE to unlock it.');
     }
+  } else if (kdf === 'machine') {
+    material = getMachineSecret();
+  } else {
+    throw new Error(`Unknown secret encryption scheme "${kdf}"`);
   }
   
-  // Last resort - assume it's in PATH
-  return 'npx';
+  const cacheKey = `${kdf}:${salt.toString('base64')}:${crypto.createHash('sha256').update(material).digest('hex')}`;
+  if (!derivedKeyCache.has(cacheKey)) {
+    derivedKeyCache.set(cacheKey, crypto.scryptSync(material, salt, 32));
+  }
+  return derivedKeyCache.get(cacheKey);
+}
+
+function isEncryptedValue(value) {
+  return typeof value === 'string' && value.startsWith(`${ENCRYPTED_VALUE_PREFIX}:`);
 }
 
 /**
- * Check if a new Docker image is available by comparing local and remote digests
- * @param {string} imageName Docker image name with tag
- * @returns {Promise<boolean>} True if new image is available or no local image exists
+ * Encrypt a config value with AES-256-GCM
+ * @param {string} plaintext Value to protect
+ * @returns {string} enc:v1:<kdf>:<salt>:<iv>:<tag>:<ciphertext> (base64 parts)
  */
-async function isNewDockerImageAvailable(imageName) {
+function encryptSecret(plaintext) {
+  const kdf = process.env.SYNCHRONIZER_PASSPHRASE ? 'passphrase' : 'machine';
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveSecretsKey(kdf, salt), iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  
+  return [ENCRYPTED_VALUE_PREFIX, kdf, salt, iv, cipher.getAuthTag(), ciphertext]
+    .map(part => Buffer.isBuffer(part) ? part.toString('base64') : part)
+    .join(':');
+}
+
+function decryptSecret(value) {
+  const [, , kdf, salt, iv, tag, ciphertext] = value.split(':');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', deriveSecretsKey(kdf, Buffer.from(salt, 'base64')), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  
   try {
-    // Check if we have the image locally
-    try {
-      const localImageCmd = `docker images ${imageName} --format "{{.ID}}"`;
-      const localImageId = execSync(localImageCmd, { encoding: 'utf8', stdio: 'pipe' }).trim();
-      
-      // If there's no local image, we need to pull
-      if (!localImageId) {
-        return true;
-      }
-    } catch (error) {
-      // No local image found
-      return true;
-    }
-    
-    // For now, we'll use a simpler approach:
-    // Always pull with --pull always flag when starting containers
-    // This lets Docker handle the logic of whether to actually download
-    // Return false to avoid duplicate pulling attempts
-    return false;
-    
+    return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
   } catch (error) {
-    // On any error, assume we should try to pull
-    return true;
+    throw new Error(kdf === 'passphrase'
+      ? 'Could not decrypt config secrets - SYNCHRONIZER_PASSPHRASE is wrong.'
+      : 'Could not decrypt config secrets - they were encrypted on another machine. Use `synchronize import` to move configs between hosts.');
   }
 }
 
 /**
- * Validate synq key format using regex pattern
- * Checks if the key is a valid UUID v4 format
- * @param {string} key The synq key to validate
- * @returns {boolean} True if the key format is valid
+ * Hash a dashboard password with a random salt
+ * @param {string} password Plaintext password
+ * @returns {string} scrypt$N$r$p$<salt>$<hash>
  */
-function validateSynqKeyFormat(key) {
-  return /^[0-9A-F]{8}-[0-9A-F]{4}-[4][0-9A-F]{3}-[89AB][0-9A-F]{3}-[0-9A-F]{12}$/i.test(key);
+function hashDashboardPassword(password) {
+  const params = { N: 16384, r: 8, p: 1 };
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(password, salt, 32, params);
+  return ['scrypt', params.N, params.r, params.p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+function parsePasswordHash(value) {
+  const parts = String(value).split('$');
+  if (parts.length !== 6 || parts[0] !== 'scrypt') {
+    return null;
+  }
+  
+  const [, N, r, p, salt, hash] = parts;
+  return {
+    params: { N: parseInt(N, 10), r: parseInt(r, 10), p: parseInt(p, 10) },
+    salt: Buffer.from(salt, 'base64'),
+    hash: Buffer.from(hash, 'base64')
+  };
 }
 
+function hasDashboardPassword(config) {
+  return !!(config.dashboardPasswordHash || config.dashboardPassword);
+}
+
+const scryptAsync = promisify(crypto.scrypt);
+// Digests of password/hash pairs that already matched, so each request does not pay for scrypt again
+const verifiedDashboardPasswords = new Set();
+const VERIFIED_PASSWORDS_LIMIT = 100;
+
 /**
- * Check if a synq key is valid by calling the remote API
- * @param {string} key The synq key to check
- * @param {string} nickname Optional nickname for the synchronizer
- * @returns {Promise<{isValid: boolean, message: string}>} Result object with validation status and message
+ * Check a dashboard password in constant time
+ * scrypt runs on the libuv thread pool, so a burst of requests does not block the dashboard
+ * @param {string} password Password supplied by the client
+ * @param {object} config Loaded config
+ * @returns {Promise<boolean>} True when the password matches
  */
-async function validateSynqKeyWithAPI(key, nickname = '') {
-  const DOMAIN = 'multisynq.io';
-  const SYNQ_KEY_URL = `https://api.${DOMAIN}/depin/synchronizers/key`;
+async function verifyDashboardPassword(password, config) {
+  if (typeof password !== 'string') {
+    return false;
+  }
   
-  // If no nickname is provided, use a default one to prevent the "missing synchronizer name" error
-  const syncNickname = nickname || 'cli-validator';
+  const parsed = config.dashboardPasswordHash ? parsePasswordHash(config.dashboardPasswordHash) : null;
+  if (parsed) {
+    // Keyed by the stored hash too, so changing the password drops earlier matches
+    const cacheKey = crypto.createHash('sha256').update(`${config.dashboardPasswordHash}\0${password}`).digest('hex');
+    if (verifiedDashboardPasswords.has(cacheKey)) {
+      return true;
+    }
+    
+    const candidate = await scryptAsync(password, parsed.salt, parsed.hash.length, parsed.params);
+    if (!crypto.timingSafeEqual(candidate, parsed.hash)) {
+      return false;
+    }
+    if (verifiedDashboardPasswords.size >= VERIFIED_PASSWORDS_LIMIT) {
+      verifiedDashboardPasswords.clear();
+    }
+    verifiedDashboardPasswords.add(cacheKey);
+    return true;
+  }
   
-  const url = `${SYNQ_KEY_URL}/${key}/precheck?nickname=${encodeURIComponent(syncNickname)}`;
+  if (config.dashboardPassword) {
+    // Not yet written back as a hash - compare digests so lengths always match
+    const expected = crypto.createHash('sha256').update(config.dashboardPassword).digest();
+    const candidate = crypto.createHash('sha256').update(password).digest();
+    return crypto.timingSafeEqual(candidate, expected);
+  }
   
-  console.log(chalk.gray(`Validating synq key with remote API...`));
+  return false;
+}
+
+/**
+ * Prepare a config for disk: hash the dashboard password and encrypt secrets
+ */
+function sealConfigSecrets(config) {
+  const sealed = { ...config };
   
-  try {
-    const response = await fetch(url);
-    const keyStatus = await response.text();
-    
-    if (keyStatus === 'ok') {
-      return { isValid: true, message: 'Key is valid and available' };
-    } else {
-      return { isValid: false, message: keyStatus };
+  if (sealed.dashboardPassword) {
+    sealed.dashboardPasswordHash = hashDashboardPassword(sealed.dashboardPassword);
+  }
+  delete sealed.dashboardPassword;
+  
+  for (const field of ENCRYPTED_CONFIG_FIELDS) {
+    if (typeof sealed[field] === 'string' && sealed[field] && !isEncryptedValue(sealed[field])) {
+      sealed[field] = encryptSecret(sealed[field]);
     }
-  } catch (error) {
-    return { 
-      isValid: false, 
-      message: `Could not validate key with API: ${error.message}. Will proceed with local validation only.` 
-    };
   }
+  
+  return sealed;
 }
 
-async function init() {
-  const questions = [];
-
-  questions.push({
-    type: 'input',
-    name: 'userName',
-    message: 'Optional sync name (for your reference only):',
-    default: ''
-  });
-
-  // Get the userName first
-  const userNameAnswer = await inquirer.prompt([questions[0]]);
-  const userName = userNameAnswer.userName;
-
-  // Then use it when validating the key
-  const keyQuestion = {
-    type: 'input',
-    name: 'key',
-    message: 'Synq key:',
-    validate: async (input) => {
-      if (!input) return 'Synq key is required';
-      
-      // First validate the format locally
-      if (!validateSynqKeyFormat(input)) {
-        return 'Invalid synq key format. Must be a valid UUID v4 format (XXXXXXXX-XXXX-4XXX-YXXX-XXXXXXXXXXXX where Y is 8, 9, A, or B)';
-      }
-      
-      // If local validation passes, try remote validation with the userName
-      try {
-        // Use the userName or a default nickname
-        const nickname = userName || 'cli-setup';
-        const validationResult = await validateSynqKeyWithAPI(input, nickname);
-        
-        if (!validationResult.isValid) {
-          // If API returns an error specific to the key, show it
-          if (validationResult.message.includes('Key')) {
-            return validationResult.message;
-          }
-          // For network errors, we'll accept the key if it passed format validation
-          console.log(chalk.yellow(`⚠️  ${validationResult.message}`));
-          console.log(chalk.yellow('Continuing with local validation only.'));
-        } else {
-          console.log(chalk.green('✅ Key validated successfully with API'));
-        }
-        
-        return true;
-      } catch (error) {
-        // If API validation fails for any reason, accept the key if it passed format validation
-        console.log(chalk.yellow(`⚠️  API validation error: ${error.message}`));
-        console.log(chalk.yellow('Continuing with local validation only.'));
-        return true;
-      }
-    }
-  };
+/**
+ * Decrypt the encrypted fields of a config read from disk
+ */
+function openConfigSecrets(config) {
+  const opened = { ...config };
   
-  // Add the key question and wallet question
-  const remainingQuestions = [
-    keyQuestion,
-    {
-      type: 'input',
-      name: 'wallet',
-      message: 'Wallet address:',
-      validate: input => input ? true : 'Wallet is required',
-    },
-    {
-      type: 'confirm',
-      name: 'setDashboardPassword',
-      message: 'Set a password for the web dashboard? (Recommended for security):',
-      default: true
+  for (const field of ENCRYPTED_CONFIG_FIELDS) {
+    if (isEncryptedValue(opened[field])) {
+      opened[field] = decryptSecret(opened[field]);
     }
-  ];
-
-  // Get answers for the remaining questions
-  const remainingAnswers = await inquirer.prompt(remainingQuestions);
+  }
   
-  // Combine all answers
-  const answers = {
-    ...userNameAnswer,
-    ...remainingAnswers
-  };
+  return opened;
+}
 
-  // Ask for password if user wants to set one
-  if (answers.setDashboardPassword) {
-    const passwordQuestions = [{
-      type: 'password',
-      name: 'dashboardPassword',
-      message: 'Dashboard password:',
-      validate: input => input && input.length >= 4 ? true : 'Password must be at least 4 characters',
-      mask: '*'
-    }];
-    
-    const passwordAnswers = await inquirer.prompt(passwordQuestions);
-    answers.dashboardPassword = passwordAnswers.dashboardPassword;
+/**
+ * Decrypt a loaded config, exiting with a readable message when the secrets cannot be opened
+ */
+function openConfigSecretsOrExit(config) {
+  try {
+    return openConfigSecrets(config);
+  } catch (error) {
+    console.error(chalk.red(`❌ ${error.message}`));
+    process.exit(1);
   }
+}
 
-  const secret = crypto.randomBytes(8).toString('hex');
-  const hostname = os.hostname();
-  const syncHash = generateSyncHash(answers.userName, secret, hostname);
-
-  const config = {
-    ...answers,
-    secret,
-    hostname,
-    syncHash,
-    depin: 'wss://api.multisynq.io/depin',
-    launcher: 'cli'
-  };
-
-  // Remove the setDashboardPassword flag from config
-  delete config.setDashboardPassword;
-
-  saveConfig(config);
-  console.log(chalk.green('Configuration saved to'), CONFIG_FILE);
+function loadConfig() {
+  const config = readConfigFile();
+  if (!config) {
+    return {};
+  }
   
-  if (config.dashboardPassword) {
-    console.log(chalk.yellow('🔒 Dashboard password protection enabled'));
-    console.log(chalk.gray('Use any username with your password to access the web dashboard'));
-  } else {
-    console.log(chalk.yellow('⚠️  Dashboard is unprotected - synq key will be visible to anyone'));
+  if ((config.version || 1) >= CONFIG_SCHEMA_VERSION) {
+    return openConfigSecretsOrExit(config);
+  }
+  
+  // Keep a copy of the old layout before rewriting it, with its secrets sealed like the new config
+  const configFile = getConfigFile();
+  const result = migrateConfig(config);
+  const backupFile = `${configFile}.v${result.fromVersion}-${Date.now()}.bak`;
+  writeFileAtomic(backupFile, JSON.stringify(sealConfigSecrets(config), null, 2));
+  saveConfig(result.config);
+  
+  // stderr, so the first command after an upgrade still prints clean JSON/YAML on stdout
+  console.error(chalk.gray(`Migrated ${configFile} to schema v${CONFIG_SCHEMA_VERSION} (backup: ${backupFile})`));
+  for (const step of result.applied) {
+    console.error(chalk.gray(`   ${step}`));
   }
+  
+  const resealed = resealConfigSnapshots();
+  if (resealed > 0) {
+    console.error(chalk.gray(`   Sealed plaintext secrets in ${resealed} earlier backup or history file(s)`));
+  }
+  
+  return openConfigSecretsOrExit(result.config);
 }
 
-function checkDocker() {
+/**
+ * Write a file through a temporary file and rename so a crash never leaves it half written
+ * @param {string} file Destination path
+ * @param {string} contents File contents
+ */
+function writeFileAtomic(file, contents) {
+  const dir = path.dirname(file);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+  }
+  
+  const tempFile = path.join(dir, `.${path.basename(file)}.${process.pid}.${Date.now()}.tmp`);
   try {
-    execSync('docker --version', { stdio: 'ignore' });
-    return true;
+    const fd = fs.openSync(tempFile, 'w', 0o600);
+    try {
+      fs.writeSync(fd, contents);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tempFile, file);
   } catch (error) {
-    return false;
+    if (fs.existsSync(tempFile)) {
+      fs.unlinkSync(tempFile);
+    }
+    throw error;
   }
+  
+  // Files created before atomic writes may still be world readable
+  fs.chmodSync(file, 0o600);
 }
 
-async function installDocker() {
-  const platform = os.platform();
+function getConfigHistoryDir() {
+  return path.join(CONFIG_HISTORY_DIR, activeProfile);
+}
+
+/**
+ * Saved versions of the active profile's config, newest first
+ * @returns {Array<{file: string, savedAt: Date}>}
+ */
+function listConfigHistory() {
+  const historyDir = getConfigHistoryDir();
+  if (!fs.existsSync(historyDir)) {
+    return [];
+  }
   
-  console.log(chalk.blue('🐳 Docker Installation Helper'));
-  console.log(chalk.yellow('This will help you install Docker on your system.\n'));
+  return fs.readdirSync(historyDir)
+    .filter(file => /^\d+\.json$/.test(file))
+    .sort()
+    .reverse()
+    .map(file => ({
+      file: path.join(historyDir, file),
+      savedAt: new Date(parseInt(file, 10))
+    }));
+}
 
-  if (platform === 'linux') {
-    const distro = await detectLinuxDistro();
-    console.log(chalk.cyan(`Detected Linux distribution: ${distro}`));
-    
-    const confirm = await inquirer.prompt([{
-      type: 'confirm',
-      name: 'install',
-      message: 'Would you like to install Docker automatically?',
-      default: true
-    }]);
+/**
+ * Config file contents with plaintext secrets sealed (hashed password, encrypted key fields)
+ * Contents that are not a JSON object are returned unchanged
+ * @param {string} contents Raw config file contents
+ * @returns {string}
+ */
+function sealConfigContents(contents) {
+  let parsed;
+  try {
+    parsed = JSON.parse(contents);
+  } catch (error) {
+    return contents;
+  }
+  return parsed && typeof parsed === 'object' ? JSON.stringify(sealConfigSecrets(parsed), null, 2) : contents;
+}
 
-    if (confirm.install) {
-      await installDockerLinux(distro);
-    } else {
-      showManualInstructions(platform);
+/**
+ * Seal secrets left in plaintext by older versions in migration backups and history snapshots
+ * @returns {number} Number of files rewritten
+ */
+function resealConfigSnapshots() {
+  const configFile = getConfigFile();
+  const backupPrefix = `${path.basename(configFile)}.v`;
+  const backups = fs.readdirSync(path.dirname(configFile))
+    .filter(file => file.startsWith(backupPrefix) && file.endsWith('.bak'))
+    .map(file => path.join(path.dirname(configFile), file));
+  
+  let resealed = 0;
+  for (const file of [...backups, ...listConfigHistory().map(entry => entry.file)]) {
+    const contents = fs.readFileSync(file, 'utf8');
+    const sealed = sealConfigContents(contents);
+    if (sealed !== contents && JSON.stringify(JSON.parse(sealed)) !== JSON.stringify(JSON.parse(contents))) {
+      writeFileAtomic(file, sealed);
+      resealed++;
     }
-  } else {
-    console.log(chalk.yellow(`Automatic installation not supported on ${platform}.`));
-    showManualInstructions(platform);
   }
+  return resealed;
 }
 
-async function detectLinuxDistro() {
-  try {
-    const release = fs.readFileSync('/etc/os-release', 'utf8');
-    if (release.includes('ubuntu') || release.includes('Ubuntu')) return 'ubuntu';
-    if (release.includes('debian') || release.includes('Debian')) return 'debian';
-    if (release.includes('centos') || release.includes('CentOS')) return 'centos';
-    if (release.includes('rhel') || release.includes('Red Hat')) return 'rhel';
-    if (release.includes('fedora') || release.includes('Fedora')) return 'fedora';
-    return 'unknown';
-  } catch (error) {
-    return 'unknown';
+/**
+ * Copy the current config into the history directory and prune it to CONFIG_HISTORY_LIMIT entries
+ * Secrets are sealed first, so a snapshot never holds them in plaintext
+ */
+function recordConfigHistory() {
+  const configFile = getConfigFile();
+  if (!fs.existsSync(configFile)) {
+    return;
+  }
+  
+  const historyDir = getConfigHistoryDir();
+  let timestamp = Date.now();
+  while (fs.existsSync(path.join(historyDir, `${timestamp}.json`))) {
+    timestamp++;
+  }
+  writeFileAtomic(path.join(historyDir, `${timestamp}.json`), sealConfigContents(fs.readFileSync(configFile, 'utf8')));
+  
+  for (const entry of listConfigHistory().slice(CONFIG_HISTORY_LIMIT)) {
+    fs.unlinkSync(entry.file);
   }
 }
 
-async function installDockerLinux(distro) {
-  console.log(chalk.blue('Installing Docker...'));
+/**
+ * Replace config.json with already sealed contents, keeping the previous version in the history
+ * @param {object} sealedConfig Config as it should appear on disk
+ */
+function writeConfigFile(sealedConfig) {
+  recordConfigHistory();
+  writeFileAtomic(getConfigFile(), JSON.stringify(sealedConfig, null, 2));
+}
+
+function saveConfig(config) {
+  writeConfigFile(sealConfigSecrets({ version: CONFIG_SCHEMA_VERSION, ...config }));
+}
+
+/**
+ * Names of the settings that differ between two loaded configs
+ */
+function getChangedConfigFields(previous, next) {
+  const fields = new Set([...Object.keys(previous), ...Object.keys(next)]);
+  return [...fields].filter(field => JSON.stringify(previous[field]) !== JSON.stringify(next[field]));
+}
+
+/**
+ * Watch the active profile's config file so long-running daemons pick up edits
+ * Malformed or invalid edits are logged and the previous config stays in use
+ * @param {object} current Config the daemon started with
+ * @param {function(object, string[])} onChange Called with the new config and the changed field names
+ * @returns {function} Stops watching
+ */
+function watchConfig(current, onChange) {
+  const configFile = getConfigFile();
+  let active = current;
   
-  try {
-    if (distro === 'ubuntu' || distro === 'debian') {
-      console.log(chalk.cyan('Updating package index...'));
-      execSync('sudo apt-get update', { stdio: 'inherit' });
-      
-      console.log(chalk.cyan('Installing prerequisites...'));
-      execSync('sudo apt-get install -y apt-transport-https ca-certificates curl gnupg lsb-release', { stdio: 'inherit' });
-      
-      console.log(chalk.cyan('Adding Docker GPG key...'));
-      execSync('curl -fsSL https://download.docker.com/linux/ubuntu/gpg | sudo gpg --dearmor -o /usr/share/keyrings/docker-archive-keyring.gpg', { stdio: 'inherit' });
-      
-      console.log(chalk.cyan('Adding Docker repository...'));
-      const arch = execSync('dpkg --print-architecture', { encoding: 'utf8' }).trim();
-      const codename = execSync('lsb_release -cs', { encoding: 'utf8' }).trim();
-      execSync(`echo "deb [arch=${arch} signed-by=/usr/share/keyrings/docker-archive-keyring.gpg] https://download.docker.com/linux/ubuntu ${codename} stable" | sudo tee /etc/apt/sources.list.d/docker.list > /dev/null`, { stdio: 'inherit' });
-      
-      console.log(chalk.cyan('Installing Docker...'));
-      execSync('sudo apt-get update', { stdio: 'inherit' });
-      execSync('sudo apt-get install -y docker-ce docker-ce-cli containerd.io', { stdio: 'inherit' });
-      
-    } else if (distro === 'centos' || distro === 'rhel' || distro === 'fedora') {
-      console.log(chalk.cyan('Installing Docker via yum/dnf...'));
-      const installer = distro === 'fedora' ? 'dnf' : 'yum';
-      execSync(`sudo ${installer} install -y yum-utils`, { stdio: 'inherit' });
-      execSync(`sudo ${installer}-config-manager --add-repo https://download.docker.com/linux/centos/docker-ce.repo`, { stdio: 'inherit' });
-      execSync(`sudo ${installer} install -y docker-ce docker-ce-cli containerd.io`, { stdio: 'inherit' });
+  const listener = (stats, previousStats) => {
+    if (stats.mtimeMs === previousStats.mtimeMs && stats.size === previousStats.size) {
+      return;
     }
     
-    console.log(chalk.cyan('Starting Docker service...'));
-    execSync('sudo systemctl start docker', { stdio: 'inherit' });
-    execSync('sudo systemctl enable docker', { stdio: 'inherit' });
+    let next;
+    try {
+      const raw = readConfigFile();
+      if (!raw) {
+        console.log(chalk.yellow(`⚠️  ${configFile} was removed - keeping the current settings`));
+        return;
+      }
+      // Migrate in memory only; the next CLI command rewrites the file
+      const migrated = (raw.version || 1) < CONFIG_SCHEMA_VERSION ? migrateConfig(raw).config : raw;
+      next = openConfigSecrets(migrated);
+    } catch (error) {
+      console.log(chalk.red(`❌ Ignoring config change: ${error.message}`));
+      return;
+    }
     
-    console.log(chalk.cyan('Adding user to docker group...'));
-    const username = os.userInfo().username;
-    execSync(`sudo usermod -aG docker ${username}`, { stdio: 'inherit' });
+    const errors = validateConfig(next).filter(problem => problem.level === 'error');
+    if (errors.length > 0) {
+      console.log(chalk.red('❌ Ignoring invalid config change:'));
+      for (const problem of errors) {
+        console.log(chalk.red(`   • ${problem.field} ${problem.message}`));
+      }
+      return;
+    }
     
-    console.log(chalk.green('✅ Docker installed successfully!'));
-    console.log(chalk.yellow('⚠️  You may need to log out and log back in for group changes to take effect.'));
-    console.log(chalk.blue('You can test Docker with: docker run hello-world'));
+    const changed = getChangedConfigFields(active, next);
+    if (changed.length === 0) {
+      return;
+    }
     
-  } catch (error) {
-    console.error(chalk.red('❌ Failed to install Docker automatically.'));
-    console.error(chalk.red('Error:', error.message));
-    showManualInstructions('linux');
-  }
+    active = next;
+    console.log(chalk.cyan(`🔄 Reloaded ${configFile} at ${new Date().toLocaleString()} (changed: ${changed.join(', ')})`));
+    onChange(next, changed);
+  };
+  
+  fs.watchFile(configFile, { interval: 2000 }, listener);
+  return () => fs.unwatchFile(configFile, listener);
 }
 
-function showManualInstructions(platform) {
-  console.log(chalk.blue('\n📖 Manual Installation Instructions:'));
-  
-  if (platform === 'linux') {
-    console.log(chalk.white('For Ubuntu/Debian:'));
-    console.log(chalk.gray('  curl -fsSL https://get.docker.com -o get-docker.sh'));
-    console.log(chalk.gray('  sudo sh get-docker.sh'));
-    console.log(chalk.white('\nFor CentOS/RHEL/Fedora:'));
-    console.log(chalk.gray('  sudo yum install -y docker-ce'));
-    console.log(chalk.gray('  sudo systemctl start docker'));
-  } else if (platform === 'darwin') {
-    console.log(chalk.white('For macOS:'));
-    console.log(chalk.gray('  Download Docker Desktop from: https://docs.docker.com/desktop/mac/install/'));
-    console.log(chalk.gray('  Or install via Homebrew: brew install --cask docker'));
-  } else if (platform === 'win32') {
-    console.log(chalk.white('For Windows:'));
-    console.log(chalk.gray('  Download Docker Desktop from: https://docs.docker.com/desktop/windows/install/'));
+/**
+ * Abort a command when the config has validation errors
+ * Prevents launching containers with values such as --sync-name undefined
+ * @param {object} config Loaded config
+ */
+function ensureValidConfig(config) {
+  const errors = validateConfig(config).filter(problem => problem.level === 'error');
+  if (errors.length === 0) {
+    return;
   }
   
-  console.log(chalk.blue('\nFor more details: https://docs.docker.com/get-docker/'));
-}
-
-async function start() {
-  const config = loadConfig();
-  if (!config.key) {
-    console.error(chalk.red('Missing synq key. Run `synchronize init` first.'));
-    process.exit(1);
+  console.error(chalk.red('❌ Configuration is invalid:'));
+  for (const problem of errors) {
+    console.error(chalk.red(`   • ${problem.field} ${problem.message}`));
   }
+  console.error(chalk.yellow('Run `synchronize config validate` for details or `synchronize init` to reconfigure.'));
+  process.exit(1);
+}
 
-  if (config.hostname !== os.hostname()) {
-    console.error(chalk.red(`This config was created for ${config.hostname}, not ${os.hostname()}.`));
-    process.exit(1);
+function loadPointsData() {
+  const pointsFile = getPointsFile();
+  if (fs.existsSync(pointsFile)) {
+    try {
+      return JSON.parse(fs.readFileSync(pointsFile, 'utf8'));
+    } catch (error) {
+      console.log('Error loading points data, starting fresh:', error.message);
+      return createEmptyPointsData();
+    }
   }
+  return createEmptyPointsData();
+}
 
-  // Check if Docker is installed
-  if (!checkDocker()) {
-    console.error(chalk.red('Docker is not installed or not accessible.'));
-    
-    const shouldInstall = await inquirer.prompt([{
-      type: 'confirm',
-      name: 'install',
-      message: 'Would you like to install Docker now?',
-      default: true
-    }]);
+function savePointsData(pointsData) {
+  writeFileAtomic(getPointsFile(), JSON.stringify(pointsData, null, 2));
+}
 
-    if (shouldInstall.install) {
-      await installDocker();
-      
-      // Check again after installation
-      if (!checkDocker()) {
-        console.error(chalk.red('Docker installation may have failed or requires a restart.'));
-        console.error(chalk.yellow('Please try running the command again after restarting your terminal.'));
-        process.exit(1);
-      }
-    } else {
-      console.error(chalk.yellow('Please install Docker first: https://docs.docker.com/get-docker/'));
-      process.exit(1);
-    }
+/**
+ * Last known-good image digests per launch kind (stable, nightly)
+ * @returns {{lastKnownGood: object}}
+ */
+function loadImageState() {
+  try {
+    return { lastKnownGood: {}, ...JSON.parse(fs.readFileSync(getImageStateFile(), 'utf8')) };
+  } catch (error) {
+    return { lastKnownGood: {} };
   }
-  
-  const syncName = config.syncHash;
-  const containerName = 'synchronizer-cli';
+}
 
-  // Check if container is already running
+function saveImageState(state) {
+  writeFileAtomic(getImageStateFile(), JSON.stringify(state, null, 2));
+}
+
+/**
+ * Append an entry to the profile's event log (one JSON object per line, newest last)
+ * @param {string} type Event type, e.g. image-rollback
+ * @param {object} details Event-specific fields
+ */
+function recordEvent(type, details = {}) {
+  const entry = { time: new Date().toISOString(), type, ...details };
+  const lines = readEvents().map(event => JSON.stringify(event));
+  lines.push(JSON.stringify(entry));
+  writeFileAtomic(getEventsFile(), lines.slice(-EVENTS_LIMIT).join('\n') + '\n');
+  return entry;
+}
+
+/**
+ * @param {string} type Only return events of this type
+ * @returns {object[]} Events, oldest first
+ */
+function readEvents(type) {
+  let contents = '';
   try {
-    const runningContainers = execSync(`docker ps --filter name=${containerName} --format "{{.Names}}"`, {
-      encoding: 'utf8',
-      stdio: 'pipe'
-    });
-    
-    if (runningContainers.includes(containerName)) {
-      console.log(chalk.green(`✅ Found existing synchronizer container running`));
-      console.log(chalk.cyan(`🔗 Connecting to logs... (Ctrl+C will stop the container)`));
-      
-      // Connect to the existing container's logs
-      const logProc = spawn('docker', ['logs', '-f', containerName], { stdio: 'inherit' });
-      
-      // Handle Ctrl+C to stop the container
-      const cleanup = () => {
-        console.log(chalk.yellow('\n🛑 Stopping synchronizer container...'));
-        try {
-          execSync(`docker stop ${containerName}`, { stdio: 'pipe' });
-          console.log(chalk.green('✅ Container stopped'));
-        } catch (error) {
-          console.log(chalk.red('❌ Error stopping container:', error.message));
-        }
-        process.exit(0);
-      };
-      
-      process.on('SIGINT', cleanup);
-      process.on('SIGTERM', cleanup);
-      
-      logProc.on('exit', (code) => {
-        process.exit(code);
-      });
-      
-      return;
-    }
+    contents = fs.readFileSync(getEventsFile(), 'utf8');
   } catch (error) {
-    // No existing container, continue with normal startup
+    return [];
   }
-
-  // Detect platform architecture
-  const arch = os.arch();
-  const platform = os.platform();
-  let dockerPlatform = 'linux/amd64'; // Default to amd64
   
-  if (platform === 'linux') {
-    if (arch === 'arm64' || arch === 'aarch64') {
-      dockerPlatform = 'linux/arm64';
-    } else if (arch === 'x64' || arch === 'x86_64') {
-      dockerPlatform = 'linux/amd64';
+  const events = [];
+  for (const line of contents.split('\n')) {
+    try {
+      const event = line.trim() ? JSON.parse(line) : null;
+      if (event && (!type || event.type === type)) {
+        events.push(event);
+      }
+    } catch (error) {
+      // Skip a line damaged by an interrupted write
     }
-  } else if (platform === 'darwin') {
-    dockerPlatform = arch === 'arm64' ? 'linux/arm64' : 'linux/amd64';
   }
+  return events;
+}
+
+function createEmptyPointsData() {
+  return {
+    totalLifetimePoints: 0,
+    sessions: [],
+    lastUpdated: new Date().toISOString(),
+    version: '1.0'
+  };
+}
 
-  console.log(chalk.blue(`Detected platform: ${platform}/${arch} -> Using Docker platform: ${dockerPlatform}`));
+async function authenticateRequest(config, req, res, next) {
+  // If no password is set, allow access
+  if (!hasDashboardPassword(config)) {
+    return next();
+  }
+  
+  const auth = req.headers.authorization;
+  
+  if (!auth || !auth.startsWith('Basic ')) {
+    res.setHeader('WWW-Authenticate', 'Basic realm="Synchronizer Dashboard"');
+    res.status(401).send('Authentication required');
+    return;
+  }
+  
+  const credentials = Buffer.from(auth.slice(6), 'base64').toString();
+  const [username, password] = credentials.split(':');
+  
+  // Username can be anything, password is checked against the stored hash
+  let valid = false;
+  try {
+    valid = await verifyDashboardPassword(password, config);
+  } catch (error) {
+    console.error(chalk.red('❌ Password check failed:'), error.message);
+  }
+  if (valid) {
+    req.authenticated = true;
+    return next();
+  }
+  
+  res.setHeader('WWW-Authenticate', 'Basic realm="Synchronizer Dashboard"');
+  res.status(401).send('Invalid credentials');
+}
 
-  // Set launcher with version matching Croquet version in Docker (2.0.1)
-  const launcherWithVersion = `cli-${packageJson.version}/docker-2.1.3`;
-  console.log(chalk.cyan(`Using launcher identifier: ${launcherWithVersion}`));
+function generateSyncHash(userName, secret, hostname) {
+  const input = `${userName || ''}:${hostname}:${secret}`;
+  const hash = crypto.createHash('sha256').update(input).digest('hex');
+  return `synq-${hash.slice(0, 12)}`;
+}
 
-  // Check if we need to pull the latest Docker image
-  const imageName = 'cdrakep/synqchronizer:latest';
-  const shouldPull = await isNewDockerImageAvailable(imageName);
+function detectNpxPath() {
+  try {
+    // Try to find npx using 'which' command
+    const npxPath = execSync('which npx', { encoding: 'utf8', stdio: 'pipe' }).trim();
+    if (npxPath && fs.existsSync(npxPath)) {
+      return npxPath;
+    }
+  } catch (error) {
+    // 'which' failed, try other methods
+  }
   
-  // Pull the latest image only if necessary
-  if (shouldPull) {
-    console.log(chalk.cyan('Pulling latest Docker image...'));
-    try {
-      execSync(`docker pull ${imageName}`, { 
-        stdio: ['ignore', 'pipe', 'pipe']
-      });
-      console.log(chalk.green('✅ Docker image pulled successfully'));
-    } catch (error) {
-      console.log(chalk.yellow('⚠️  Could not pull latest image - will use local cache if available'));
-      console.log(chalk.gray(error.message));
+  try {
+    // Try to find npm and assume npx is in the same directory
+    const npmPath = execSync('which npm', { encoding: 'utf8', stdio: 'pipe' }).trim();
+    if (npmPath) {
+      const npxPath = npmPath.replace(/npm$/, 'npx');
+      if (fs.existsSync(npxPath)) {
+        return npxPath;
+      }
     }
+  } catch (error) {
+    // npm not found either
   }
-
-  // Create Docker command
-  const dockerCmd = 'docker';
-  const args = [
-    'run', '--rm', '--name', containerName,
-    '--pull', 'always', // Always try to pull the latest image
-    '--platform', dockerPlatform,
-    imageName
+  
+  // Common fallback locations
+  const fallbackPaths = [
+    '/usr/bin/npx',
+    '/usr/local/bin/npx',
+    '/opt/homebrew/bin/npx',
+    path.join(os.homedir(), '.npm-global/bin/npx'),
+    path.join(os.homedir(), '.nvm/current/bin/npx')
   ];
   
-  // Add container arguments correctly - each flag and value as separate items
-  if (config.depin) {
-    args.push('--depin');
-    args.push(config.depin);
-  } else {
-    args.push('--depin');
-    args.push('wss://api.multisynq.io/depin');
+  for (const fallbackPath of fallbackPaths) {
+    if (fs.existsSync(fallbackPath)) {
+      return fallbackPath;
+    }
   }
   
-  args.push('--sync-name');
-  args.push(syncName);
+  // Last resort - assume it's in PATH
+  return 'npx';
+}
+
+/**
+ * Parse a Docker image reference such as repo, repo:tag, registry:5000/repo:tag or repo@sha256:<digest>
+ * @param {string} reference Image reference
+ * @returns {object|null} name, registry, path, tag, digest, pinned and the normalized reference; null when invalid
+ */
+function parseImageReference(reference) {
+  if (typeof reference !== 'string') {
+    return null;
+  }
   
-  args.push('--launcher');
-  args.push(launcherWithVersion);
+  const match = reference.trim().match(
+    /^((?:[a-zA-Z0-9.-]+(?::\d+)?\/)?[a-z0-9]+(?:(?:[._]|__|-+)[a-z0-9]+)*(?:\/[a-z0-9]+(?:(?:[._]|__|-+)[a-z0-9]+)*)*)(?::(\w[\w.-]{0,127}))?(?:@(sha256:[a-f0-9]{64}))?$/
+  );
+  if (!match) {
+    return null;
+  }
   
-  args.push('--key');
-  args.push(config.key);
+  const [, name, tag, digest] = match;
+  const slash = name.indexOf('/');
+  const firstComponent = slash === -1 ? '' : name.slice(0, slash);
+  const hasRegistry = firstComponent.includes('.') || firstComponent.includes(':') || firstComponent === 'localhost';
   
-  if (config.wallet) {
-    args.push('--wallet');
-    args.push(config.wallet);
+  // Only the registry host may contain upper-case letters
+  if (!hasRegistry && /[A-Z]/.test(name)) {
+    return null;
   }
   
-  if (config.account) {
-    args.push('--account');
-    args.push(config.account);
+  const repositoryPath = hasRegistry ? name.slice(slash + 1) : name;
+  
+  return {
+    name,
+    registry: hasRegistry ? firstComponent : 'docker.io',
+    path: repositoryPath.includes('/') ? repositoryPath : `library/${repositoryPath}`,
+    tag: tag || (digest ? null : 'latest'),
+    digest: digest || null,
+    pinned: !!digest,
+    reference: digest ? `${name}${tag ? `:${tag}` : ''}@${digest}` : `${name}:${tag || 'latest'}`
+  };
+}
+
+/**
+ * Release channels a synchronizer can run from. Each one has its own image,
+ * launcher suffix and container name, so channels can run side by side
+ * custom:<image> runs any image under its own container name
+ */
+const RELEASE_CHANNELS = {
+  stable: {
+    description: 'Main synchronizer image',
+    imageField: 'image',
+    defaultImage: DEFAULT_IMAGE,
+    launcherSuffix: '',
+    containerBase: 'synchronizer-cli'
+  },
+  nightly: {
+    description: 'Nightly test image',
+    imageField: 'nightlyImage',
+    defaultImage: DEFAULT_NIGHTLY_IMAGE,
+    launcherSuffix: '-nightly',
+    containerBase: 'synchronizer-nightly'
+  },
+  custom: {
+    description: 'Custom image',
+    imageField: null,
+    defaultImage: null,
+    launcherSuffix: '-custom',
+    containerBase: 'synchronizer-custom'
   }
+};
 
-  console.log(chalk.cyan(`Running synchronizer "${syncName}" with wallet ${config.wallet || '[none]'}`));
+/**
+ * Parse a --channel value: stable, nightly or custom:<image>
+ * @param {string} [channel] Channel option, stable when not given
+ * @param {object} config Loaded config
+ * @returns {object} Channel definition with name, id, image reference and container name
+ */
+function resolveChannel(channel, config) {
+  const match = /^(stable|nightly)$|^custom:(.+)$/.exec(channel || 'stable');
+  if (!match) {
+    console.error(chalk.red(`❌ Unknown release channel "${channel}"`));
+    console.error(chalk.yellow('Use stable, nightly or custom:<image>'));
+    process.exit(1);
+  }
   
-  // For debugging
-  console.log(chalk.gray(`Running command: ${dockerCmd} ${args.join(' ')}`));
+  const name = match[1] || 'custom';
+  const definition = RELEASE_CHANNELS[name];
+  return {
+    ...definition,
+    name,
+    id: match[1] || `custom:${match[2]}`,
+    image: match[2] || config[definition.imageField] || definition.defaultImage,
+    containerName: getProfileResourceName(definition.containerBase)
+  };
+}
+
+/**
+ * Container names of every release channel for the active profile
+ * @returns {string[]}
+ */
+function getChannelContainerNames() {
+  return Object.keys(RELEASE_CHANNELS).map(name => getProfileResourceName(RELEASE_CHANNELS[name].containerBase));
+}
+
+/**
+ * systemd unit that runs a release channel; stable keeps the original unit name
+ * @param {string} name Channel name (stable, nightly or custom)
+ * @returns {string}
+ */
+function getChannelServiceName(name) {
+  return name === 'stable' ? getServiceName() : getServiceName(name);
+}
+
+/**
+ * Pick the image for a launch: the --image option, then the channel's image
+ * (config setting or built-in default, or the image named by custom:<image>)
+ * @param {object} config Loaded config
+ * @param {object} options Command options (image)
+ * @param {object} [channel] Resolved release channel, stable when not given
+ * @returns {object} Parsed image reference
+ */
+function resolveImage(config, options = {}, channel = resolveChannel('stable', config)) {
+  const reference = options.image || channel.image;
+  const image = parseImageReference(reference);
   
-  const proc = spawn(dockerCmd, args, { stdio: 'inherit' });
+  if (!image) {
+    console.error(chalk.red(`❌ Invalid image reference "${reference}"`));
+    console.error(chalk.yellow('Use repository[:tag] or repository@sha256:<digest>'));
+    process.exit(1);
+  }
   
-  // Handle Ctrl+C to stop the container
-  const cleanup = () => {
-    console.log(chalk.yellow('\n🛑 Stopping synchronizer container...'));
+  return image;
+}
+
+/**
+ * Images of the configured release channels (stable and nightly), which the
+ * update checks, dashboard and pull allow-list work with
+ * Invalid settings fall back to the defaults; `config validate` reports them
+ * @param {object} config Loaded config
+ * @returns {Array<{channel: string, name: string, description: string, pinned: boolean}>}
+ */
+function getConfiguredImages(config) {
+  return Object.keys(RELEASE_CHANNELS).filter(name => RELEASE_CHANNELS[name].imageField).map(name => {
+    const definition = RELEASE_CHANNELS[name];
+    const image = parseImageReference(config[definition.imageField]) || parseImageReference(definition.defaultImage);
+    return { channel: name, name: image.reference, description: definition.description, pinned: image.pinned };
+  });
+}
+
+/**
+ * Per-channel status: the configured channels, plus the custom channel while its container exists
+ * @param {object} config Loaded config
+ * @returns {Promise<Array<{channel: string, name: string, description: string, pinned: boolean, containerName: string, running: boolean}>>}
+ */
+async function getChannelStatus(config) {
+  const inspect = async name => {
     try {
-      execSync(`docker stop ${containerName}`, { stdio: 'pipe' });
-      console.log(chalk.green('✅ Container stopped'));
+      return await dockerInspectContainer(name);
     } catch (error) {
-      console.log(chalk.red('❌ Error stopping container:', error.message));
+      // Docker daemon not reachable
+      return null;
     }
-    process.exit(0);
   };
   
-  process.on('SIGINT', cleanup);
-  process.on('SIGTERM', cleanup);
+  const channels = [];
+  for (const image of getConfiguredImages(config)) {
+    const containerName = getProfileResourceName(RELEASE_CHANNELS[image.channel].containerBase);
+    const container = await inspect(containerName);
+    channels.push({ ...image, containerName, running: !!(container && container.State.Running) });
+  }
   
-  proc.on('error', (err) => {
-    if (err.code === 'ENOENT') {
-      console.error(chalk.red('Docker command not found. Please ensure Docker is installed and in your PATH.'));
-    } else {
-      console.error(chalk.red('Error running Docker:'), err.message);
-    }
-    process.exit(1);
-  });
+  const customName = getProfileResourceName(RELEASE_CHANNELS.custom.containerBase);
+  const custom = await inspect(customName);
+  const customImage = custom && parseImageReference(custom.Config.Image);
+  if (customImage) {
+    channels.push({
+      channel: `custom:${custom.Config.Image}`,
+      name: customImage.reference,
+      description: RELEASE_CHANNELS.custom.description,
+      pinned: customImage.pinned,
+      containerName: customName,
+      running: !!custom.State.Running
+    });
+  }
   
-  proc.on('exit', code => {
-    if (code === 126) {
-      console.error(chalk.red('❌ Docker permission denied.'));
-      console.error(chalk.yellow('This usually means your user is not in the docker group.'));
-      console.error(chalk.blue('\n🔧 To fix this:'));
-      console.error(chalk.white('1. Add your user to the docker group:'));
-      console.error(chalk.gray(`   sudo usermod -aG docker ${os.userInfo().username}`));
-      console.error(chalk.white('2. Log out and log back in (or restart your terminal)'));
-      console.error(chalk.white('3. Test with: docker run hello-world'));
-      console.error(chalk.blue('\n💡 Alternative: Run with sudo (not recommended):'));
-      console.error(chalk.gray('   sudo synchronize start'));
-      console.error(chalk.blue('\n🔧 Or use the fix command:'));
-      console.error(chalk.gray('   synchronize fix-docker'));
-    } else if (code === 125) {
-      console.error(chalk.red('❌ Docker container failed to start.'));
-      console.error(chalk.yellow('This might be due to platform architecture issues.'));
-      console.error(chalk.blue('\n🔧 Troubleshooting steps:'));
-      console.error(chalk.gray('1. Test platform compatibility:'));
-      console.error(chalk.gray('   synchronize test-platform'));
-      console.error(chalk.gray('2. Check Docker logs:'));
-      console.error(chalk.gray('   docker logs synchronizer-cli'));
-      console.error(chalk.gray('3. Try running with different platform:'));
-      console.error(chalk.gray('   docker run --platform linux/amd64 cdrakep/synqchronizer:latest --help'));
-    } else if (code !== 0) {
-      console.error(chalk.red(`Docker process exited with code ${code}`));
-    }
-    process.exit(code);
-  });
+  return channels;
 }
 
+const REGISTRY_MANIFEST_TYPES = [
+  'application/vnd.docker.distribution.manifest.list.v2+json',
+  'application/vnd.oci.image.index.v1+json',
+  'application/vnd.docker.distribution.manifest.v2+json',
+  'application/vnd.oci.image.manifest.v1+json'
+].join(', ');
 
 /**
- * Generate systemd service file and environment file for headless operation.
+ * Docker platform matching this host, e.g. linux/amd64
+ * @returns {string}
  */
-async function installService() {
-  const config = loadConfig();
-  if (!config.key) {
-    console.error(chalk.red('Missing synq key. Run `synchronize init` first.'));
-    process.exit(1);
-  }
-  if (!config.wallet && !config.account) {
-    console.error(chalk.red('Missing wallet or account. Run `synchronize init` first.'));
-    process.exit(1);
+function detectDockerPlatform() {
+  const arch = os.arch();
+  return arch === 'arm64' || arch === 'aarch64' ? 'linux/arm64' : 'linux/amd64';
+}
+
+/**
+ * Base URL of the registry serving an image
+ * The registryUrl setting (or SYNCHRONIZER_REGISTRY_URL) overrides it, e.g. for a local test registry
+ * @param {object} image Parsed image reference
+ * @param {object} config Loaded config
+ * @returns {string}
+ */
+function getRegistryBaseUrl(image, config = {}) {
+  const override = config.registryUrl || process.env.SYNCHRONIZER_REGISTRY_URL;
+  if (override) {
+    return override.replace(/\/+$/, '');
   }
+  return image.registry === 'docker.io' ? 'https://registry-1.docker.io' : `https://${image.registry}`;
+}
 
-  const serviceFile = path.join(CONFIG_DIR, 'synchronizer-cli.service');
-  const user = os.userInfo().username;
+// Registries count manifest requests against pull rate limits, so tokens and digests are reused
+const REGISTRY_DIGEST_TTL_MS = 5 * 60 * 1000;
+const registryTokens = new Map();
+const remoteDigestCache = new Map();
 
-  // Detect platform architecture (same logic as start function)
-  const arch = os.arch();
-  const platform = os.platform();
-  let dockerPlatform = 'linux/amd64'; // Default to amd64
+/**
+ * Request a registry URL, answering one Bearer token challenge (anonymous pull token)
+ * Tokens are kept per registry and scope until shortly before they expire
+ * @param {string} url Registry API URL
+ * @param {string} scope Token scope to request when the challenge does not name one
+ * @param {string} method GET, or HEAD when only the headers are needed
+ * @returns {Promise<Response>}
+ */
+async function registryRequest(url, scope, method = 'GET') {
+  const headers = { Accept: REGISTRY_MANIFEST_TYPES };
+  const tokenKey = `${new URL(url).origin} ${scope}`;
+  const cached = registryTokens.get(tokenKey);
+  if (cached && cached.expiresAt > Date.now()) {
+    headers.Authorization = `Bearer ${cached.token}`;
+  }
+  let response = await fetch(url, { method, headers, timeout: 15000 });
   
-  if (platform === 'linux') {
-    if (arch === 'arm64' || arch === 'aarch64') {
-      dockerPlatform = 'linux/arm64';
-    } else if (arch === 'x64' || arch === 'x86_64') {
-      dockerPlatform = 'linux/amd64';
+  if (response.status === 401) {
+    const challenge = response.headers.get('www-authenticate') || '';
+    if (!/^Bearer /i.test(challenge)) {
+      throw new Error(`Registry requires unsupported authentication: ${challenge || 'no challenge given'}`);
     }
-  } else if (platform === 'darwin') {
-    dockerPlatform = arch === 'arm64' ? 'linux/arm64' : 'linux/amd64';
+    
+    const params = {};
+    const paramPattern = /(\w+)="([^"]*)"/g;
+    let match;
+    while ((match = paramPattern.exec(challenge)) !== null) {
+      params[match[1]] = match[2];
+    }
+    if (!params.realm) {
+      throw new Error('Registry token challenge has no realm');
+    }
+    
+    const tokenUrl = new URL(params.realm);
+    if (params.service) {
+      tokenUrl.searchParams.set('service', params.service);
+    }
+    tokenUrl.searchParams.set('scope', params.scope || scope);
+    
+    const tokenResponse = await fetch(tokenUrl.toString(), { timeout: 15000 });
+    if (!tokenResponse.ok) {
+      throw new Error(`Registry token request failed (${tokenResponse.status})`);
+    }
+    const tokenBody = await tokenResponse.json();
+    const token = tokenBody.token || tokenBody.access_token;
+    if (!token) {
+      throw new Error('Registry token response did not contain a token');
+    }
+    // Tokens without expires_in are valid for 60 seconds; renew a little early
+    registryTokens.set(tokenKey, { token, expiresAt: Date.now() + ((tokenBody.expires_in || 60) - 10) * 1000 });
+    
+    response = await fetch(url, { method, headers: { ...headers, Authorization: `Bearer ${token}` }, timeout: 15000 });
+  }
+  
+  if (!response.ok) {
+    throw new Error(`Registry returned ${response.status} for ${url}`);
   }
+  return response;
+}
 
-  // Detect Docker path for PATH environment
-  let dockerPath = '/usr/bin/docker';
-  try {
-    const dockerWhich = execSync('which docker', { encoding: 'utf8', stdio: 'pipe' }).trim();
-    if (dockerWhich && fs.existsSync(dockerWhich)) {
-      dockerPath = dockerWhich;
-    }
-  } catch (error) {
-    // Use default path
+/**
+ * Look up the current remote digest of an image through the Docker Registry HTTP API v2
+ * A HEAD request answers with the digest; the manifest itself is only fetched for the
+ * platform entry of a multi-arch image (options.platform) or when the registry sends no digest header.
+ * Results are cached for a few minutes.
+ * @param {object} image Parsed image reference
+ * @param {object} config Loaded config (registryUrl)
+ * @param {object} options platform: also resolve this host's entry of a manifest list
+ * @returns {Promise<{digest: string, platformDigest: string|null}>}
+ */
+async function getRemoteImageDigests(image, config = {}, options = {}) {
+  const url = `${getRegistryBaseUrl(image, config)}/v2/${image.path}/manifests/${image.digest || image.tag}`;
+  const scope = `repository:${image.path}:pull`;
+  let entry = remoteDigestCache.get(url);
+  if (!entry || Date.now() - entry.fetchedAt > REGISTRY_DIGEST_TTL_MS) {
+    const head = await registryRequest(url, scope, 'HEAD');
+    entry = {
+      fetchedAt: Date.now(),
+      digest: head.headers.get('docker-content-digest'),
+      isList: /manifest\.list|image\.index/.test(head.headers.get('content-type') || ''),
+      platformDigest: null
+    };
+    remoteDigestCache.set(url, entry);
   }
   
-  const dockerDir = path.dirname(dockerPath);
+  if (entry.digest && (!entry.isList || !options.platform || entry.platformDigest)) {
+    return { digest: entry.digest, platformDigest: entry.platformDigest };
+  }
   
-  // Build PATH environment variable including docker directory
-  const systemPaths = [
-    '/usr/local/sbin',
-    '/usr/local/bin', 
-    '/usr/sbin',
-    '/usr/bin',
-    '/sbin',
-    '/bin'
-  ];
+  const response = await registryRequest(url, scope);
+  const body = await response.buffer();
+  entry.digest = response.headers.get('docker-content-digest') ||
+    `sha256:${crypto.createHash('sha256').update(body).digest('hex')}`;
+  const manifest = JSON.parse(body.toString('utf8'));
   
-  // Add docker directory to the beginning of PATH if it's not already a system path
-  const pathDirs = systemPaths.includes(dockerDir) ? systemPaths : [dockerDir, ...systemPaths];
-  const pathEnv = pathDirs.join(':');
+  if (!Array.isArray(manifest.manifests)) {
+    entry.isList = false;
+    return { digest: entry.digest, platformDigest: null };
+  }
+  entry.isList = true;
+  
+  const [platformOs, architecture] = detectDockerPlatform().split('/');
+  const platformEntry = manifest.manifests.find(item =>
+    item.platform && item.platform.os === platformOs && item.platform.architecture === architecture
+  );
+  if (!platformEntry) {
+    throw new Error(`${image.reference} has no ${platformOs}/${architecture} image`);
+  }
+  
+  entry.platformDigest = platformEntry.digest;
+  return { digest: entry.digest, platformDigest: entry.platformDigest };
+}
 
-  // Set launcher with version matching Croquet version in Docker (2.0.1)
-  const launcherWithVersion = `cli-${packageJson.version}/docker-2.1.3`;
-  console.log(chalk.cyan(`Using launcher identifier: ${launcherWithVersion}`));
-
-  // No need to check for image updates here - the service will use --pull always
-  
-  // Build the exact same command as the start function
-  const dockerArgs = [
-    'run', '--rm', '--name', 'synchronizer-cli',
-    '--pull', 'always', // Always try to pull the latest image
-    '--platform', dockerPlatform,
-    'cdrakep/synqchronizer:latest',
-    '--depin', config.depin || 'wss://api.multisynq.io/depin',
-    '--sync-name', config.syncHash,
-    '--launcher', launcherWithVersion,
-    '--key', config.key,
-    ...(config.wallet ? ['--wallet', config.wallet] : []),
-    ...(config.account ? ['--account', config.account] : [])
-  ].join(' ');
+const DOCKER_API_VERSION = 'v1.41';
 
-  const unit = `[Unit]
-Description=Multisynq Synchronizer headless service
-After=docker.service
-Requires=docker.service
+/**
+ * Where the Docker Engine API listens, honouring DOCKER_HOST (unix:// or tcp://)
+ * @returns {{socketPath: string, host: string, port: number, description: string}}
+ */
+function getDockerEndpoint() {
+  const dockerHost = process.env.DOCKER_HOST;
+  if (!dockerHost && getContainerRuntime() === 'podman') {
+    // Podman serves a Docker-compatible API from podman.socket
+    const runtimeDir = process.env.XDG_RUNTIME_DIR || `/run/user/${process.getuid()}`;
+    const socketPath = isRootlessPodman() ? path.join(runtimeDir, 'podman', 'podman.sock') : '/run/podman/podman.sock';
+    return { socketPath, description: socketPath };
+  }
+  if (!dockerHost) {
+    const socketPath = process.platform === 'win32' ? '//./pipe/docker_engine' : '/var/run/docker.sock';
+    return { socketPath, description: socketPath };
+  }
+  
+  if (dockerHost.startsWith('unix://')) {
+    return { socketPath: dockerHost.slice('unix://'.length), description: dockerHost };
+  }
+  if (dockerHost.startsWith('npipe://')) {
+    return { socketPath: dockerHost.slice('npipe://'.length).replace(/\//g, '\\'), description: dockerHost };
+  }
+  
+  const match = /^(?:tcp|http):\/\/([^:/]+)(?::(\d+))?\/?$/.exec(dockerHost);
+  if (match && process.env.DOCKER_TLS_VERIFY) {
+    throw unsupportedDockerEndpoint(`DOCKER_HOST ${dockerHost} uses TLS (DOCKER_TLS_VERIFY), which the Engine API client does not support - use a unix:// socket or plain tcp://`);
+  }
+  if (match) {
+    return { host: match[1], port: Number(match[2]) || 2375, description: dockerHost };
+  }
+  throw unsupportedDockerEndpoint(`Unsupported DOCKER_HOST ${dockerHost} (use unix:// or tcp://)`);
+}
 
-[Service]
-Type=simple
-User=${user}
-Restart=always
-RestartSec=10
-ExecStart=${dockerPath} ${dockerArgs}
-Environment=PATH=${pathEnv}
+function unsupportedDockerEndpoint(message) {
+  const error = new Error(message);
+  error.unsupportedEndpoint = true;
+  return error;
+}
 
-[Install]
-WantedBy=multi-user.target
-`;
+function readResponseBody(response) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    response.on('data', chunk => chunks.push(chunk));
+    response.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    response.on('error', reject);
+  });
+}
 
-  fs.writeFileSync(serviceFile, unit);
-  console.log(chalk.green('Systemd service file written to'), serviceFile);
-  console.log(chalk.blue(`To install the service, run:
-  sudo cp ${serviceFile} /etc/systemd/system/
-  sudo systemctl daemon-reload
-  sudo systemctl enable synchronizer-cli
-  sudo systemctl start synchronizer-cli`));
-  
-  console.log(chalk.cyan('\n📋 Service will run with the following configuration:'));
-  console.log(chalk.gray(`Platform: ${dockerPlatform}`));
-  console.log(chalk.gray(`Docker Path: ${dockerPath}`));
-  console.log(chalk.gray(`PATH: ${pathEnv}`));
-  console.log(chalk.gray(`DePIN: ${config.depin || 'wss://api.multisynq.io/depin'}`));
-  console.log(chalk.gray(`Sync Name: ${config.syncHash}`));
-  console.log(chalk.gray(`Wallet: ${config.wallet || '[none]'}`));
-  console.log(chalk.gray(`Account: ${config.account || '[none]'}`));
+/**
+ * Send a request to the Docker Engine API
+ * Resolves with the response stream so callers can buffer JSON or follow a stream
+ * @param {string} method HTTP method
+ * @param {string} apiPath Path below the version prefix, e.g. /containers/json
+ * @param {object} options query (objects are JSON encoded, as Docker expects for filters), headers, timeout in ms (0 for streams)
+ * @returns {Promise<http.IncomingMessage>}
+ */
+function dockerApiRequest(method, apiPath, options = {}) {
+  return new Promise((resolve, reject) => {
+    let endpoint;
+    try {
+      endpoint = getDockerEndpoint();
+    } catch (error) {
+      reject(error);
+      return;
+    }
+    
+    const query = options.query || {};
+    const queryString = Object.keys(query)
+      .filter(name => query[name] !== undefined && query[name] !== null)
+      .map(name => {
+        const value = typeof query[name] === 'object' ? JSON.stringify(query[name]) : String(query[name]);
+        return `${encodeURIComponent(name)}=${encodeURIComponent(value)}`;
+      })
+      .join('&');
+    
+    const request = http.request({
+      socketPath: endpoint.socketPath,
+      host: endpoint.host || 'localhost',
+      port: endpoint.port,
+      method,
+      path: `/${DOCKER_API_VERSION}${apiPath}${queryString ? `?${queryString}` : ''}`,
+      headers: options.headers
+    }, response => {
+      if (response.statusCode >= 200 && response.statusCode < 300) {
+        resolve(response);
+        return;
+      }
+      
+      readResponseBody(response).then(body => {
+        let message = body.trim();
+        try {
+          message = JSON.parse(body).message || message;
+        } catch (parseError) {
+          // Plain-text error body
+        }
+        const error = new Error(`Docker API ${response.statusCode}: ${message}`);
+        error.statusCode = response.statusCode;
+        reject(error);
+      }, reject);
+    });
+    
+    if (options.timeout) {
+      request.setTimeout(options.timeout, () => {
+        request.destroy(new Error(`Docker API request timed out after ${options.timeout}ms`));
+      });
+    }
+    request.on('error', error => {
+      reject(error.code ? new Error(`Cannot reach the Docker daemon at ${endpoint.description} (${error.code})`) : error);
+    });
+    request.end();
+  });
 }
 
-async function fixDockerPermissions() {
-  console.log(chalk.blue('🔧 Docker Permissions Fix'));
-  console.log(chalk.yellow('This will add your user to the docker group.\n'));
+async function dockerApiJson(method, apiPath, options = {}) {
+  const body = await readResponseBody(await dockerApiRequest(method, apiPath, { timeout: 10000, ...options }));
+  return body ? JSON.parse(body) : null;
+}
 
-  const username = os.userInfo().username;
-  
+/**
+ * Whether the Docker daemon answers on its API socket
+ */
+async function dockerPing() {
   try {
-    console.log(chalk.cyan(`Adding user "${username}" to docker group...`));
-    execSync(`sudo usermod -aG docker ${username}`, { stdio: 'inherit' });
-    
-    console.log(chalk.green('✅ User added to docker group successfully!'));
-    console.log(chalk.yellow('⚠️  You need to log out and log back in for changes to take effect.'));
-    console.log(chalk.blue('\n🧪 To test after logging back in:'));
-    console.log(chalk.gray('   docker run hello-world'));
-    console.log(chalk.gray('   synchronize start'));
-    
+    const response = await dockerApiRequest('GET', '/_ping', { timeout: 5000 });
+    return (await readResponseBody(response)).trim() === 'OK';
   } catch (error) {
-    console.error(chalk.red('❌ Failed to add user to docker group.'));
-    console.error(chalk.red('Error:', error.message));
-    console.error(chalk.blue('\n📖 Manual steps:'));
-    console.error(chalk.gray(`   sudo usermod -aG docker ${username}`));
-    console.error(chalk.gray('   # Then log out and log back in'));
+    return false;
   }
 }
 
-async function testPlatform() {
-  console.log(chalk.blue('🔍 Platform Compatibility Test'));
-  console.log(chalk.yellow('Testing Docker platform compatibility...\n'));
+/**
+ * Containers with exactly this name (the API filter matches substrings)
+ * @param {string} name Container name
+ * @param {object} options all: include stopped containers
+ */
+async function dockerListContainers(name, options = {}) {
+  const containers = await dockerApiJson('GET', '/containers/json', {
+    query: { all: options.all ? 1 : 0, filters: { name: [name] } }
+  });
+  return containers.filter(container => (container.Names || []).includes(`/${name}`));
+}
 
-  const arch = os.arch();
-  const platform = os.platform();
-  
-  console.log(chalk.cyan(`Host System: ${platform}/${arch}`));
-  
-  // Test Docker availability
-  if (!checkDocker()) {
-    console.error(chalk.red('❌ Docker is not available'));
-    return;
+/**
+ * @returns {Promise<object|null>} Container details, or null if it does not exist
+ */
+async function dockerInspectContainer(name) {
+  try {
+    return await dockerApiJson('GET', `/containers/${name}/json`);
+  } catch (error) {
+    if (error.statusCode === 404) {
+      return null;
+    }
+    throw error;
   }
+}
+
+/**
+ * @returns {Promise<object|null>} Image details, or null if the image is not present locally
+ */
+async function dockerInspectImage(reference) {
+  try {
+    return await dockerApiJson('GET', `/images/${reference}/json`);
+  } catch (error) {
+    if (error.statusCode === 404) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Processes running in a container (docker top)
+ * @returns {Promise<{Titles: string[], Processes: string[][]}>}
+ */
+async function dockerContainerTop(name) {
+  return dockerApiJson('GET', `/containers/${name}/top`);
+}
+
+/**
+ * Split container output into lines
+ * Containers without a TTY send multiplexed frames: an 8-byte header holding the
+ * stream type (1 stdout, 2 stderr) and the big-endian payload length
+ * @param {boolean} tty Whether the container was started with a TTY (raw stream)
+ * @param {function} onLine Called with each line and 'stdout' or 'stderr'
+ */
+function createLogLineParser(tty, onLine) {
+  let pending = Buffer.alloc(0);
+  const partial = { stdout: '', stderr: '' };
+  
+  const emitText = (streamName, text) => {
+    const lines = (partial[streamName] + text).split('\n');
+    partial[streamName] = lines.pop();
+    lines.forEach(line => onLine(line.replace(/\r$/, ''), streamName));
+  };
   
-  console.log(chalk.green('✅ Docker is available'));
-  
-  // Test both platforms and fallback
-  const tests = [
-    { name: 'linux/amd64', args: ['--platform', 'linux/amd64'] },
-    { name: 'linux/arm64', args: ['--platform', 'linux/arm64'] },
-    { name: 'no platform flag', args: [] }
-  ];
-  
-  let workingPlatforms = [];
-  
-  for (const test of tests) {
-    console.log(chalk.blue(`\nTesting ${test.name}...`));
-    
-    try {
-      const args = [
-        'run', '--rm',
-        ...test.args,
-        'cdrakep/synqchronizer:latest',
-        '--help'
-      ];
-      
-      const result = execSync(`docker ${args.join(' ')}`, { 
-        encoding: 'utf8', 
-        timeout: 30000,
-        stdio: 'pipe'
-      });
+  return {
+    write(chunk) {
+      if (tty) {
+        emitText('stdout', chunk.toString('utf8'));
+        return;
+      }
       
-      if (result.includes('Usage:') || result.includes('--help')) {
-        console.log(chalk.green(`✅ ${test.name} works`));
-        workingPlatforms.push(test.name);
-      } else {
-        console.log(chalk.yellow(`⚠️  ${test.name} responded but output unexpected`));
+      pending = Buffer.concat([pending, chunk]);
+      while (pending.length >= 8) {
+        const length = pending.readUInt32BE(4);
+        if (pending.length < 8 + length) {
+          break;
+        }
+        emitText(pending[0] === 2 ? 'stderr' : 'stdout', pending.slice(8, 8 + length).toString('utf8'));
+        pending = pending.slice(8 + length);
+      }
+    },
+    end() {
+      for (const streamName of Object.keys(partial)) {
+        if (partial[streamName]) {
+          onLine(partial[streamName], streamName);
+          partial[streamName] = '';
+        }
       }
-    } catch (error) {
-      const errorMsg = error.message.split('\n')[0];
-      console.log(chalk.red(`❌ ${test.name} failed: ${errorMsg}`));
     }
+  };
+}
+
+/**
+ * Read or follow container logs line by line
+ * @param {string} name Container name
+ * @param {object} options tail (number of lines), since (unix seconds), follow, timestamps (prefix lines with RFC 3339 times)
+ * @param {function} onLine Called with each line and its stream
+ * @returns {Promise<http.IncomingMessage>} Emits 'end' when the logs finish; destroy it to stop following
+ */
+async function dockerContainerLogs(name, options, onLine) {
+  const info = await dockerInspectContainer(name);
+  if (!info) {
+    throw new Error(`No such container: ${name}`);
   }
   
-  // Recommend best platform
-  let recommendedPlatform = 'linux/amd64';
-  if (arch === 'arm64' || arch === 'aarch64') {
-    recommendedPlatform = 'linux/arm64';
-  }
-  
-  console.log(chalk.blue(`\n💡 Recommended platform for your system: ${recommendedPlatform}`));
+  const response = await dockerApiRequest('GET', `/containers/${name}/logs`, {
+    query: {
+      stdout: 1,
+      stderr: 1,
+      follow: options.follow ? 1 : 0,
+      tail: options.tail || 'all',
+      since: options.since,
+      timestamps: options.timestamps ? 1 : undefined
+    },
+    timeout: options.follow ? 0 : 10000
+  });
   
-  if (workingPlatforms.length === 0) {
-    console.log(chalk.red('\n❌ No platforms are working!'));
-    console.log(chalk.yellow('This suggests the Docker image may not support your architecture.'));
-    console.log(chalk.blue('\n🔧 Troubleshooting steps:'));
-    console.log(chalk.gray('1. Check what platforms the image supports:'));
-    console.log(chalk.gray('   docker manifest inspect cdrakep/synqchronizer:latest'));
-    console.log(chalk.gray('2. Try pulling the image manually:'));
-    console.log(chalk.gray('   docker pull cdrakep/synqchronizer:latest'));
-    console.log(chalk.gray('3. Check if there are architecture-specific tags:'));
-    console.log(chalk.gray('   docker search cdrakep/synqchronizer'));
-    console.log(chalk.gray('4. Contact the image maintainer for multi-arch support'));
-  } else {
-    console.log(chalk.green(`\n✅ Working platforms: ${workingPlatforms.join(', ')}`));
-    console.log(chalk.gray('synchronize start will try these platforms automatically'));
-  }
+  const parser = createLogLineParser(!!(info.Config && info.Config.Tty), onLine);
+  response.on('data', chunk => parser.write(chunk));
+  response.on('end', () => parser.end());
+  return response;
 }
 
-async function showStatus() {
-  console.log(chalk.blue('🔍 synchronizer Service Status'));
-  console.log(chalk.yellow('Checking systemd service status...\n'));
+/**
+ * Last lines of a container's output
+ * @returns {Promise<string[]>}
+ */
+async function readContainerLogs(name, tail) {
+  const lines = [];
+  const response = await dockerContainerLogs(name, { tail }, line => lines.push(line));
+  return new Promise((resolve, reject) => {
+    response.on('end', () => resolve(lines));
+    response.on('error', reject);
+  });
+}
 
+const REGISTRY_AUTH_ERROR_PATTERN = /unauthorized|authentication required|denied|docker login/i;
+
+/**
+ * Pull an image through the Engine API, with the registry login from the docker client config
+ * Falls back to `docker pull` for credential helpers, registries that refuse the pull and endpoints the API client cannot reach
+ * @param {string} imageName Image reference
+ * @param {object} options platform, onProgress(message)
+ */
+async function dockerPullImage(imageName, options = {}) {
+  const image = parseImageReference(imageName);
+  if (!image) {
+    throw new Error(`Invalid image reference ${imageName}`);
+  }
+  
+  // Credential helpers and TLS or ssh endpoints are only understood by the docker CLI
+  const auth = getRegistryClientAuth(image);
+  if (auth && auth.helper) {
+    return pullImageWithCli(image.reference, options);
+  }
+  
   try {
-    // Check if service file exists
-    const serviceExists = fs.existsSync('/etc/systemd/system/synchronizer-cli.service');
-    
-    if (!serviceExists) {
-      console.log(chalk.yellow('⚠️  Systemd service not installed'));
-      console.log(chalk.gray('Run `synchronize service` to generate the service file'));
-      return;
+    await pullImageWithApi(image, auth, options);
+  } catch (error) {
+    if (error.unsupportedEndpoint || REGISTRY_AUTH_ERROR_PATTERN.test(error.message)) {
+      console.log(chalk.gray(`Pulling with the ${getContainerRuntime()} CLI instead: ${error.message}`));
+      return pullImageWithCli(image.reference, options);
     }
+    throw error;
+  }
+}
 
-    console.log(chalk.green('✅ Service file exists: /etc/systemd/system/synchronizer-cli.service'));
-
-    // Get service status
-    try {
-      const statusOutput = execSync('systemctl status synchronizer-cli --no-pager', { 
-        encoding: 'utf8',
-        stdio: 'pipe'
+/**
+ * Registry credentials from the docker client config (~/.docker/config.json or $DOCKER_CONFIG)
+ * @param {object} image Parsed image reference
+ * @returns {{header: string}|{helper: true}|null} X-Registry-Auth value, a credential helper the CLI must use, or null for anonymous pulls
+ */
+function getRegistryClientAuth(image) {
+  let dockerConfig;
+  try {
+    const configDir = process.env.DOCKER_CONFIG || path.join(os.homedir(), '.docker');
+    dockerConfig = JSON.parse(fs.readFileSync(path.join(configDir, 'config.json'), 'utf8'));
+  } catch (error) {
+    return null;
+  }
+  
+  // Docker Hub logins are stored under the old index URL
+  const hosts = image.registry === 'docker.io' ? ['index.docker.io', 'docker.io', 'registry-1.docker.io'] : [image.registry];
+  const normalizeHost = key => key.replace(/^https?:\/\//, '').replace(/\/.*$/, '');
+  
+  if (Object.keys(dockerConfig.credHelpers || {}).some(key => hosts.includes(normalizeHost(key)))) {
+    return { helper: true };
+  }
+  
+  const authKey = Object.keys(dockerConfig.auths || {}).find(key => hosts.includes(normalizeHost(key)));
+  if (!authKey) {
+    return null;
+  }
+  const entry = dockerConfig.auths[authKey] || {};
+  if (!entry.auth && !entry.identitytoken) {
+    // An empty entry means the secret lives in credsStore
+    return dockerConfig.credsStore ? { helper: true } : null;
+  }
+  
+  const decoded = entry.auth ? Buffer.from(entry.auth, 'base64').toString('utf8') : '';
+  const separator = decoded.indexOf(':');
+  const credentials = entry.identitytoken
+    ? { identitytoken: entry.identitytoken, serveraddress: authKey }
+    : { username: decoded.slice(0, separator), password: decoded.slice(separator + 1), serveraddress: authKey };
+  // The Engine API expects base64url-encoded JSON
+  return { header: Buffer.from(JSON.stringify(credentials)).toString('base64').replace(/\+/g, '-').replace(/\//g, '_') };
+}
+
+/**
+ * Pull with the docker (or podman) CLI, which handles credential helpers and TLS endpoints itself
+ * @param {string} reference Image reference
+ * @param {object} options platform, onProgress (when set the CLI output is shown)
+ */
+function pullImageWithCli(reference, options = {}) {
+  const args = ['pull', ...(options.platform ? ['--platform', options.platform] : []), reference];
+  
+  return new Promise((resolve, reject) => {
+    const proc = spawn(getContainerRuntime(), args, { stdio: options.onProgress ? 'inherit' : ['ignore', 'ignore', 'pipe'] });
+    let stderr = '';
+    if (proc.stderr) {
+      proc.stderr.on('data', chunk => {
+        stderr += chunk;
       });
-      
-      // Parse status for key information
-      const lines = statusOutput.split('\n');
-      const statusLine = lines.find(line => line.includes('Active:'));
-      const loadedLine = lines.find(line => line.includes('Loaded:'));
-      
-      if (statusLine) {
-        if (statusLine.includes('active (running)')) {
-          console.log(chalk.green('🟢 Status: Running'));
-        } else if (statusLine.includes('inactive (dead)')) {
-          console.log(chalk.red('🔴 Status: Stopped'));
-        } else if (statusLine.includes('failed')) {
-          console.log(chalk.red('❌ Status: Failed'));
-        } else {
-          console.log(chalk.yellow('🟡 Status: Unknown'));
-        }
+    }
+    proc.on('error', reject);
+    proc.on('exit', code => {
+      if (code === 0) {
+        resolve();
+      } else {
+        reject(new Error(stderr.trim() || `${getContainerRuntime()} pull exited with code ${code}`));
       }
+    });
+  });
+}
 
-      if (loadedLine && loadedLine.includes('enabled')) {
-        console.log(chalk.green('✅ Auto-start: Enabled'));
+/**
+ * Progress arrives as one JSON message per line; a message with "error" means the pull failed
+ */
+async function pullImageWithApi(image, auth, options) {
+  const response = await dockerApiRequest('POST', '/images/create', {
+    query: { fromImage: image.name, tag: image.digest || image.tag, platform: options.platform },
+    headers: auth ? { 'X-Registry-Auth': auth.header } : undefined
+  });
+  
+  return new Promise((resolve, reject) => {
+    let buffered = '';
+    let failure = null;
+    
+    const handleLines = lines => {
+      for (const line of lines) {
+        if (!line.trim()) {
+          continue;
+        }
+        let message;
+        try {
+          message = JSON.parse(line);
+        } catch (parseError) {
+          continue;
+        }
+        if (message.error) {
+          failure = new Error(message.error);
+        } else if (options.onProgress) {
+          options.onProgress(message);
+        }
+      }
+    };
+    
+    response.on('data', chunk => {
+      const lines = (buffered + chunk.toString('utf8')).split('\n');
+      buffered = lines.pop();
+      handleLines(lines);
+    });
+    response.on('end', () => {
+      handleLines([buffered]);
+      if (failure) {
+        reject(failure);
       } else {
-        console.log(chalk.yellow('⚠️  Auto-start: Disabled'));
+        resolve();
       }
+    });
+    response.on('error', reject);
+  });
+}
 
-    } catch (error) {
-      console.log(chalk.red('❌ Service status: Not found or error'));
-      console.log(chalk.gray('The service may not be installed or you may need sudo access'));
+/**
+ * Pull progress for the terminal: one updating line for the layers, plus the overall status messages
+ * @returns {function} onProgress handler for dockerPullImage()
+ */
+function createPullProgressPrinter() {
+  const layers = {};
+  const interactive = process.stdout.isTTY;
+  let progressLineOpen = false;
+  let lastStatus = null;
+  
+  return message => {
+    // Layer messages carry the short layer ID; the rest are overall status lines
+    if (message.id && /^[0-9a-f]{12}$/.test(message.id)) {
+      const layer = layers[message.id] || (layers[message.id] = { current: 0 });
+      layer.status = message.status;
+      if (message.progressDetail && message.progressDetail.current) {
+        layer.current = message.progressDetail.current;
+      }
+      
+      if (interactive) {
+        const ids = Object.keys(layers);
+        const ready = ids.filter(id => /complete|already exists/i.test(layers[id].status)).length;
+        const downloaded = ids.reduce((total, id) => total + (/^Download/.test(layers[id].status) ? layers[id].current : 0), 0);
+        process.stdout.write(`\r${chalk.gray(`   ${ready}/${ids.length} layers ready, ${(downloaded / 1048576).toFixed(1)} MB downloaded`)}`);
+        progressLineOpen = true;
+      }
+      return;
     }
-
-    // Show recent logs
-    console.log(chalk.blue('\n📋 Recent Logs (last 10 lines):'));
-    console.log(chalk.gray('─'.repeat(60)));
     
-    try {
-      const logsOutput = execSync('journalctl -u synchronizer-cli --no-pager -n 10', { 
-        encoding: 'utf8',
-        stdio: 'pipe'
-      });
-      
-      if (logsOutput.trim()) {
-        // Color-code log levels
-        const coloredLogs = logsOutput
-          .split('\n')
-          .map(line => {
-            if (line.includes('"level":"error"') || line.includes('ERROR')) {
-              return chalk.red(line);
-            } else if (line.includes('"level":"warn"') || line.includes('WARNING')) {
-              return chalk.yellow(line);
-            } else if (line.includes('"level":"info"') || line.includes('INFO')) {
-              return chalk.cyan(line);
-            } else if (line.includes('"level":"debug"') || line.includes('DEBUG')) {
-              return chalk.gray(line);
-            } else if (line.includes('proxy-connected') || line.includes('registered')) {
-              return chalk.green(line);
-            } else {
-              return line;
-            }
-          })
-          .join('\n');
-        
-        console.log(coloredLogs);
-      } else {
-        console.log(chalk.gray('No recent logs found'));
+    if (message.status && message.status !== lastStatus) {
+      if (progressLineOpen) {
+        process.stdout.write('\n');
+        progressLineOpen = false;
       }
-    } catch (error) {
-      console.log(chalk.red('❌ Could not retrieve logs'));
-      console.log(chalk.gray('You may need sudo access to view systemd logs'));
+      console.log(chalk.gray(`   ${message.status}${message.id && !message.status.includes(message.id) ? ` ${message.id}` : ''}`));
+      lastStatus = message.status;
     }
+  };
+}
 
-    // Show helpful commands
-    console.log(chalk.blue('\n🛠️  Useful Commands:'));
-    console.log(chalk.gray('  Start service:    sudo systemctl start synchronizer-cli'));
-    console.log(chalk.gray('  Stop service:     sudo systemctl stop synchronizer-cli'));
-    console.log(chalk.gray('  Restart service:  sudo systemctl restart synchronizer-cli'));
-    console.log(chalk.gray('  Enable auto-start: sudo systemctl enable synchronizer-cli'));
-    console.log(chalk.gray('  View live logs:   journalctl -u synchronizer-cli -f'));
-    console.log(chalk.gray('  View all logs:    journalctl -u synchronizer-cli'));
-
-    // Check if running as manual process
+/**
+ * Running synchronizer container (any release channel) looked up through the Engine API
+ * @returns {Promise<string|null>} Container name
+ */
+async function findRunningSynchronizerContainer() {
+  for (const name of getChannelContainerNames()) {
     try {
-      const dockerPs = execSync('docker ps --filter name=synchronizer-cli --format "table {{.Names}}\\t{{.Status}}"', {
-        encoding: 'utf8',
-        stdio: 'pipe'
-      });
-      
-      if (dockerPs.includes('synchronizer-cli')) {
-        console.log(chalk.yellow('\n⚠️  Manual synchronizer process also detected!'));
-        console.log(chalk.gray('You may have both service and manual process running'));
-        console.log(chalk.gray('Consider stopping one to avoid conflicts'));
+      if ((await dockerListContainers(name)).length > 0) {
+        return name;
       }
     } catch (error) {
-      // Docker not available or no containers running
+      // Docker daemon not reachable
+      return null;
     }
-
-  } catch (error) {
-    console.error(chalk.red('❌ Error checking service status:'), error.message);
   }
+  return null;
 }
 
 /**
- * Get the primary local IP address, filtering out virtual adapters and loopback interfaces
- * Works across Windows, Mac, and Linux
- * @returns {string} The primary local IP address or 'localhost' as fallback
+ * Digests recorded for a local image when it was pulled from this image's repository
+ * An image tagged under several repositories lists a digest per repository; the others are left out
+ * @param {object} image Parsed image reference
+ * @returns {Promise<string[]|null>} Digests, or null when the image is not present locally
  */
-function getPrimaryLocalIP() {
-  const interfaces = os.networkInterfaces();
+async function getLocalImageDigests(image) {
+  const info = await dockerInspectImage(image.reference);
+  if (!info) {
+    return null;
+  }
   
-  // Priority order for interface types (prefer physical over virtual)
-  const interfacePriority = {
-    // Physical interfaces (highest priority)
-    'eth': 100,     // Ethernet (Linux)
-    'en': 90,       // Ethernet (macOS)
-    'Ethernet': 80, // Ethernet (Windows)
-    'Wi-Fi': 70,    // WiFi (Windows)
-    'wlan': 60,     // WiFi (Linux)
-    'wlp': 55,      // WiFi (Linux - newer naming)
-    
-    // Virtual interfaces (lower priority)
-    'docker': 10,   // Docker interfaces
-    'veth': 10,     // Virtual Ethernet
-    'br-': 10,      // Bridge interfaces
-    'virbr': 10,    // Virtual bridge
-    'vmnet': 10,    // VMware
-    'vbox': 10,     // VirtualBox
-    'tun': 10,      // Tunnel interfaces
-    'tap': 10,      // TAP interfaces
-    'utun': 10,     // User tunnel (macOS)
-    'awdl': 10,     // Apple Wireless Direct Link
-    'llw': 10,      // Low Latency WLAN (macOS)
-    'bridge': 10,   // Bridge interfaces
-    'vnic': 10,     // Virtual NIC
-    'Hyper-V': 10,  // Hyper-V (Windows)
-    'VirtualBox': 10, // VirtualBox (Windows)
-    'VMware': 10,   // VMware (Windows)
-    'Loopback': 5,  // Loopback (Windows)
-    'lo': 5         // Loopback (Linux/macOS)
-  };
+  // Podman records fully qualified names (docker.io/library/...), Docker the short form
+  const normalizeRepository = name => name.replace(/^docker\.io\//, '').replace(/^library\//, '');
+  const repository = normalizeRepository(image.name);
+  return (info.RepoDigests || [])
+    .map(repoDigest => repoDigest.split('@'))
+    .filter(([name]) => normalizeRepository(name) === repository)
+    .map(([, digest]) => digest);
+}
+
+/**
+ * Check if a new Docker image is available by comparing local and remote digests
+ * Registry errors are thrown so callers can report them instead of a false "up to date"
+ * @param {string} imageName Docker image name with tag or digest
+ * @param {object} config Loaded config (registryUrl)
+ * @returns {Promise<boolean>} True if new image is available or no local image exists
+ */
+async function isNewDockerImageAvailable(imageName, config = {}) {
+  const image = parseImageReference(imageName);
+  if (!image) {
+    throw new Error(`Invalid image reference ${imageName}`);
+  }
   
-  const candidates = [];
+  const localDigests = await getLocalImageDigests(image);
   
-  for (const [interfaceName, addresses] of Object.entries(interfaces)) {
-    // Skip loopback interfaces
-    if (interfaceName === 'lo' || interfaceName.includes('Loopback')) {
-      continue;
-    }
-    
-    for (const addr of addresses) {
-      // Only consider IPv4 addresses that are not internal (loopback)
-      if (addr.family === 'IPv4' && !addr.internal) {
-        // Calculate priority based on interface name
-        let priority = 1; // Default low priority
-        
-        for (const [pattern, score] of Object.entries(interfacePriority)) {
-          if (interfaceName.toLowerCase().startsWith(pattern.toLowerCase()) ||
-              interfaceName.toLowerCase().includes(pattern.toLowerCase())) {
-            priority = score;
-            break;
-          }
-        }
-        
-        // Boost priority for common private network ranges
-        const ip = addr.address;
-        if (ip.startsWith('192.168.') || 
-            ip.startsWith('10.') || 
-            (ip.startsWith('172.') && parseInt(ip.split('.')[1]) >= 16 && parseInt(ip.split('.')[1]) <= 31)) {
-          priority += 20; // Prefer private network IPs
-        }
-        
-        // Penalise virtual/container networks
-        if (interfaceName.toLowerCase().includes('docker') ||
-            interfaceName.toLowerCase().includes('veth') ||
-            interfaceName.toLowerCase().includes('br-') ||
-            interfaceName.toLowerCase().includes('virbr') ||
-            ip.startsWith('172.17.') ||  // Default Docker network
-            ip.startsWith('172.18.') ||  // Docker networks
-            ip.startsWith('172.19.') ||
-            ip.startsWith('172.20.') ||
-            ip.startsWith('169.254.')) { // Link-local
-          priority -= 50;
-        }
-        
-        candidates.push({
-          ip: ip,
-          interface: interfaceName,
-          priority: priority,
-          mac: addr.mac
-        });
-      }
-    }
+  // If there's no local image, we need to pull
+  if (localDigests === null) {
+    return true;
   }
   
-  // Sort by priority (highest first) and return the best candidate
-  candidates.sort((a, b) => b.priority - a.priority);
-  
-  if (candidates.length > 0) {
-    const best = candidates[0];
-    console.log(chalk.gray(`🌐 Detected primary IP: ${best.ip} (${best.interface})`));
-    
-    // Log other candidates for debugging if needed
-    if (candidates.length > 1) {
-      console.log(chalk.gray(`   Other interfaces: ${candidates.slice(1, 3).map(c => `${c.ip} (${c.interface})`).join(', ')}`));
-    }
-    
-    return best.ip;
+  // A digest pin always names the same image; locally built images have nothing to compare
+  if (image.pinned || localDigests.length === 0) {
+    return false;
   }
   
-  console.log(chalk.yellow('⚠️  Could not detect primary IP, using localhost'));
-  return 'localhost';
+  // Images pulled by tag record the manifest list digest, so the HEAD digest usually settles it
+  const remote = await getRemoteImageDigests(image, config);
+  if (localDigests.includes(remote.digest)) {
+    return false;
+  }
+  const platformRemote = await getRemoteImageDigests(image, config, { platform: true });
+  return !localDigests.includes(platformRemote.digest) &&
+    !(platformRemote.platformDigest && localDigests.includes(platformRemote.platformDigest));
 }
 
-async function startWebGUI() {
-  console.log(chalk.blue('🌐 Starting synchronizer Web GUI'));
-  console.log(chalk.yellow('Setting up web dashboard and metrics endpoints...\n'));
+// Last update check result per image, for status requests that must not hit the registry
+const imageUpdateStatus = new Map();
 
-  const config = loadConfig();
-  
-  if (config.dashboardPassword) {
-    console.log(chalk.green('🔒 Dashboard password protection enabled'));
-  } else {
-    console.log(chalk.yellow('⚠️  Dashboard is unprotected - consider setting a password'));
+/**
+ * Update check for the dashboard status: answers from the last result and refreshes
+ * it in the background once it is older than the registry cache
+ * @param {string} imageName Docker image name with tag or digest
+ * @param {object} config Loaded config (registryUrl)
+ * @returns {{updateAvailable: boolean, checkedAt: string|null, error: string|undefined}}
+ */
+function getCachedImageUpdate(imageName, config = {}) {
+  const entry = imageUpdateStatus.get(imageName) || { updateAvailable: false, checkedAt: null };
+  const stale = !entry.checkedAt || Date.now() - new Date(entry.checkedAt).getTime() > REGISTRY_DIGEST_TTL_MS;
+  
+  if (stale && !entry.refreshing) {
+    entry.refreshing = true;
+    imageUpdateStatus.set(imageName, entry);
+    isNewDockerImageAvailable(imageName, config)
+      .then(updateAvailable => ({ updateAvailable }), error => ({ updateAvailable: false, error: error.message }))
+      .then(result => imageUpdateStatus.set(imageName, { ...result, checkedAt: new Date().toISOString() }));
   }
   
-  // Get the primary local IP address
-  const primaryIP = getPrimaryLocalIP();
-  
-  // Find available ports with better logging
-  console.log(chalk.gray('🔍 Finding available ports...'));
-  const guiPort = await findAvailablePort(3000);
-  const metricsPort = await findAvailablePort(guiPort === 3001 ? 3002 : 3001);
-  
-  if (guiPort !== 3000) {
-    console.log(chalk.yellow(`⚠️  Port 3000 was busy, using port ${guiPort} for dashboard`));
+  return { updateAvailable: entry.updateAvailable, checkedAt: entry.checkedAt, error: entry.error };
+}
+
+/**
+ * Validate synq key format using regex pattern
+ * Checks if the key is a valid UUID v4 format
+ * @param {string} key The synq key to validate
+ * @returns {boolean} True if the key format is valid
+ */
+function validateSynqKeyFormat(key) {
+  return /^[0-9A-F]{8}-[0-9A-F]{4}-[4][0-9A-F]{3}-[89AB][0-9A-F]{3}-[0-9A-F]{12}$/i.test(key);
+}
+
+// Keccak-f[1600] round constants split into 32-bit halves
+const KECCAK_RC_LO = [
+  0x00000001, 0x00008082, 0x0000808a, 0x80008000, 0x0000808b, 0x80000001,
+  0x80008081, 0x00008009, 0x0000008a, 0x00000088, 0x80008009, 0x8000000a,
+  0x8000808b, 0x0000008b, 0x00008089, 0x00008003, 0x00008002, 0x00000080,
+  0x0000800a, 0x8000000a, 0x80008081, 0x00008080, 0x80000001, 0x80008008
+];
+const KECCAK_RC_HI = [
+  0x00000000, 0x00000000, 0x80000000, 0x80000000, 0x00000000, 0x00000000,
+  0x80000000, 0x80000000, 0x00000000, 0x00000000, 0x00000000, 0x00000000,
+  0x00000000, 0x80000000, 0x80000000, 0x80000000, 0x80000000, 0x80000000,
+  0x00000000, 0x80000000, 0x80000000, 0x80000000, 0x00000000, 0x80000000
+];
+// Rotation offsets indexed by lane x + 5y
+const KECCAK_ROTATIONS = [
+  0, 1, 62, 28, 27,
+  36, 44, 6, 55, 20,
+  3, 10, 43, 25, 39,
+  41, 45, 15, 21, 8,
+  18, 2, 61, 56, 14
+];
+
+/**
+ * Keccak-f[1600] permutation on 25 64-bit lanes stored as [lo, hi] 32-bit pairs
+ * @param {Uint32Array} state 50-word state, updated in place
+ */
+function keccakF1600(state) {
+  const c = new Uint32Array(10);
+  const b = new Uint32Array(50);
+  
+  for (let round = 0; round < 24; round++) {
+    // Theta
+    for (let x = 0; x < 5; x++) {
+      c[2 * x] = state[2 * x] ^ state[2 * (x + 5)] ^ state[2 * (x + 10)] ^ state[2 * (x + 15)] ^ state[2 * (x + 20)];
+      c[2 * x + 1] = state[2 * x + 1] ^ state[2 * (x + 5) + 1] ^ state[2 * (x + 10) + 1] ^ state[2 * (x + 15) + 1] ^ state[2 * (x + 20) + 1];
+    }
+    for (let x = 0; x < 5; x++) {
+      const prev = (x + 4) % 5;
+      const next = (x + 1) % 5;
+      const dLo = c[2 * prev] ^ ((c[2 * next] << 1) | (c[2 * next + 1] >>> 31));
+      const dHi = c[2 * prev + 1] ^ ((c[2 * next + 1] << 1) | (c[2 * next] >>> 31));
+      for (let y = 0; y < 25; y += 5) {
+        state[2 * (x + y)] ^= dLo;
+        state[2 * (x + y) + 1] ^= dHi;
+      }
+    }
+    
+    // Rho and Pi
+    for (let x = 0; x < 5; x++) {
+      for (let y = 0; y < 5; y++) {
+        const lane = x + 5 * y;
+        const rotation = KECCAK_ROTATIONS[lane];
+        const lo = state[2 * lane];
+        const hi = state[2 * lane + 1];
+        let rotatedLo = lo;
+        let rotatedHi = hi;
+        
+        if (rotation >= 32) {
+          const shift = rotation - 32;
+          rotatedLo = shift === 0 ? hi : (hi << shift) | (lo >>> (32 - shift));
+          rotatedHi = shift === 0 ? lo : (lo << shift) | (hi >>> (32 - shift));
+        } else if (rotation > 0) {
+          rotatedLo = (lo << rotation) | (hi >>> (32 - rotation));
+          rotatedHi = (hi << rotation) | (lo >>> (32 - rotation));
+        }
+        
+        const target = y + 5 * ((2 * x + 3 * y) % 5);
+        b[2 * target] = rotatedLo;
+        b[2 * target + 1] = rotatedHi;
+      }
+    }
+    
+    // Chi
+    for (let y = 0; y < 25; y += 5) {
+      for (let x = 0; x < 5; x++) {
+        const lane = x + y;
+        const lane1 = (x + 1) % 5 + y;
+        const lane2 = (x + 2) % 5 + y;
+        state[2 * lane] = b[2 * lane] ^ (~b[2 * lane1] & b[2 * lane2]);
+        state[2 * lane + 1] = b[2 * lane + 1] ^ (~b[2 * lane1 + 1] & b[2 * lane2 + 1]);
+      }
+    }
+    
+    // Iota
+    state[0] ^= KECCAK_RC_LO[round];
+    state[1] ^= KECCAK_RC_HI[round];
   }
-  if (metricsPort !== 3001) {
-    console.log(chalk.yellow(`⚠️  Port 3001 was busy, using port ${metricsPort} for metrics`));
+}
+
+/**
+ * Keccak-256 as used by Ethereum (original Keccak padding, not NIST SHA3-256)
+ * @param {Buffer|string} input Data to hash (strings are UTF-8 encoded)
+ * @returns {string} Hex digest
+ */
+function keccak256(input) {
+  const rate = 136;
+  const data = Buffer.isBuffer(input) ? input : Buffer.from(input, 'utf8');
+  const padded = Buffer.alloc((Math.floor(data.length / rate) + 1) * rate);
+  data.copy(padded);
+  padded[data.length] ^= 0x01;
+  padded[padded.length - 1] ^= 0x80;
+  
+  const state = new Uint32Array(50);
+  for (let offset = 0; offset < padded.length; offset += rate) {
+    for (let i = 0; i < rate / 4; i++) {
+      state[i] ^= padded.readUInt32LE(offset + i * 4);
+    }
+    keccakF1600(state);
   }
   
-  // Create Express apps
-  const guiApp = express();
-  const metricsApp = express();
-  
-  // Add authentication middleware to GUI app
-  guiApp.use(authenticateRequest);
+  const output = Buffer.alloc(32);
+  for (let i = 0; i < 8; i++) {
+    output.writeUInt32LE(state[i], i * 4);
+  }
+  return output.toString('hex');
+}
+
+/**
+ * Validate a wallet address: 0x prefix, 40 hex digits and, for mixed-case input, the EIP-55 checksum
+ * @param {string} address The wallet address to check
+ * @returns {{valid: boolean, checksummed?: string, error?: string, warning?: string}}
+ */
+function validateWalletAddress(address) {
+  const value = typeof address === 'string' ? address.trim() : '';
   
-  // GUI Dashboard
-  guiApp.get('/', (req, res) => {
-    const html = generateDashboardHTML(config, metricsPort, req.authenticated, primaryIP);
-    res.send(html);
-  });
+  if (!value) {
+    return { valid: false, error: 'Wallet address is required' };
+  }
+  if (!/^0x/i.test(value)) {
+    return { valid: false, error: 'Wallet address must start with 0x' };
+  }
   
-  guiApp.get('/api/status', async (req, res) => {
-    const status = await getSystemStatus(config);
-    res.json(status);
-  });
+  const digits = value.slice(2);
+  if (!/^[0-9a-fA-F]*$/.test(digits)) {
+    return { valid: false, error: 'Wallet address contains non-hexadecimal characters' };
+  }
+  if (digits.length !== 40) {
+    return { valid: false, error: `Wallet address must have 40 hex digits after 0x (got ${digits.length})` };
+  }
   
-  guiApp.get('/api/logs', async (req, res) => {
-    const logs = await getRecentLogs();
-    res.json({ logs });
-  });
+  const hash = keccak256(digits.toLowerCase());
+  const checksummed = '0x' + digits.toLowerCase().split('').map((char, i) =>
+    parseInt(hash[i], 16) >= 8 ? char.toUpperCase() : char
+  ).join('');
   
-  guiApp.get('/api/performance', async (req, res) => {
-    const performance = await getPerformanceData(config);
-    res.json(performance);
-  });
+  if (digits === digits.toLowerCase() || digits === digits.toUpperCase()) {
+    return {
+      valid: true,
+      checksummed,
+      warning: `Wallet address has no EIP-55 checksum, so typos cannot be detected. Double-check it or use ${checksummed}`
+    };
+  }
   
-  guiApp.get('/api/points', async (req, res) => {
-    const points = await getPointsData(config);
-    res.json(points);
-  });
+  if ('0x' + digits !== checksummed) {
+    return { valid: false, checksummed, error: 'Wallet address checksum does not match - it probably contains a typo' };
+  }
   
-  guiApp.post('/api/install-web-service', async (req, res) => {
-    try {
-      const result = await installWebServiceFile();
-      res.json(result);
-    } catch (error) {
-      res.json({ success: false, error: error.message });
-    }
-  });
+  return { valid: true, checksummed };
+}
+
+/**
+ * Check a wallet address before it is written to the config
+ * Warnings are printed; invalid addresses are rejected unless forced
+ * @param {string} address The wallet address to check
+ * @param {boolean} force Accept an invalid address with a warning
+ * @param {string} [forceFlag] The flag that sets force, for the messages
+ * @returns {true|string} True when the address may be saved, otherwise an error message
+ */
+function checkWalletAddress(address, force, forceFlag = '--force') {
+  const result = validateWalletAddress(address);
   
-  guiApp.get('/api/check-updates', async (req, res) => {
-    try {
-      const images = [
-        'cdrakep/synqchronizer:latest',
-        'cdrakep/synqchronizer-test-fixed:latest'
-      ];
-      
-      const updateStatus = [];
-      let totalUpdates = 0;
-      
-      for (const imageName of images) {
-        try {
-          const hasUpdate = await isNewDockerImageAvailable(imageName);
-          updateStatus.push({
-            name: imageName,
-            updateAvailable: hasUpdate,
-            checked: true
-          });
-          if (hasUpdate) totalUpdates++;
-        } catch (error) {
-          updateStatus.push({
-            name: imageName,
-            updateAvailable: false,
-            checked: false,
-            error: error.message
-          });
-        }
-      }
-      
-      res.json({
-        success: true,
-        totalUpdates,
-        images: updateStatus,
-        timestamp: new Date().toISOString()
-      });
-    } catch (error) {
-      res.json({ success: false, error: error.message });
+  if (!result.valid) {
+    if (!force || !address) {
+      return result.error + (address ? ` (use ${forceFlag} to save it anyway)` : '');
     }
-  });
+    console.log(chalk.yellow(`\n⚠️  ${result.error}`));
+    console.log(chalk.yellow(`Saving it anyway because ${forceFlag} was given.`));
+    return true;
+  }
   
-  guiApp.post('/api/pull-image', async (req, res) => {
-    try {
-      const { imageName } = req.body;
-      
-      if (!imageName) {
-        return res.json({ success: false, error: 'Image name is required' });
-      }
-      
-      // Security check - only allow known synchronizer images
-      const allowedImages = [
-        'cdrakep/synqchronizer:latest',
-        'cdrakep/synqchronizer-test-fixed:latest'
-      ];
-      
-      if (!allowedImages.includes(imageName)) {
-        return res.json({ success: false, error: 'Image not allowed' });
-      }
-      
-      execSync(`docker pull ${imageName}`, { stdio: 'pipe' });
-      res.json({ 
-        success: true, 
-        message: `Successfully pulled ${imageName}`,
-        timestamp: new Date().toISOString()
-      });
-    } catch (error) {
-      res.json({ success: false, error: error.message });
-    }
-  });
+  if (result.warning) {
+    console.log(chalk.yellow(`\n⚠️  ${result.warning}`));
+  }
+  return true;
+}
+
+/**
+ * Check if a synq key is valid by calling the remote API
+ * @param {string} key The synq key to check
+ * @param {string} nickname Optional nickname for the synchronizer
+ * @returns {Promise<{isValid: boolean, message: string}>} Result object with validation status and message
+ */
+async function validateSynqKeyWithAPI(key, nickname = '') {
+  const DOMAIN = 'multisynq.io';
+  const SYNQ_KEY_URL = `https://api.${DOMAIN}/depin/synchronizers/key`;
   
-  // Metrics endpoint (no auth required for monitoring)
-  metricsApp.get('/metrics', async (req, res) => {
-    const metrics = await generateMetrics(config);
-    res.json(metrics);
-  });
+  // If no nickname is provided, use a default one to prevent the "missing synchronizer name" error
+  const syncNickname = nickname || 'cli-validator';
   
-  metricsApp.get('/health', async (req, res) => {
-    const health = await getHealthStatus();
-    res.json(health);
-  });
+  const url = `${SYNQ_KEY_URL}/${key}/precheck?nickname=${encodeURIComponent(syncNickname)}`;
   
-  // Start servers
-  const guiServer = guiApp.listen(guiPort, '0.0.0.0', () => {
-    console.log(chalk.green(`🎨 Web Dashboard: http://${primaryIP}:${guiPort}`));
-    if (config.dashboardPassword) {
-      console.log(chalk.gray('   Use any username with your configured password to access'));
-    }
-  });
+  console.log(chalk.gray(`Validating synq key with remote API...`));
   
-  const metricsServer = metricsApp.listen(metricsPort, '0.0.0.0', () => {
-    console.log(chalk.green(`📊 Metrics API: http://${primaryIP}:${metricsPort}/metrics`));
-    console.log(chalk.green(`❤️  Health Check: http://${primaryIP}:${metricsPort}/health`));
+  try {
+    const response = await fetch(url);
+    const keyStatus = await response.text();
     
-    // Show local URLs in a separate section if not localhost
-    if (primaryIP !== 'localhost') {
-      console.log(chalk.blue('\n📍 Local Access:'));
-      console.log(chalk.gray(`   Dashboard: http://localhost:${guiPort}`));
-      console.log(chalk.gray(`   Metrics: http://localhost:${metricsPort}/metrics`));
-      console.log(chalk.gray(`   Health: http://localhost:${metricsPort}/health`));
+    if (keyStatus === 'ok') {
+      return { isValid: true, message: 'Key is valid and available' };
+    } else {
+      return { isValid: false, message: keyStatus };
     }
-  });
-  
-  console.log(chalk.blue('\n🔄 Auto-refresh dashboard every 5 seconds'));
-  console.log(chalk.gray('Press Ctrl+C to stop the web servers\n'));
-  
-  // Graceful shutdown
-  process.on('SIGINT', () => {
-    console.log(chalk.yellow('\n🛑 Shutting down web servers...'));
-    guiServer.close();
-    metricsServer.close();
-    process.exit(0);
-  });
-  
-  // Keep the process alive
-  setInterval(() => {
-    // Just keep alive, servers handle requests
-  }, 1000);
+  } catch (error) {
+    return { 
+      isValid: false, 
+      message: `Could not validate key with API: ${error.message}. Will proceed with local validation only.` 
+    };
+  }
 }
 
-async function findAvailablePort(startPort) {
-  const net = require('net');
+/**
+ * Run the same synq key checks for interactive and non-interactive setup
+ * Format problems and key-specific API errors are rejected, network errors only warn
+ * @param {string} key The synq key to check
+ * @param {string} nickname Nickname sent with the API precheck
+ * @returns {Promise<true|string>} True when the key is acceptable, otherwise an error message
+ */
+async function checkSynqKey(key, nickname) {
+  if (!key) return 'Synq key is required';
   
-  return new Promise((resolve, reject) => {
-    // Limit the search to prevent infinite loops
-    const maxAttempts = 100;
-    let attempts = 0;
+  // First validate the format locally
+  if (!validateSynqKeyFormat(key)) {
+    return 'Invalid synq key format. Must be a valid UUID v4 format (XXXXXXXX-XXXX-4XXX-YXXX-XXXXXXXXXXXX where Y is 8, 9, A, or B)';
+  }
+  
+  // If local validation passes, try remote validation with the userName
+  try {
+    const validationResult = await validateSynqKeyWithAPI(key, nickname || 'cli-setup');
     
-    function tryPort(port) {
-      if (attempts >= maxAttempts) {
-        reject(new Error(`Could not find available port after ${maxAttempts} attempts starting from ${startPort}`));
-        return;
+    if (!validationResult.isValid) {
+      // If API returns an error specific to the key, show it
+      if (validationResult.message.includes('Key')) {
+        return validationResult.message;
       }
-      
-      attempts++;
-      const server = net.createServer();
-      
-      server.listen(port, () => {
-        const actualPort = server.address().port;
-        server.close(() => resolve(actualPort));
-      });
-      
-      server.on('error', (err) => {
-        if (err.code === 'EADDRINUSE') {
-          // Port is busy, try the next one
-          tryPort(port + 1);
-        } else {
-          // Other error, try next port anyway
-          tryPort(port + 1);
-        }
-      });
+      // For network errors, we'll accept the key if it passed format validation
+      console.log(chalk.yellow(`⚠️  ${validationResult.message}`));
+      console.log(chalk.yellow('Continuing with local validation only.'));
+    } else {
+      console.log(chalk.green('✅ Key validated successfully with API'));
     }
     
-    tryPort(startPort);
-  });
+    return true;
+  } catch (error) {
+    // If API validation fails for any reason, accept the key if it passed format validation
+    console.log(chalk.yellow(`⚠️  API validation error: ${error.message}`));
+    console.log(chalk.yellow('Continuing with local validation only.'));
+    return true;
+  }
+}
+
+/**
+ * Build a fresh config from setup answers, generating secret and syncHash for this host
+ * @param {object} answers userName, key, wallet and optional dashboardPassword
+ * @returns {object} Config ready for saveConfig
+ */
+function buildNewConfig(answers) {
+  const secret = crypto.randomBytes(8).toString('hex');
+  const hostname = os.hostname();
+  const syncHash = generateSyncHash(answers.userName, secret, hostname);
+
+  const config = {
+    ...answers,
+    secret,
+    hostname,
+    syncHash,
+    depin: DEFAULT_DEPIN_URL,
+    launcher: 'cli'
+  };
+
+  if (!config.dashboardPassword) {
+    delete config.dashboardPassword;
+  }
+
+  return config;
+}
+
+function reportSavedConfig(config) {
+  console.log(chalk.green('Configuration saved to'), getConfigFile());
+  
+  if (config.dashboardPassword) {
+    console.log(chalk.yellow('🔒 Dashboard password protection enabled'));
+    console.log(chalk.gray('Use any username with your password to access the web dashboard'));
+  } else {
+    console.log(chalk.yellow('⚠️  Dashboard is unprotected - synq key will be visible to anyone'));
+  }
+}
+
+/**
+ * Values for init supplied through flags, falling back to SYNQ_* environment variables
+ */
+function getInitValues(options) {
+  return {
+    userName: options.name !== undefined ? options.name : (process.env.SYNQ_NAME || ''),
+    key: options.key || process.env.SYNQ_KEY,
+    wallet: options.wallet || process.env.SYNQ_WALLET,
+    dashboardPassword: options.dashboardPassword || process.env.SYNQ_DASHBOARD_PASSWORD,
+    force: !!options.force
+  };
+}
+
+/**
+ * Configure without prompts (init --yes) for cloud scripts and automation
+ */
+async function initNonInteractive(values) {
+  const missing = [];
+  if (!values.key) missing.push('synq key (--key or SYNQ_KEY)');
+  if (!values.wallet) missing.push('wallet (--wallet or SYNQ_WALLET)');
+  
+  if (missing.length > 0) {
+    console.error(chalk.red('❌ Missing required values for non-interactive init:'));
+    for (const item of missing) {
+      console.error(chalk.red(`   • ${item}`));
+    }
+    process.exit(1);
+  }
+  
+  const walletResult = checkWalletAddress(values.wallet, values.force);
+  if (walletResult !== true) {
+    console.error(chalk.red(`❌ ${walletResult}`));
+    process.exit(1);
+  }
+  
+  if (values.dashboardPassword && values.dashboardPassword.length < 4) {
+    console.error(chalk.red('❌ Dashboard password must be at least 4 characters'));
+    process.exit(1);
+  }
+  
+  const keyResult = await checkSynqKey(values.key, values.userName);
+  if (keyResult !== true) {
+    console.error(chalk.red(`❌ ${keyResult}`));
+    process.exit(1);
+  }
+  
+  delete values.force;
+  values.wallet = values.wallet.trim();
+  const config = buildNewConfig(values);
+  saveConfig(config);
+  reportSavedConfig(config);
+}
+
+async function init(options = {}) {
+  const values = getInitValues(options);
+  
+  if (options.yes) {
+    return initNonInteractive(values);
+  }
+  
+  const questions = [];
+
+  questions.push({
+    type: 'input',
+    name: 'userName',
+    message: 'Optional sync name (for your reference only):',
+    default: values.userName
+  });
+
+  // Get the userName first
+  const userNameAnswer = await inquirer.prompt([questions[0]]);
+  const userName = userNameAnswer.userName;
+
+  // Then use it when validating the key
+  const keyQuestion = {
+    type: 'input',
+    name: 'key',
+    message: 'Synq key:',
+    default: values.key,
+    validate: input => checkSynqKey(input, userName)
+  };
+  
+  // Add the key question and wallet question
+  const remainingQuestions = [
+    keyQuestion,
+    {
+      type: 'input',
+      name: 'wallet',
+      message: 'Wallet address:',
+      default: values.wallet,
+      validate: input => checkWalletAddress(input, values.force),
+    },
+    {
+      type: 'confirm',
+      name: 'setDashboardPassword',
+      message: 'Set a password for the web dashboard? (Recommended for security):',
+      default: true
+    }
+  ];
+
+  // Get answers for the remaining questions
+  const remainingAnswers = await inquirer.prompt(remainingQuestions);
+  
+  // Combine all answers
+  const answers = {
+    ...userNameAnswer,
+    ...remainingAnswers
+  };
+
+  // Ask for password if user wants to set one
+  if (answers.setDashboardPassword) {
+    const passwordQuestions = [{
+      type: 'password',
+      name: 'dashboardPassword',
+      message: 'Dashboard password:',
+      validate: input => input && input.length >= 4 ? true : 'Password must be at least 4 characters',
+      mask: '*'
+    }];
+    
+    const passwordAnswers = await inquirer.prompt(passwordQuestions);
+    answers.dashboardPassword = passwordAnswers.dashboardPassword;
+  }
+
+  // Remove the setDashboardPassword flag from config
+  delete answers.setDashboardPassword;
+  answers.wallet = answers.wallet.trim();
+
+  const config = buildNewConfig(answers);
+  saveConfig(config);
+  reportSavedConfig(config);
+}
+
+/**
+ * Select the container runtime from the --runtime option or SYNCHRONIZER_RUNTIME
+ * Without either, the runtime setting in the config or detection decides
+ * @param {string} name Runtime from the --runtime option
+ */
+function setContainerRuntime(name) {
+  const runtime = name || process.env.SYNCHRONIZER_RUNTIME;
+  if (runtime && !CONTAINER_RUNTIMES.includes(runtime)) {
+    console.error(chalk.red(`Unknown container runtime "${runtime}" - use ${CONTAINER_RUNTIMES.join(' or ')}.`));
+    process.exit(1);
+  }
+  runtimeOverride = runtime || null;
+}
+
+/**
+ * Docker if it is installed, otherwise Podman
+ * The podman-docker package installs a docker command that runs Podman, so check what it reports
+ */
+function detectContainerRuntime() {
+  try {
+    const version = execSync('docker --version', { encoding: 'utf8', stdio: 'pipe' });
+    return /podman/i.test(version) ? 'podman' : 'docker';
+  } catch (error) {
+    try {
+      execSync('podman --version', { stdio: 'ignore' });
+      return 'podman';
+    } catch (podmanError) {
+      return 'docker';
+    }
+  }
+}
+
+/**
+ * Container runtime binary for every container command: docker or podman
+ */
+function getContainerRuntime() {
+  if (!containerRuntime) {
+    let configured = null;
+    try {
+      const config = readConfigFile();
+      configured = config && config.runtime;
+    } catch (error) {
+      // Invalid JSON is reported when the config is loaded
+    }
+    containerRuntime = runtimeOverride || configured || detectContainerRuntime();
+  }
+  return containerRuntime;
+}
+
+function getContainerRuntimeLabel() {
+  return getContainerRuntime() === 'podman' ? 'Podman' : 'Docker';
+}
+
+/**
+ * Whether rootless Podman runs for this user (no root, no group membership needed)
+ */
+function isRootlessPodman() {
+  return getContainerRuntime() === 'podman' && process.getuid && process.getuid() !== 0;
+}
+
+function checkDocker() {
+  try {
+    execSync(`${getContainerRuntime()} --version`, { stdio: 'ignore' });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+async function installDocker() {
+  const platform = os.platform();
+  
+  console.log(chalk.blue('🐳 Docker Installation Helper'));
+  console.log(chalk.yellow('This will help you install Docker on your system.\n'));
+
+  if (platform === 'linux') {
+    const distro = await detectLinuxDistro();
+    console.log(chalk.cyan(`Detected Linux distribution: ${distro}`));
+    
+    const confirm = await inquirer.prompt([{
+      type: 'confirm',
+      name: 'install',
+      message: 'Would you like to install Docker automatically?',
+      default: true
+    }]);
+
+    if (confirm.install) {
+      await installDockerLinux(distro);
+    } else {
+      showManualInstructions(platform);
+    }
+  } else {
+    console.log(chalk.yellow(`Automatic installation not supported on ${platform}.`));
+    showManualInstructions(platform);
+  }
+}
+
+async function detectLinuxDistro() {
+  try {
+    const release = fs.readFileSync('/etc/os-release', 'utf8');
+    if (release.includes('ubuntu') || release.includes('Ubuntu')) return 'ubuntu';
+    if (release.includes('debian') || release.includes('Debian')) return 'debian';
+    if (release.includes('centos') || release.includes('CentOS')) return 'centos';
+    if (release.includes('rhel') || release.includes('Red Hat')) return 'rhel';
+    if (release.includes('fedora') || release.includes('Fedora')) return 'fedora';
+    return 'unknown';
+  } catch (error) {
+    return 'unknown';
+  }
+}
+
+async function installDockerLinux(distro) {
+  console.log(chalk.blue('Installing Docker...'));
+  
+  try {
+    if (distro === 'ubuntu' || distro === 'debian') {
+      console.log(chalk.cyan('Updating package index...'));
+      execSync('sudo apt-get update', { stdio: 'inherit' });
+      
+      console.log(chalk.cyan('Installing prerequisites...'));
+      execSync('sudo apt-get install -y apt-transport-https ca-certificates curl gnupg lsb-release', { stdio: 'inherit' });
+      
+      console.log(chalk.cyan('Adding Docker GPG key...'));
+      execSync('curl -fsSL https://download.docker.com/linux/ubuntu/gpg | sudo gpg --dearmor -o /usr/share/keyrings/docker-archive-keyring.gpg', { stdio: 'inherit' });
+      
+      console.log(chalk.cyan('Adding Docker repository...'));
+      const arch = execSync('dpkg --print-architecture', { encoding: 'utf8' }).trim();
+      const codename = execSync('lsb_release -cs', { encoding: 'utf8' }).trim();
+      execSync(`echo "deb [arch=${arch} signed-by=/usr/share/keyrings/docker-archive-keyring.gpg] https://download.docker.com/linux/ubuntu ${codename} stable" | sudo tee /etc/apt/sources.list.d/docker.list > /dev/null`, { stdio: 'inherit' });
+      
+      console.log(chalk.cyan('Installing Docker...'));
+      execSync('sudo apt-get update', { stdio: 'inherit' });
+      execSync('sudo apt-get install -y docker-ce docker-ce-cli containerd.io', { stdio: 'inherit' });
+      
+    } else if (distro === 'centos' || distro === 'rhel' || distro === 'fedora') {
+      console.log(chalk.cyan('Installing Docker via yum/dnf...'));
+      const installer = distro === 'fedora' ? 'dnf' : 'yum';
+      execSync(`sudo ${installer} install -y yum-utils`, { stdio: 'inherit' });
+      execSync(`sudo ${installer}-config-manager --add-repo https://download.docker.com/linux/centos/docker-ce.repo`, { stdio: 'inherit' });
+      execSync(`sudo ${installer} install -y docker-ce docker-ce-cli containerd.io`, { stdio: 'inherit' });
+    }
+    
+    console.log(chalk.cyan('Starting Docker service...'));
+    execSync('sudo systemctl start docker', { stdio: 'inherit' });
+    execSync('sudo systemctl enable docker', { stdio: 'inherit' });
+    
+    console.log(chalk.cyan('Adding user to docker group...'));
+    const username = os.userInfo().username;
+    execSync(`sudo usermod -aG docker ${username}`, { stdio: 'inherit' });
+    
+    console.log(chalk.green('✅ Docker installed successfully!'));
+    console.log(chalk.yellow('⚠️  You may need to log out and log back in for group changes to take effect.'));
+    console.log(chalk.blue('You can test Docker with: docker run hello-world'));
+    
+  } catch (error) {
+    console.error(chalk.red('❌ Failed to install Docker automatically.'));
+    console.error(chalk.red('Error:', error.message));
+    showManualInstructions('linux');
+  }
+}
+
+function showManualInstructions(platform) {
+  console.log(chalk.blue('\n📖 Manual Installation Instructions:'));
+  
+  if (platform === 'linux') {
+    console.log(chalk.white('For Ubuntu/Debian:'));
+    console.log(chalk.gray('  curl -fsSL https://get.docker.com -o get-docker.sh'));
+    console.log(chalk.gray('  sudo sh get-docker.sh'));
+    console.log(chalk.white('\nFor CentOS/RHEL/Fedora:'));
+    console.log(chalk.gray('  sudo yum install -y docker-ce'));
+    console.log(chalk.gray('  sudo systemctl start docker'));
+  } else if (platform === 'darwin') {
+    console.log(chalk.white('For macOS:'));
+    console.log(chalk.gray('  Download Docker Desktop from: https://docs.docker.com/desktop/mac/install/'));
+    console.log(chalk.gray('  Or install via Homebrew: brew install --cask docker'));
+  } else if (platform === 'win32') {
+    console.log(chalk.white('For Windows:'));
+    console.log(chalk.gray('  Download Docker Desktop from: https://docs.docker.com/desktop/windows/install/'));
+  }
+  
+  console.log(chalk.blue('\nFor more details: https://docs.docker.com/get-docker/'));
+}
+
+/**
+ * Look up a container by exact name
+ * @param {string} name Container name
+ * @returns {{id: string, running: boolean, autoRemove: boolean, restartPolicy: string}|null} Null when it does not exist
+ */
+function inspectContainer(name) {
+  try {
+    const output = execSync(`${getContainerRuntime()} inspect --format "{{.Id}} {{.State.Running}} {{.HostConfig.AutoRemove}} {{.HostConfig.RestartPolicy.Name}}" ${name}`, {
+      encoding: 'utf8',
+      stdio: 'pipe'
+    });
+    const [id, running, autoRemove, restartPolicy] = output.trim().split(' ');
+    return { id, running: running === 'true', autoRemove: autoRemove === 'true', restartPolicy: restartPolicy || 'no' };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Print troubleshooting help for a failed docker run
+ * @param {number} code Exit code of the docker client
+ * @param {string} containerName Container that failed
+ * @param {string} imageName Image that was launched
+ */
+function explainDockerExitCode(code, containerName, imageName = DEFAULT_IMAGE) {
+  if (code === 126 && getContainerRuntime() === 'podman') {
+    console.error(chalk.red('❌ Podman permission denied.'));
+    console.error(chalk.yellow('Rootless Podman needs subordinate UID/GID ranges for your user.'));
+    console.error(chalk.blue('\n🔧 Check your setup with:'));
+    console.error(chalk.gray('   synchronize fix-docker'));
+  } else if (code === 126) {
+    console.error(chalk.red('❌ Docker permission denied.'));
+    console.error(chalk.yellow('This usually means your user is not in the docker group.'));
+    console.error(chalk.blue('\n🔧 To fix this:'));
+    console.error(chalk.white('1. Add your user to the docker group:'));
+    console.error(chalk.gray(`   sudo usermod -aG docker ${os.userInfo().username}`));
+    console.error(chalk.white('2. Log out and log back in (or restart your terminal)'));
+    console.error(chalk.white('3. Test with: docker run hello-world'));
+    console.error(chalk.blue('\n💡 Alternative: Run with sudo (not recommended):'));
+    console.error(chalk.gray('   sudo synchronize start'));
+    console.error(chalk.blue('\n🔧 Or use the fix command:'));
+    console.error(chalk.gray('   synchronize fix-docker'));
+  } else if (code === 125) {
+    console.error(chalk.red('❌ Docker container failed to start.'));
+    console.error(chalk.yellow('This might be due to platform architecture issues.'));
+    console.error(chalk.blue('\n🔧 Troubleshooting steps:'));
+    console.error(chalk.gray('1. Test platform compatibility:'));
+    console.error(chalk.gray('   synchronize test-platform'));
+    console.error(chalk.gray('2. Check Docker logs:'));
+    console.error(chalk.gray(`   docker logs ${containerName}`));
+    console.error(chalk.gray('3. Try running with different platform:'));
+    console.error(chalk.gray(`   docker run --platform linux/amd64 ${imageName} --help`));
+  } else if (code !== 0) {
+    console.error(chalk.red(`Docker process exited with code ${code}`));
+  }
+}
+
+const DEFAULT_ROLLBACK_WINDOW = 300;
+
+/**
+ * Follow a container's output until the synchronizer reports proxy-connected
+ * A stream that closes without ending (daemon restart, dropped socket) says nothing about the container.
+ * @returns {Promise<string>} connected, exited, timeout or unknown
+ */
+async function waitForProxyConnected(containerName, timeoutMs) {
+  let settle;
+  const outcome = new Promise(resolve => {
+    settle = resolve;
+  });
+  const timer = setTimeout(() => settle('timeout'), timeoutMs);
+  
+  let logs = null;
+  try {
+    logs = await dockerContainerLogs(containerName, { follow: true }, line => {
+      if (line.includes('proxy-connected')) {
+        settle('connected');
+      }
+    });
+    // A followed log stream ends when the container stops
+    let ended = false;
+    logs.on('end', () => {
+      ended = true;
+      settle('exited');
+    });
+    logs.on('close', () => {
+      if (!ended) {
+        settle('unknown');
+      }
+    });
+    logs.on('error', () => settle('unknown'));
+  } catch (error) {
+    settle('exited');
+  }
+  
+  const result = await outcome;
+  clearTimeout(timer);
+  if (logs) {
+    logs.destroy();
+  }
+  return result;
+}
+
+/**
+ * Watch a freshly launched container whose image digest has not proven itself yet
+ * Only start() calls this; the systemd unit, compose files and print-command run the container without it.
+ * A digest that reaches proxy-connected within the rollback window becomes the last known-good one.
+ * One that exits or stays silent is replaced: the previous good digest is pinned in the config.
+ * @param {object} spec Launch spec the container was started from
+ * @param {object} config Loaded config
+ * @param {function} hasExited Tells whether the docker run process is already gone
+ * @returns {Promise<string|null>} Pinned image reference to relaunch with, or null to carry on
+ */
+async function verifyLaunchedImage(spec, config, hasExited = () => false) {
+  const windowSeconds = config.rollbackWindow !== undefined ? config.rollbackWindow : DEFAULT_ROLLBACK_WINDOW;
+  if (!windowSeconds || spec.image.pinned) {
+    return null;
+  }
+  
+  const deadline = Date.now() + windowSeconds * 1000;
+  const state = loadImageState();
+  const known = state.lastKnownGood[spec.kind];
+  const knownForImage = known && known.name === spec.image.name ? known : null;
+  
+  let digests;
+  try {
+    // The image start() just pulled; docker run only pulls again if the registry moved on in between
+    digests = await getLocalImageDigests(spec.image);
+  } catch (error) {
+    console.log(chalk.gray(`Image health check skipped: ${error.message}`));
+    return null;
+  }
+  if (!digests || digests.length === 0 || (knownForImage && digests.includes(knownForImage.digest))) {
+    return null;
+  }
+  const digest = digests[0];
+  
+  console.log(chalk.cyan(`🩺 New image digest ${digest.slice(0, 19)}… - waiting up to ${windowSeconds}s for proxy-connected`));
+  
+  let outcome = 'timeout';
+  try {
+    // docker run may still be creating the container
+    let container = null;
+    while (!container && !hasExited() && Date.now() < deadline) {
+      container = await dockerInspectContainer(spec.containerName);
+      if (!container) {
+        await new Promise(resolve => setTimeout(resolve, 1000));
+      }
+    }
+    if (container) {
+      outcome = await waitForProxyConnected(spec.containerName, Math.max(deadline - Date.now(), 0));
+    } else if (hasExited()) {
+      outcome = 'exited';
+    }
+  } catch (error) {
+    console.log(chalk.gray(`Image health check skipped: ${error.message}`));
+    return null;
+  }
+  
+  if (outcome === 'unknown') {
+    console.log(chalk.yellow(`⚠️  Lost the log stream of ${spec.containerName} before it connected; not rolling back (checked again on the next start)`));
+    return null;
+  }
+  
+  if (outcome === 'connected') {
+    state.lastKnownGood[spec.kind] = { name: spec.image.name, digest, confirmedAt: new Date().toISOString() };
+    saveImageState(state);
+    recordEvent('image-confirmed', { kind: spec.kind, image: spec.image.name, digest, previousDigest: knownForImage ? knownForImage.digest : null });
+    console.log(chalk.green(`✅ ${spec.image.name}@${digest.slice(0, 19)}… is now the last known-good image`));
+    return null;
+  }
+  
+  const reason = outcome === 'exited' ? 'container exited' : `no proxy-connected within ${windowSeconds}s`;
+  if (!knownForImage) {
+    recordEvent('image-unhealthy', { kind: spec.kind, image: spec.image.name, digest, reason });
+    console.log(chalk.yellow(`⚠️  ${spec.image.name}@${digest.slice(0, 19)}…: ${reason}, but there is no known-good digest to roll back to`));
+    return null;
+  }
+  
+  const pinned = `${spec.image.name}@${knownForImage.digest}`;
+  // Only pin the setting the image came from; a one-off --image launch must not rewrite the config
+  const field = spec.imageFromOption ? null : RELEASE_CHANNELS[spec.kind].imageField;
+  if (field) {
+    saveConfig({ ...config, [field]: pinned });
+  }
+  recordEvent('image-rollback', {
+    kind: spec.kind,
+    image: spec.image.name,
+    badDigest: digest,
+    digest: knownForImage.digest,
+    reason
+  });
+  
+  console.log(chalk.red(`⏪ ${spec.image.name}@${digest.slice(0, 19)}…: ${reason}`));
+  if (!field) {
+    // custom:<image> and --image have no config setting to pin, so only this run uses the known-good digest
+    console.log(chalk.yellow(`   Rolling back to the last known-good digest ${knownForImage.digest.slice(0, 19)}… for this run`));
+    return pinned;
+  }
+  console.log(chalk.yellow(`   Rolling back to the last known-good digest ${knownForImage.digest.slice(0, 19)}… (pinned as ${field})`));
+  console.log(chalk.gray(`   Resume updates later with: synchronize config unset ${field}`));
+  console.log(chalk.gray('   If you use the systemd service, run `synchronize service` again to apply the pin'));
+  return pinned;
+}
+
+const SUPERVISE_BASE_DELAY_MS = 5000;
+const SUPERVISE_MAX_DELAY_MS = 5 * 60 * 1000;
+const SUPERVISE_STABLE_RUN_MS = 10 * 60 * 1000;
+const DEFAULT_SUPERVISE_MAX_RESTARTS = 10;
+
+/**
+ * Restart bookkeeping shared by every start() run of one --supervise session
+ * @param {object} options start() options (maxRestarts)
+ */
+function createSupervisor(options) {
+  const maxRestarts = parseInt(options.maxRestarts, 10);
+  if (options.maxRestarts !== undefined && !(maxRestarts > 0)) {
+    console.error(chalk.red(`❌ --max-restarts must be a positive number, got "${options.maxRestarts}"`));
+    process.exit(1);
+  }
+  return {
+    maxRestartsPerHour: maxRestarts || DEFAULT_SUPERVISE_MAX_RESTARTS,
+    attempt: 0,
+    restartTimes: []
+  };
+}
+
+/**
+ * Decide whether --supervise should restart after the container exited, and wait out the backoff
+ * Clean exits, 125 (container could not start) and 126 (permission denied) end the session;
+ * so do a signal exit after `synchronize stop` and reaching the hourly restart cap
+ * @param {object} supervisor State from createSupervisor()
+ * @param {number} code docker run exit code
+ * @param {number} runMs How long the container ran
+ * @param {string} kind Launch kind for the event log
+ * @param {string} containerName Container that exited
+ * @returns {Promise<boolean>} True when start() should run again
+ */
+async function waitForSupervisedRestart(supervisor, code, runMs, kind, containerName) {
+  if (code === 0 || code === 125 || code === 126 || code === null) {
+    return false;
+  }
+  
+  const now = Date.now();
+  // docker stop ends the container with SIGTERM (143) or SIGKILL (137); stopSynchronizer records a stop event first
+  if ([130, 137, 143].includes(code)) {
+    const runStart = new Date(now - runMs).toISOString();
+    const stopped = readEvents('stop').some(event => event.container === containerName && event.time >= runStart);
+    if (stopped) {
+      recordEvent('supervise-stopped', { kind, exitCode: code, reason: 'stopped with synchronize stop' });
+      console.log(chalk.gray(`Container stopped with \`synchronize stop\` (exit code ${code}) - not restarting`));
+      return false;
+    }
+  }
+  
+  supervisor.restartTimes = supervisor.restartTimes.filter(time => now - time < 60 * 60 * 1000);
+  if (supervisor.restartTimes.length >= supervisor.maxRestartsPerHour) {
+    recordEvent('supervise-stopped', { kind, exitCode: code, reason: `${supervisor.maxRestartsPerHour} restarts within an hour` });
+    console.error(chalk.red(`❌ Giving up: ${supervisor.maxRestartsPerHour} restarts within the last hour`));
+    console.error(chalk.gray('   See the restart history with: synchronize events --type restart'));
+    return false;
+  }
+  
+  // A container that stayed up for a while starts the backoff over
+  if (runMs >= SUPERVISE_STABLE_RUN_MS) {
+    supervisor.attempt = 0;
+  }
+  
+  // Exponential backoff with equal jitter so many nodes do not reconnect in lockstep
+  const ceiling = Math.min(SUPERVISE_MAX_DELAY_MS, SUPERVISE_BASE_DELAY_MS * Math.pow(2, supervisor.attempt));
+  const delayMs = Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+  supervisor.attempt++;
+  supervisor.restartTimes.push(now);
+  
+  recordEvent('restart', {
+    kind,
+    exitCode: code,
+    attempt: supervisor.attempt,
+    delaySeconds: Math.round(delayMs / 1000),
+    ranSeconds: Math.round(runMs / 1000)
+  });
+  console.log(chalk.yellow(`🔁 Container exited with code ${code} - restarting in ${Math.round(delayMs / 1000)}s (restart ${supervisor.restartTimes.length}/${supervisor.maxRestartsPerHour} this hour)`));
+  
+  await new Promise(resolve => setTimeout(resolve, delayMs));
+  return true;
+}
+
+async function start(options = {}) {
+  const config = loadConfig();
+  if (!config.key) {
+    console.error(chalk.red('Missing synq key. Run `synchronize init` first.'));
+    process.exit(1);
+  }
+
+  if (config.hostname !== os.hostname()) {
+    console.error(chalk.red(`This config was created for ${config.hostname}, not ${os.hostname()}.`));
+    console.error(chalk.yellow('If this machine was renamed, run `synchronize rebind` to update the config.'));
+    process.exit(1);
+  }
+
+  ensureValidConfig(config);
+
+  if (options.supervise && options.detach) {
+    console.error(chalk.red('❌ --supervise and --detach cannot be combined'));
+    console.error(chalk.yellow('Detached containers are restarted by Docker (see --restart)'));
+    process.exit(1);
+  }
+  if (options.supervise && !options.supervisor) {
+    options = { ...options, supervisor: createSupervisor(options) };
+  }
+
+  const restartPolicy = options.restart || 'unless-stopped';
+  if (options.detach && !/^(no|always|unless-stopped|on-failure(:\d+)?)$/.test(restartPolicy)) {
+    console.error(chalk.red(`❌ Unknown restart policy "${restartPolicy}"`));
+    console.error(chalk.yellow('Use no, always, unless-stopped or on-failure[:max-retries]'));
+    process.exit(1);
+  }
+
+  // Check if Docker is installed
+  if (!checkDocker()) {
+    console.error(chalk.red('Docker is not installed or not accessible.'));
+    
+    const shouldInstall = await inquirer.prompt([{
+      type: 'confirm',
+      name: 'install',
+      message: 'Would you like to install Docker now?',
+      default: true
+    }]);
+
+    if (shouldInstall.install) {
+      await installDocker();
+      
+      // Check again after installation
+      if (!checkDocker()) {
+        console.error(chalk.red('Docker installation may have failed or requires a restart.'));
+        console.error(chalk.yellow('Please try running the command again after restarting your terminal.'));
+        process.exit(1);
+      }
+    } else {
+      console.error(chalk.yellow('Please install Docker first: https://docs.docker.com/get-docker/'));
+      process.exit(1);
+    }
+  }
+  
+  const syncName = config.syncHash;
+  const channel = resolveChannel(options.channel, config);
+  const containerName = channel.containerName;
+  if (channel.name !== 'stable') {
+    console.log(chalk.magenta(`📡 Release channel: ${channel.id} (container ${containerName})`));
+  }
+
+  // Check if container is already running
+  const existingContainer = inspectContainer(containerName);
+  if (existingContainer && existingContainer.running) {
+    if (options.detach) {
+      console.log(chalk.green(`✅ Synchronizer container is already running (${existingContainer.id.slice(0, 12)})`));
+      return;
+    }
+    
+    console.log(chalk.green(`✅ Found existing synchronizer container running`));
+    
+    // Containers started with --detach are left running when we disconnect
+    const detached = !existingContainer.autoRemove;
+    console.log(chalk.cyan(detached
+      ? `🔗 Connecting to logs... (Ctrl+C detaches, the container keeps running)`
+      : `🔗 Connecting to logs... (Ctrl+C will stop the container)`));
+    
+    // Connect to the existing container's logs
+    const logProc = spawn(getContainerRuntime(), ['logs', '-f', ...(detached ? ['--tail', '50'] : []), containerName], { stdio: 'inherit' });
+    
+    // Handle Ctrl+C to stop the container
+    const cleanup = () => {
+      if (detached) {
+        console.log(chalk.gray('\nDetached - stop the container with `synchronize stop`'));
+        process.exit(0);
+      }
+      
+      console.log(chalk.yellow('\n🛑 Stopping synchronizer container...'));
+      try {
+        execSync(`${getContainerRuntime()} stop ${containerName}`, { stdio: 'pipe' });
+        console.log(chalk.green('✅ Container stopped'));
+      } catch (error) {
+        console.log(chalk.red('❌ Error stopping container:', error.message));
+      }
+      process.exit(0);
+    };
+    
+    process.on('SIGINT', cleanup);
+    process.on('SIGTERM', cleanup);
+    
+    logProc.on('exit', (code) => {
+      process.exit(code);
+    });
+    
+    return;
+  }
+  
+  // A stopped container left by an earlier --detach run would block the name
+  if (existingContainer) {
+    console.log(chalk.gray(`Removing stopped container ${containerName} from an earlier run`));
+    try {
+      execSync(`${getContainerRuntime()} rm ${containerName}`, { stdio: 'pipe' });
+    } catch (error) {
+      console.error(chalk.red(`❌ Could not remove stopped container ${containerName}:`), error.message);
+      process.exit(1);
+    }
+  }
+
+  const spec = buildLaunchSpec(config, { ...options, restart: restartPolicy });
+  console.log(chalk.blue(`Detected platform: ${os.platform()}/${os.arch()} -> Using Docker platform: ${spec.platform}`));
+  console.log(chalk.cyan(`Using launcher identifier: ${spec.launcher}`));
+
+  // Check if we need to pull the latest Docker image
+  const image = spec.image;
+  const imageName = image.reference;
+  if (image.pinned) {
+    console.log(chalk.cyan(`📌 Image pinned to ${image.digest} - automatic pulls are disabled`));
+  }
+  let shouldPull = true;
+  try {
+    shouldPull = await isNewDockerImageAvailable(imageName, config);
+  } catch (error) {
+    console.log(chalk.yellow(`⚠️  Could not check the registry for updates: ${error.message}`));
+  }
+  
+  // Pull the latest image only if necessary
+  if (shouldPull) {
+    console.log(chalk.cyan('Pulling latest Docker image...'));
+    try {
+      await dockerPullImage(imageName, { platform: spec.platform, onProgress: createPullProgressPrinter() });
+      console.log(chalk.green('✅ Docker image pulled successfully'));
+    } catch (error) {
+      console.log(chalk.yellow('⚠️  Could not pull latest image - will use local cache if available'));
+      console.log(chalk.gray(error.message));
+    }
+  }
+
+  // Create Docker command
+  const dockerCmd = getContainerRuntime();
+  const args = getDockerRunArgs(spec);
+
+  console.log(chalk.cyan(`Running synchronizer "${syncName}" with wallet ${config.wallet || '[none]'}`));
+  
+  // For debugging
+  console.log(chalk.gray(`Running command: ${dockerCmd} ${args.join(' ')}`));
+  
+  if (options.detach) {
+    // docker run --detach prints only the container ID on stdout; pull progress goes to stderr
+    const result = spawnSync(dockerCmd, args, { encoding: 'utf8', stdio: ['ignore', 'pipe', 'inherit'] });
+    
+    if (result.error) {
+      if (result.error.code === 'ENOENT') {
+        console.error(chalk.red('Docker command not found. Please ensure Docker is installed and in your PATH.'));
+      } else {
+        console.error(chalk.red('Error running Docker:'), result.error.message);
+      }
+      process.exit(1);
+    }
+    if (result.status !== 0) {
+      explainDockerExitCode(result.status, containerName, imageName);
+      process.exit(result.status);
+    }
+    
+    // A new digest has to prove itself before we hand over to Docker's restart policy
+    const pinned = await verifyLaunchedImage(spec, config);
+    if (pinned) {
+      spawnSync(dockerCmd, ['rm', '--force', containerName], { stdio: 'ignore' });
+      return start({ ...options, image: pinned });
+    }
+    
+    console.log(chalk.green('✅ Synchronizer is running in the background'));
+    console.log(chalk.cyan(`🆔 Container ID: ${result.stdout.trim()}`));
+    console.log(chalk.gray(`   Restart policy: ${restartPolicy}`));
+    console.log(chalk.gray('   Follow logs: synchronize logs --follow'));
+    console.log(chalk.gray('   Stop:        synchronize stop'));
+    return;
+  }
+  
+  const startedAt = Date.now();
+  const proc = spawn(dockerCmd, args, { stdio: 'inherit' });
+  
+  // Handle Ctrl+C to stop the container
+  const cleanup = () => {
+    console.log(chalk.yellow('\n🛑 Stopping synchronizer container...'));
+    try {
+      execSync(`${getContainerRuntime()} stop ${containerName}`, { stdio: 'pipe' });
+      console.log(chalk.green('✅ Container stopped'));
+    } catch (error) {
+      console.log(chalk.red('❌ Error stopping container:', error.message));
+    }
+    process.exit(0);
+  };
+  
+  process.on('SIGINT', cleanup);
+  process.on('SIGTERM', cleanup);
+  
+  proc.on('error', (err) => {
+    if (err.code === 'ENOENT') {
+      console.error(chalk.red('Docker command not found. Please ensure Docker is installed and in your PATH.'));
+    } else {
+      console.error(chalk.red('Error running Docker:'), err.message);
+    }
+    process.exit(1);
+  });
+  
+  // Stop the container if its new image never comes up; the exit handler then relaunches on the pin
+  let exited = false;
+  const verification = verifyLaunchedImage(spec, config, () => exited).then(pinned => {
+    if (pinned && !exited) {
+      spawnSync(dockerCmd, ['stop', containerName], { stdio: 'ignore' });
+    }
+    return pinned;
+  });
+  
+  proc.on('exit', async code => {
+    exited = true;
+    const pinned = await verification;
+    process.removeListener('SIGINT', cleanup);
+    process.removeListener('SIGTERM', cleanup);
+    if (pinned) {
+      await start({ ...options, image: pinned });
+      return;
+    }
+    
+    if (options.supervisor && await waitForSupervisedRestart(options.supervisor, code, Date.now() - startedAt, spec.kind, containerName)) {
+      await start(options);
+      return;
+    }
+    
+    explainDockerExitCode(code, containerName, imageName);
+    process.exit(code);
+  });
+}
+
+/**
+ * Check whether a systemd unit is currently running
+ * @param {string} serviceName Unit name without the .service suffix
+ * @returns {boolean}
+ */
+function isServiceActive(serviceName) {
+  try {
+    execSync(`systemctl is-active --quiet ${serviceName}`, { stdio: 'ignore' });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Find the first synchronizer container of the active profile that Docker knows about
+ * @param {object} options Set all to include stopped containers
+ * @returns {string|null} Container name
+ */
+function findSynchronizerContainer(options = {}) {
+  const containerNames = getChannelContainerNames();
+  
+  for (const name of containerNames) {
+    try {
+      const psOutput = execSync(`${getContainerRuntime()} ps ${options.all ? '-a ' : ''}--filter name=${name} --format "{{.Names}}"`, {
+        encoding: 'utf8',
+        stdio: 'pipe'
+      });
+      
+      // The name filter matches substrings, so compare whole names (other profiles share the prefix)
+      if (psOutput.split('\n').some(line => line.trim() === name)) {
+        return name;
+      }
+    } catch (error) {
+      // Continue checking next container name
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Work out what stop/restart/logs/attach act on: a systemd service when one is
+ * running, otherwise a running container of any release channel
+ * @param {object} options Set includeStopped to fall back to a stopped container
+ * @returns {{type: string, name: string, containerName: string}|null}
+ */
+function findActiveSynchronizer(options = {}) {
+  for (const channel of Object.keys(RELEASE_CHANNELS)) {
+    const serviceName = getChannelServiceName(channel);
+    if (isServiceActive(serviceName)) {
+      return { type: 'service', name: serviceName, containerName: getProfileResourceName(RELEASE_CHANNELS[channel].containerBase) };
+    }
+  }
+  
+  const containerName = findSynchronizerContainer() || (options.includeStopped ? findSynchronizerContainer({ all: true }) : null);
+  if (containerName) {
+    return { type: 'container', name: containerName, containerName };
+  }
+  
+  return null;
+}
+
+function findActiveSynchronizerOrExit(options) {
+  const target = findActiveSynchronizer(options);
+  if (!target) {
+    console.error(chalk.red('❌ No synchronizer is running for this profile'));
+    console.error(chalk.yellow('Start one with `synchronize start`, `synchronize nightly` or the systemd service.'));
+    process.exit(1);
+  }
+  
+  console.log(chalk.gray(target.type === 'service'
+    ? `Using systemd service ${target.name}`
+    : `Using container ${target.name}`));
+  return target;
+}
+
+/**
+ * Run a command with inherited stdio and exit with its status when it finishes
+ */
+function runAttached(command, args) {
+  const proc = spawn(command, args, { stdio: 'inherit' });
+  
+  proc.on('error', (err) => {
+    console.error(chalk.red(`Error running ${command}:`), err.message);
+    process.exit(1);
+  });
+  proc.on('exit', code => {
+    process.exit(code || 0);
+  });
+}
+
+async function stopSynchronizer() {
+  const target = findActiveSynchronizerOrExit();
+  
+  try {
+    if (target.type === 'service') {
+      // Stopping the container directly would just make systemd restart it
+      execSync(`sudo systemctl stop ${target.name}`, { stdio: 'inherit' });
+    } else {
+      // Tells a `start --supervise` session attached to this container not to restart it
+      recordEvent('stop', { container: target.name });
+      execSync(`${getContainerRuntime()} stop ${target.name}`, { stdio: 'pipe' });
+    }
+    console.log(chalk.green(`✅ Stopped ${target.name}`));
+  } catch (error) {
+    console.error(chalk.red(`❌ Error stopping ${target.name}:`), error.message);
+    process.exit(1);
+  }
+}
+
+async function restartSynchronizer() {
+  const target = findActiveSynchronizerOrExit();
+  
+  try {
+    if (target.type === 'service') {
+      execSync(`sudo systemctl restart ${target.name}`, { stdio: 'inherit' });
+    } else {
+      execSync(`${getContainerRuntime()} restart ${target.name}`, { stdio: 'pipe' });
+    }
+    console.log(chalk.green(`✅ Restarted ${target.name}`));
+    console.log(chalk.gray('Follow the output with: synchronize logs --follow'));
+  } catch (error) {
+    console.error(chalk.red(`❌ Error restarting ${target.name}:`), error.message);
+    process.exit(1);
+  }
+}
+
+async function showLogs(options) {
+  const target = findActiveSynchronizerOrExit({ includeStopped: true });
+  
+  if (target.type === 'service') {
+    const args = ['-u', target.name, '--no-pager', '--output=short-iso'];
+    if (options.since) {
+      // journalctl wants relative times as "-10m", docker as "10m"
+      args.push('--since', /^\d+[smhd]$/.test(options.since) ? `-${options.since}` : options.since);
+    } else if (!options.follow) {
+      args.push('-n', String(options.tail));
+    }
+    if (options.follow) {
+      args.push('-f');
+    }
+    return runAttached('journalctl', args);
+  }
+  
+  const args = ['logs'];
+  if (options.since) {
+    args.push('--since', options.since);
+  } else {
+    args.push('--tail', String(options.tail));
+  }
+  if (options.follow) {
+    args.push('--follow');
+  }
+  args.push(target.name);
+  return runAttached(getContainerRuntime(), args);
+}
+
+async function attachSynchronizer() {
+  const target = findActiveSynchronizerOrExit();
+  console.log(chalk.cyan('🔗 Attached to live output (Ctrl+C detaches, the synchronizer keeps running)'));
+  
+  if (target.type === 'service') {
+    return runAttached('journalctl', ['-u', target.name, '-f', '-n', '0', '--output=cat']);
+  }
+  return runAttached(getContainerRuntime(), ['attach', '--no-stdin', '--sig-proxy=false', target.name]);
+}
+
+
+/**
+ * Quote a single argument for POSIX shells when it needs it
+ */
+function shellQuote(arg) {
+  const value = String(arg);
+  return /^[\w@%+=:,./-]+$/.test(value) ? value : `'${value.replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Describe the container a synchronizer launch runs
+ * start, nightly, service, compose and print-command all build their docker command from this
+ * @param {object} config Loaded config
+ * @param {object} options channel (stable, nightly or custom:<image>), image, detach and restart
+ * @returns {object} Launch spec
+ */
+function buildLaunchSpec(config, options = {}) {
+  const channel = resolveChannel(options.channel, config);
+  const image = resolveImage(config, options, channel);
+  const limits = getResourceLimits(config, options);
+  
+  // Launcher version matches the Croquet version in Docker (2.1.3)
+  const launcher = `cli-${packageJson.version}/docker-2.1.3${channel.launcherSuffix}`;
+  
+  return {
+    kind: channel.name,
+    channel: channel.id,
+    containerName: channel.containerName,
+    image,
+    // --image runs once; the channel's config setting still names the image it normally uses
+    imageFromOption: !!options.image,
+    platform: detectDockerPlatform(),
+    // Always try to pull the latest image, unless a digest pins it
+    pullAlways: !image.pinned,
+    detach: !!options.detach,
+    restartPolicy: options.detach ? options.restart || 'unless-stopped' : null,
+    runtime: getContainerRuntime(),
+    limits,
+    launcher,
+    containerArgs: [
+      '--depin', config.depin || DEFAULT_DEPIN_URL,
+      '--sync-name', config.syncHash,
+      '--launcher', launcher,
+      '--key', config.key,
+      ...(config.wallet ? ['--wallet', config.wallet] : []),
+      ...(config.account ? ['--account', config.account] : [])
+    ]
+  };
+}
+
+const RESOURCE_LIMIT_FIELDS = ['memory', 'cpus', 'pidsLimit', 'logMaxSize', 'logMaxFile'];
+
+/**
+ * Add the resource limit flags (--memory, --cpus, --pids-limit, --log-max-size, --log-max-file) to a command
+ * Flag names and help text come from the matching config fields
+ * @param {Command} command commander command
+ * @returns {Command} The same command, for chaining
+ */
+function addResourceLimitOptions(command) {
+  for (const field of RESOURCE_LIMIT_FIELDS) {
+    const definition = CONFIG_FIELDS[field];
+    const flag = field.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+    command.option(`--${flag} <${definition.type === 'number' ? 'count' : 'size'}>`, definition.description);
+  }
+  return command;
+}
+
+/**
+ * Container resource and log rotation limits: command-line flags override the config
+ * @param {object} config Loaded config
+ * @param {object} options memory, cpus, pidsLimit, logMaxSize, logMaxFile (strings from commander)
+ * @returns {object} Limits with the log rotation defaults filled in
+ */
+function getResourceLimits(config, options = {}) {
+  const limits = {};
+  
+  for (const field of RESOURCE_LIMIT_FIELDS) {
+    const definition = CONFIG_FIELDS[field];
+    let value = options[field] !== undefined ? options[field] : config[field];
+    if (value === undefined || value === null || value === '') {
+      continue;
+    }
+    if (definition.type === 'number') {
+      value = Number(value);
+    }
+    
+    const message = definition.type === 'number' && !Number.isFinite(value)
+      ? 'must be a number'
+      : definition.validate(value);
+    if (message) {
+      console.error(chalk.red(`❌ ${field} ${message}`));
+      process.exit(1);
+    }
+    limits[field] = value;
+  }
+  
+  limits.logMaxSize = limits.logMaxSize || DEFAULT_LOG_MAX_SIZE;
+  limits.logMaxFile = limits.logMaxFile || DEFAULT_LOG_MAX_FILE;
+  return limits;
+}
+
+/**
+ * docker/podman argv (without the leading binary) for a launch spec
+ * Podman's k8s-file log driver rotates by size only, it has no max-file option
+ */
+function getDockerRunArgs(spec) {
+  const logArgs = spec.runtime === 'podman'
+    ? ['--log-driver', 'k8s-file', '--log-opt', `max-size=${spec.limits.logMaxSize}`]
+    : ['--log-driver', 'json-file', '--log-opt', `max-size=${spec.limits.logMaxSize}`, '--log-opt', `max-file=${spec.limits.logMaxFile}`];
+  
+  return [
+    'run',
+    // Detached containers are kept (and restarted by Docker) instead of removed on exit
+    ...(spec.detach ? ['--detach', '--restart', spec.restartPolicy] : ['--rm']),
+    '--name', spec.containerName,
+    ...(spec.pullAlways ? ['--pull', 'always'] : []),
+    '--platform', spec.platform,
+    ...(spec.limits.memory ? ['--memory', spec.limits.memory] : []),
+    ...(spec.limits.cpus ? ['--cpus', String(spec.limits.cpus)] : []),
+    ...(spec.limits.pidsLimit ? ['--pids-limit', String(spec.limits.pidsLimit)] : []),
+    ...logArgs,
+    spec.image.reference,
+    ...spec.containerArgs
+  ];
+}
+
+/**
+ * Render the systemd unit that runs a launch spec in the foreground under systemd
+ * @returns {{unit: string, dockerPath: string, pathEnv: string}}
+ */
+function buildServiceUnit(spec) {
+  const user = os.userInfo().username;
+  
+  // Detect Docker (or Podman) path for PATH environment
+  let dockerPath = `/usr/bin/${spec.runtime}`;
+  try {
+    const dockerWhich = execSync(`which ${spec.runtime}`, { encoding: 'utf8', stdio: 'pipe' }).trim();
+    if (dockerWhich && fs.existsSync(dockerWhich)) {
+      dockerPath = dockerWhich;
+    }
+  } catch (error) {
+    // Use default path
+  }
+  
+  const dockerDir = path.dirname(dockerPath);
+  
+  // Build PATH environment variable including docker directory
+  const systemPaths = [
+    '/usr/local/sbin',
+    '/usr/local/bin', 
+    '/usr/sbin',
+    '/usr/bin',
+    '/sbin',
+    '/bin'
+  ];
+  
+  // Add docker directory to the beginning of PATH if it's not already a system path
+  const pathDirs = systemPaths.includes(dockerDir) ? systemPaths : [dockerDir, ...systemPaths];
+  const pathEnv = pathDirs.join(':');
+  
+  // systemd restarts the unit, so the container itself always runs attached with --rm
+  const runArgs = getDockerRunArgs({ ...spec, detach: false });
+  if (spec.runtime === 'podman') {
+    // Podman has no daemon to depend on; --replace clears a container left over from an unclean stop
+    runArgs.splice(1, 0, '--replace');
+  }
+  const dockerArgs = runArgs.join(' ');
+  
+  const dependencies = spec.runtime === 'podman'
+    ? 'Wants=network-online.target\nAfter=network-online.target'
+    : 'After=docker.service\nRequires=docker.service';
+  const podmanEnvironment = spec.runtime === 'podman' ? '\nEnvironment=PODMAN_SYSTEMD_UNIT=%n' : '';
+
+  const unit = `[Unit]
+Description=Multisynq Synchronizer headless service
+${dependencies}
+
+[Service]
+Type=simple
+User=${user}
+Restart=always
+RestartSec=10
+ExecStart=${dockerPath} ${dockerArgs}
+Environment=PATH=${pathEnv}${podmanEnvironment}
+
+[Install]
+WantedBy=multi-user.target
+`;
+  
+  return { unit, dockerPath, pathEnv };
+}
+
+/**
+ * Render a Podman Quadlet .container unit for a launch spec
+ * Install it to ~/.config/containers/systemd/ (rootless) or /etc/containers/systemd/
+ */
+function buildQuadletUnit(spec) {
+  const podmanArgs = [
+    '--platform', spec.platform,
+    ...(spec.limits.memory ? ['--memory', spec.limits.memory] : []),
+    ...(spec.limits.cpus ? ['--cpus', String(spec.limits.cpus)] : []),
+    ...(spec.limits.pidsLimit ? ['--pids-limit', String(spec.limits.pidsLimit)] : []),
+    '--log-opt', `max-size=${spec.limits.logMaxSize}`
+  ];
+  
+  return `[Unit]
+Description=Multisynq Synchronizer headless service
+Wants=network-online.target
+After=network-online.target
+
+[Container]
+ContainerName=${spec.containerName}
+Image=${spec.image.reference}
+Pull=${spec.pullAlways ? 'always' : 'missing'}
+LogDriver=k8s-file
+PodmanArgs=${podmanArgs.map(shellQuote).join(' ')}
+Exec=${spec.containerArgs.map(shellQuote).join(' ')}
+
+[Service]
+Restart=always
+RestartSec=10
+
+[Install]
+WantedBy=default.target
+`;
+}
+
+/**
+ * Render a docker compose service definition for a launch spec
+ * @returns {string[]} YAML lines of the service body, indented for use under services:
+ */
+function buildComposeService(spec) {
+  return [
+    `    image: ${yamlQuote(spec.image.reference)}`,
+    `    container_name: ${yamlQuote(spec.containerName)}`,
+    `    platform: ${yamlQuote(spec.platform)}`,
+    `    pull_policy: ${spec.pullAlways ? 'always' : 'missing'}`,
+    `    restart: ${yamlQuote(spec.restartPolicy || 'unless-stopped')}`,
+    ...(spec.limits.memory ? [`    mem_limit: ${yamlQuote(spec.limits.memory)}`] : []),
+    ...(spec.limits.cpus ? [`    cpus: ${spec.limits.cpus}`] : []),
+    ...(spec.limits.pidsLimit ? [`    pids_limit: ${spec.limits.pidsLimit}`] : []),
+    ...buildComposeLogging(spec.limits),
+    '    command:',
+    ...spec.containerArgs.map(arg => `      - ${yamlQuote(arg)}`)
+  ];
+}
+
+// JSON strings are valid YAML double-quoted scalars
+function yamlQuote(value) {
+  return JSON.stringify(String(value));
+}
+
+/**
+ * json-file log rotation for compose services so logs cannot fill the disk
+ * @param {object} limits logMaxSize and logMaxFile from getResourceLimits()
+ */
+function buildComposeLogging(limits = {}) {
+  return [
+    '    logging:',
+    '      driver: json-file',
+    '      options:',
+    `        max-size: ${yamlQuote(limits.logMaxSize || DEFAULT_LOG_MAX_SIZE)}`,
+    `        max-file: ${yamlQuote(limits.logMaxFile || DEFAULT_LOG_MAX_FILE)}`
+  ];
+}
+
+const PRINT_COMMAND_FORMATS = ['shell', 'json', 'systemd', 'compose', 'quadlet'];
+
+/**
+ * Print the docker command a launch would run, for auditing or copying elsewhere
+ */
+async function printCommand(options) {
+  if (!PRINT_COMMAND_FORMATS.includes(options.format)) {
+    console.error(chalk.red(`❌ Unknown format "${options.format}" - use ${PRINT_COMMAND_FORMATS.join(', ')}`));
+    process.exit(1);
+  }
+  
+  const config = loadConfig();
+  if (!config.key) {
+    console.error(chalk.red('Missing synq key. Run `synchronize init` first.'));
+    process.exit(1);
+  }
+  ensureValidConfig(config);
+  
+  const spec = buildLaunchSpec(config, { ...options, channel: options.channel || (options.nightly ? 'nightly' : 'stable') });
+  const args = getDockerRunArgs(spec);
+  
+  if (options.format === 'shell') {
+    console.log([getContainerRuntime(), ...args].map(shellQuote).join(' '));
+  } else if (options.format === 'json') {
+    console.log(JSON.stringify({
+      command: getContainerRuntime(),
+      args,
+      channel: spec.channel,
+      containerName: spec.containerName,
+      image: spec.image.reference,
+      platform: spec.platform,
+      pullAlways: spec.pullAlways,
+      restartPolicy: spec.restartPolicy,
+      limits: spec.limits,
+      launcher: spec.launcher
+    }, null, 2));
+  } else if (options.format === 'systemd') {
+    process.stdout.write(buildServiceUnit(spec).unit);
+  } else if (options.format === 'quadlet') {
+    process.stdout.write(buildQuadletUnit(spec));
+  } else {
+    console.log(['services:', `  ${getComposeServiceName(spec)}:`, ...buildComposeService(spec)].join('\n'));
+  }
+}
+
+/**
+ * Compose service name of a launch: synchronizer for the stable channel, synchronizer-<channel> otherwise
+ */
+function getComposeServiceName(spec) {
+  return spec.kind === 'stable' ? 'synchronizer' : `synchronizer-${spec.kind}`;
+}
+
+/**
+ * Default directory for the generated Compose project of the active profile
+ */
+function getComposeDir() {
+  return path.join(CONFIG_DIR, 'compose', activeProfile);
+}
+
+const COMPOSE_CLI_DOCKERFILE = 'Dockerfile.cli';
+
+/**
+ * Dockerfile for the image the web and monitor services run
+ * This CLI version is installed once when Compose builds the image, so restarts need no network;
+ * docker-cli stays for stopping and restarting the synchronizer container
+ */
+function buildComposeCliDockerfile() {
+  return [
+    `# Generated by synchronizer-cli ${packageJson.version}`,
+    'FROM node:20-alpine',
+    'RUN apk add --no-cache docker-cli \\',
+    `  && npm install -g --omit=dev synchronizer-cli@${packageJson.version} \\`,
+    '  && npm cache clean --force',
+    'ENTRYPOINT ["synchronize"]'
+  ].join('\n') + '\n';
+}
+
+/**
+ * Compose service running the CLI itself (web dashboard or image monitor) from the image built by Dockerfile.cli
+ * The config directory and /etc/machine-id are mounted so encrypted secrets still open,
+ * and the Docker socket so the CLI can inspect the synchronizer container and images
+ * @param {string} command CLI command to run (web or monitor)
+ * @param {string[]} portLines Extra YAML lines (ports)
+ * @param {string} synchronizerService Compose service of the synchronizer it depends on
+ */
+function buildComposeCliService(command, portLines = [], synchronizerService = 'synchronizer') {
+  const cliArgs = [command, ...getProfileCliArgs().split(' ').filter(Boolean)];
+  
+  return [
+    `  ${command}:`,
+    `    image: ${yamlQuote(`synchronizer-cli:${packageJson.version}`)}`,
+    '    build:',
+    '      context: "."',
+    `      dockerfile: ${yamlQuote(COMPOSE_CLI_DOCKERFILE)}`,
+    `    container_name: ${yamlQuote(getServiceName(command))}`,
+    '    restart: "unless-stopped"',
+    ...buildComposeLogging(),
+    ...portLines,
+    '    environment:',
+    '      NODE_ENV: "production"',
+    ...(process.env.SYNCHRONIZER_PASSPHRASE ? ['      SYNCHRONIZER_PASSPHRASE: "${SYNCHRONIZER_PASSPHRASE}"'] : []),
+    '    volumes:',
+    `      - ${yamlQuote(`${CONFIG_DIR}:/root/.synchronizer-cli`)}`,
+    '      - "/etc/machine-id:/etc/machine-id:ro"',
+    '      - "/var/run/docker.sock:/var/run/docker.sock"',
+    '    depends_on:',
+    `      - ${synchronizerService}`,
+    `    command: [${cliArgs.map(yamlQuote).join(', ')}]`
+  ];
+}
+
+/**
+ * Write docker-compose.yml and .env for the synchronizer and optional web/monitor services
+ */
+async function generateComposeProject(options) {
+  const config = loadConfig();
+  if (!config.key) {
+    console.error(chalk.red('Missing synq key. Run `synchronize init` first.'));
+    process.exit(1);
+  }
+  ensureValidConfig(config);
+  
+  const outputDir = path.resolve(options.output || getComposeDir());
+  const composeFile = path.join(outputDir, 'docker-compose.yml');
+  const envFile = path.join(outputDir, '.env');
+  
+  // The synq key is interpolated from .env so docker-compose.yml can be shared or committed
+  const spec = buildLaunchSpec({ ...config, key: '${SYNQ_KEY}' }, { ...options, detach: true, restart: 'unless-stopped' });
+  
+  const lines = [
+    `# Generated by synchronizer-cli ${packageJson.version} for profile "${activeProfile}"`,
+    '# Secrets live in .env next to this file',
+    'services:',
+    `  ${getComposeServiceName(spec)}:`,
+    ...buildComposeService(spec)
+  ];
+  
+  if (options.web) {
+    const ports = getDashboardPorts(config);
+    lines.push(...buildComposeCliService('web', [
+      '    ports:',
+      `      - "${ports.guiPort}:${ports.guiPort}"`,
+      `      - "${ports.metricsPort}:${ports.metricsPort}"`
+    ], getComposeServiceName(spec)));
+  }
+  if (options.monitor) {
+    lines.push(...buildComposeCliService('monitor', [], getComposeServiceName(spec)));
+  }
+  
+  const envLines = [
+    '# Generated by synchronizer-cli - keep this file private',
+    `COMPOSE_PROJECT_NAME=${getProfileResourceName('synchronizer-cli')}`,
+    `SYNQ_KEY=${config.key}`
+  ];
+  if (process.env.SYNCHRONIZER_PASSPHRASE && (options.web || options.monitor)) {
+    envLines.push(`SYNCHRONIZER_PASSPHRASE=${process.env.SYNCHRONIZER_PASSPHRASE}`);
+  }
+  
+  writeFileAtomic(composeFile, lines.join('\n') + '\n');
+  fs.chmodSync(composeFile, 0o644);
+  writeFileAtomic(envFile, envLines.join('\n') + '\n');
+  if (options.web || options.monitor) {
+    const dockerfile = path.join(outputDir, COMPOSE_CLI_DOCKERFILE);
+    writeFileAtomic(dockerfile, buildComposeCliDockerfile());
+    fs.chmodSync(dockerfile, 0o644);
+  }
+  
+  console.log(chalk.green(`✅ Compose project written to ${outputDir}`));
+  console.log(chalk.gray(`   docker-compose.yml  ${getComposeServiceName(spec)}${options.web ? ', web' : ''}${options.monitor ? ', monitor' : ''}`));
+  console.log(chalk.gray('   .env                synq key (mode 0600)'));
+  if (options.web || options.monitor) {
+    console.log(chalk.gray(`   ${COMPOSE_CLI_DOCKERFILE}      synchronizer-cli ${packageJson.version} image for web/monitor, built by \`compose up\``));
+  }
+  console.log(chalk.blue('\n📋 Start it with:'));
+  console.log(chalk.gray(`   synchronize compose up${options.output ? ` --dir ${outputDir}` : ''}`));
+  if (options.web || options.monitor) {
+    console.log(chalk.yellow('\n💡 The web and monitor services mount the Docker socket and your config directory'));
+  }
+}
+
+/**
+ * docker compose v2 plugin, falling back to the standalone docker-compose binary
+ * (podman compose and podman-compose with Podman)
+ * @returns {string[]} Command and leading arguments
+ */
+function getComposeCommand() {
+  const runtime = getContainerRuntime();
+  const candidates = [[runtime, 'compose'], [`${runtime}-compose`]];
+  
+  for (const candidate of candidates) {
+    try {
+      execSync(`${candidate.join(' ')} version`, { stdio: 'ignore' });
+      return candidate;
+    } catch (error) {
+      // Try the next compose implementation
+    }
+  }
+  
+  console.error(chalk.red(`❌ ${runtime === 'podman' ? 'podman compose' : 'Docker Compose'} is not installed`));
+  console.error(chalk.yellow(runtime === 'podman'
+    ? 'Install podman-compose or docker-compose for `podman compose`'
+    : 'Install the compose plugin: https://docs.docker.com/compose/install/'));
+  process.exit(1);
+}
+
+/**
+ * Run docker compose against a generated project directory
+ * @param {string[]} composeArgs Arguments after the project options, e.g. ['up', '-d']
+ * @param {object} options dir
+ */
+function runCompose(composeArgs, options) {
+  const projectDir = path.resolve(options.dir || getComposeDir());
+  if (!fs.existsSync(path.join(projectDir, 'docker-compose.yml'))) {
+    console.error(chalk.red(`❌ No docker-compose.yml in ${projectDir}`));
+    console.error(chalk.yellow('Generate it first with `synchronize compose`.'));
+    process.exit(1);
+  }
+  
+  const [command, ...baseArgs] = getComposeCommand();
+  const args = [...baseArgs, '--project-directory', projectDir, '-f', path.join(projectDir, 'docker-compose.yml'), ...composeArgs];
+  console.log(chalk.gray(`Running command: ${command} ${args.join(' ')}`));
+  runAttached(command, args);
+}
+
+async function composeUp(options) {
+  runCompose(['up', '-d'], options);
+}
+
+async function composeDown(options) {
+  runCompose(['down'], options);
+}
+
+const K8S_QUANTITY_PATTERN = /^\d+(\.\d+)?(m|[KMGTPE]i?)?$/;
+const K8S_DEFAULT_RESOURCES = {
+  cpuRequest: '250m',
+  cpuLimit: '1',
+  memoryRequest: '256Mi',
+  memoryLimit: '1Gi'
+};
+
+/**
+ * Kubernetes manifests (Namespace, Secret and Deployment)
+ * The Deployment runs exactly one replica with the Recreate strategy: two pods with the
+ * same synq key would fight over the sync name, even briefly during a rolling update
+ */
+async function generateK8sManifests(options) {
+  const config = loadConfig();
+  if (!config.key) {
+    console.error(chalk.red('Missing synq key. Run `synchronize init` first.'));
+    process.exit(1);
+  }
+  ensureValidConfig(config);
+  
+  if (String(options.replicas) !== '1') {
+    console.error(chalk.red(`❌ --replicas ${options.replicas} is not allowed`));
+    console.error(chalk.yellow('Each synq key may only run one synchronizer. Create a profile with its own key for every extra replica.'));
+    process.exit(1);
+  }
+  
+  const resources = {};
+  for (const field of Object.keys(K8S_DEFAULT_RESOURCES)) {
+    const value = String(options[field] || K8S_DEFAULT_RESOURCES[field]);
+    if (!K8S_QUANTITY_PATTERN.test(value)) {
+      console.error(chalk.red(`❌ Invalid resource quantity "${value}" (e.g. 250m, 1, 512Mi, 1Gi)`));
+      process.exit(1);
+    }
+    resources[field] = value;
+  }
+  
+  const namespace = options.namespace || getProfileResourceName('synchronizer-cli');
+  const name = getContainerName();
+  const secretName = `${name}-secrets`;
+  const arch = detectDockerPlatform().split('/')[1];
+  
+  // Kubernetes expands $(VAR) in container args from the pod environment
+  const spec = buildLaunchSpec({
+    ...config,
+    key: '$(SYNQ_KEY)',
+    wallet: config.wallet ? '$(SYNQ_WALLET)' : ''
+  }, options);
+  
+  const secretEnv = (envName, key) => [
+    `            - name: ${envName}`,
+    '              valueFrom:',
+    '                secretKeyRef:',
+    `                  name: ${yamlQuote(secretName)}`,
+    `                  key: ${key}`
+  ];
+  
+  const documents = [];
+  
+  documents.push([
+    'apiVersion: v1',
+    'kind: Namespace',
+    'metadata:',
+    `  name: ${yamlQuote(namespace)}`
+  ]);
+  
+  const secret = [
+    'apiVersion: v1',
+    'kind: Secret',
+    'metadata:',
+    `  name: ${yamlQuote(secretName)}`,
+    `  namespace: ${yamlQuote(namespace)}`,
+    'type: Opaque',
+    'stringData:',
+    `  synq-key: ${yamlQuote(config.key)}`
+  ];
+  if (config.wallet) {
+    secret.push(`  wallet: ${yamlQuote(config.wallet)}`);
+  }
+  documents.push(secret);
+  
+  const containers = [
+    `        - name: synchronizer`,
+    `          image: ${yamlQuote(spec.image.reference)}`,
+    `          imagePullPolicy: ${spec.pullAlways ? 'Always' : 'IfNotPresent'}`,
+    '          args:',
+    ...spec.containerArgs.map(arg => `            - ${yamlQuote(arg)}`),
+    '          env:',
+    ...secretEnv('SYNQ_KEY', 'synq-key'),
+    ...(config.wallet ? secretEnv('SYNQ_WALLET', 'wallet') : []),
+    '          resources:',
+    '            requests:',
+    `              cpu: ${yamlQuote(resources.cpuRequest)}`,
+    `              memory: ${yamlQuote(resources.memoryRequest)}`,
+    '            limits:',
+    `              cpu: ${yamlQuote(resources.cpuLimit)}`,
+    `              memory: ${yamlQuote(resources.memoryLimit)}`
+  ];
+  
+  const deployment = [
+    'apiVersion: apps/v1',
+    'kind: Deployment',
+    'metadata:',
+    `  name: ${yamlQuote(name)}`,
+    `  namespace: ${yamlQuote(namespace)}`,
+    'spec:',
+    '  # One synchronizer per synq key - do not scale this Deployment',
+    '  replicas: 1',
+    '  strategy:',
+    '    type: Recreate',
+    '  selector:',
+    '    matchLabels:',
+    `      app: ${yamlQuote(name)}`,
+    '  template:',
+    '    metadata:',
+    '      labels:',
+    `        app: ${yamlQuote(name)}`,
+    '    spec:',
+    '      nodeSelector:',
+    `        kubernetes.io/arch: ${yamlQuote(arch)}`,
+    '      containers:',
+    ...containers
+  ];
+  documents.push(deployment);
+  
+  const manifest = [
+    `# Generated by synchronizer-cli ${packageJson.version} for profile "${activeProfile}"`,
+    '# Contains the synq key in a Secret - keep this file private',
+    documents.map(lines => lines.join('\n')).join('\n---\n')
+  ].join('\n') + '\n';
+  
+  if (options.output) {
+    const outputFile = path.resolve(options.output);
+    writeFileAtomic(outputFile, manifest);
+    console.log(chalk.green(`✅ Kubernetes manifests written to ${outputFile}`));
+    console.log(chalk.blue('\n📋 Apply them with:'));
+    console.log(chalk.gray(`   kubectl apply -f ${outputFile}`));
+  } else {
+    process.stdout.write(manifest);
+  }
+}
+
+/**
+ * Options a synchronizer unit was generated from, kept next to the unit file
+ * Only explicit flags are recorded, so later config changes still reach the unit when it is regenerated
+ */
+function getServiceOptionsFile(serviceName) {
+  return path.join(CONFIG_DIR, `${serviceName}.options.json`);
+}
+
+/**
+ * Split a systemd command line into words
+ * Single and double quotes group words and a backslash escapes the next character, as systemd does
+ * @param {string} line ExecStart value
+ * @returns {string[]}
+ */
+function splitUnitCommandLine(line) {
+  const words = [];
+  let word = null;
+  let quote = null;
+  
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (char === '\\' && i + 1 < line.length) {
+      word = (word || '') + line[++i];
+    } else if (quote) {
+      if (char === quote) {
+        quote = null;
+      } else {
+        word += char;
+      }
+    } else if (char === '"' || char === "'") {
+      quote = char;
+      word = word || '';
+    } else if (/\s/.test(char)) {
+      if (word !== null) {
+        words.push(word);
+        word = null;
+      }
+    } else {
+      word = (word || '') + char;
+    }
+  }
+  if (word !== null) {
+    words.push(word);
+  }
+  return words;
+}
+
+/**
+ * Recover the `service` options behind an existing channel unit
+ * Units written before the options file existed are read back from their ExecStart line:
+ * the image and limits count as flags where they differ from what the config gives today
+ * @param {string} channelName Release channel of the unit (stable, nightly or custom)
+ * @param {object} config Loaded config
+ * @returns {object|null} Options for installService, or null if the unit cannot be read
+ */
+function readServiceOptions(channelName, config) {
+  const serviceName = getChannelServiceName(channelName);
+  try {
+    return JSON.parse(fs.readFileSync(getServiceOptionsFile(serviceName), 'utf8'));
+  } catch (error) {
+    // No recorded options, fall back to the unit file
+  }
+  
+  let unit;
+  try {
+    const localFile = path.join(CONFIG_DIR, `${serviceName}.service`);
+    unit = fs.readFileSync(fs.existsSync(localFile) ? localFile : `/etc/systemd/system/${serviceName}.service`, 'utf8');
+  } catch (error) {
+    return null;
+  }
+  const execStart = unit.split('\n').find(line => line.startsWith('ExecStart='));
+  if (!execStart) {
+    return null;
+  }
+  
+  const args = splitUnitCommandLine(execStart.slice('ExecStart='.length));
+  const argAfter = flag => {
+    const index = args.indexOf(flag);
+    return index === -1 ? undefined : args[index + 1];
+  };
+  const logOpt = name => {
+    const opt = args.find((arg, index) => args[index - 1] === '--log-opt' && arg.startsWith(`${name}=`));
+    return opt ? opt.slice(name.length + 1) : undefined;
+  };
+  
+  // The image is the last argument before the synchronizer's own flags
+  const depinIndex = args.indexOf('--depin');
+  if (depinIndex < 1) {
+    return null;
+  }
+  const image = args[depinIndex - 1];
+  if (channelName === 'custom') {
+    return { channel: `custom:${image}` };
+  }
+  
+  const options = { channel: channelName };
+  if (image && image !== resolveChannel(channelName, config).image) {
+    options.image = image;
+  }
+  const configured = getResourceLimits(config);
+  const found = {
+    memory: argAfter('--memory'),
+    cpus: argAfter('--cpus'),
+    pidsLimit: argAfter('--pids-limit'),
+    logMaxSize: logOpt('max-size'),
+    logMaxFile: logOpt('max-file')
+  };
+  for (const field of RESOURCE_LIMIT_FIELDS) {
+    if (found[field] !== undefined && String(found[field]) !== String(configured[field])) {
+      options[field] = found[field];
+    }
+  }
+  return options;
+}
+
+/**
+ * Generate systemd service file and environment file for headless operation.
+ */
+async function installService(options = {}) {
+  const config = loadConfig();
+  if (!config.key) {
+    console.error(chalk.red('Missing synq key. Run `synchronize init` first.'));
+    process.exit(1);
+  }
+  if (!config.wallet && !config.account) {
+    console.error(chalk.red('Missing wallet or account. Run `synchronize init` first.'));
+    process.exit(1);
+  }
+  ensureValidConfig(config);
+
+  const spec = buildLaunchSpec(config, options);
+  const serviceName = getChannelServiceName(spec.kind);
+  const serviceFile = path.join(CONFIG_DIR, `${serviceName}.service`);
+  if (spec.kind !== 'stable') {
+    console.log(chalk.magenta(`📡 Release channel: ${spec.channel}`));
+  }
+  console.log(chalk.cyan(`Using launcher identifier: ${spec.launcher}`));
+
+  // No need to check for image updates here - the service will use --pull always (unless the digest is pinned)
+  console.log(chalk.cyan(`Using image: ${spec.image.reference}${spec.image.pinned ? ' (pinned)' : ''}`));
+  
+  const { unit, dockerPath, pathEnv } = buildServiceUnit(spec);
+
+  fs.writeFileSync(serviceFile, unit);
+  const recorded = { channel: spec.channel };
+  for (const field of ['image', ...RESOURCE_LIMIT_FIELDS]) {
+    if (options[field] !== undefined) {
+      recorded[field] = options[field];
+    }
+  }
+  fs.writeFileSync(getServiceOptionsFile(serviceName), JSON.stringify(recorded, null, 2));
+  console.log(chalk.green('Systemd service file written to'), serviceFile);
+  console.log(chalk.blue(`To install the service, run:
+  sudo cp ${serviceFile} /etc/systemd/system/
+  sudo systemctl daemon-reload
+  sudo systemctl enable ${serviceName}
+  sudo systemctl start ${serviceName}`));
+  
+  console.log(chalk.cyan('\n📋 Service will run with the following configuration:'));
+  console.log(chalk.gray(`Platform: ${spec.platform}`));
+  console.log(chalk.gray(`${getContainerRuntimeLabel()} Path: ${dockerPath}`));
+  console.log(chalk.gray(`PATH: ${pathEnv}`));
+  console.log(chalk.gray(`DePIN: ${config.depin || DEFAULT_DEPIN_URL}`));
+  console.log(chalk.gray(`Sync Name: ${config.syncHash}`));
+  console.log(chalk.gray(`Wallet: ${config.wallet || '[none]'}`));
+  console.log(chalk.gray(`Account: ${config.account || '[none]'}`));
+  
+  if (isRootlessPodman()) {
+    console.log(chalk.yellow('\n💡 Rootless Podman: keep the service running after you log out with'));
+    console.log(chalk.gray(`   sudo loginctl enable-linger ${os.userInfo().username}`));
+    console.log(chalk.gray('   Or run it as a Quadlet: synchronize print-command --format quadlet'));
+  }
+}
+
+/**
+ * Rootless Podman needs no group membership, but it does need subordinate IDs,
+ * lingering for services and the user API socket for the dashboard
+ */
+function showPodmanPermissionHints() {
+  const username = os.userInfo().username;
+  console.log(chalk.blue('🔧 Podman Permissions'));
+  console.log(chalk.yellow('Podman runs rootless containers without a docker group.\n'));
+  
+  if (!isRootlessPodman()) {
+    console.log(chalk.green('✅ Running as root - rootful Podman needs no extra permissions'));
+    console.log(chalk.blue('\n📊 For the web dashboard (Docker-compatible API):'));
+    console.log(chalk.gray('   sudo systemctl enable --now podman.socket'));
+    return;
+  }
+  
+  const hasSubordinateIds = ['/etc/subuid', '/etc/subgid'].every(file => {
+    try {
+      return fs.readFileSync(file, 'utf8').split('\n').some(line => line.split(':')[0] === username);
+    } catch (error) {
+      return false;
+    }
+  });
+  
+  if (hasSubordinateIds) {
+    console.log(chalk.green(`✅ ${username} has subordinate UID/GID ranges`));
+  } else {
+    console.log(chalk.red(`❌ ${username} has no entries in /etc/subuid and /etc/subgid`));
+    console.log(chalk.gray(`   sudo usermod --add-subuids 100000-165535 --add-subgids 100000-165535 ${username}`));
+    console.log(chalk.gray('   podman system migrate'));
+  }
+  
+  console.log(chalk.blue('\n🧪 Test rootless Podman:'));
+  console.log(chalk.gray('   podman info --format "{{.Host.Security.Rootless}}"'));
+  console.log(chalk.gray('   podman run --rm docker.io/library/hello-world'));
+  console.log(chalk.blue('\n⚙️  For the systemd service and background containers:'));
+  console.log(chalk.gray(`   sudo loginctl enable-linger ${username}`));
+  console.log(chalk.blue('\n📊 For the web dashboard (Docker-compatible API):'));
+  console.log(chalk.gray('   systemctl --user enable --now podman.socket'));
+}
+
+async function fixDockerPermissions() {
+  if (getContainerRuntime() === 'podman') {
+    showPodmanPermissionHints();
+    return;
+  }
+  
+  console.log(chalk.blue('🔧 Docker Permissions Fix'));
+  console.log(chalk.yellow('This will add your user to the docker group.\n'));
+
+  const username = os.userInfo().username;
+  
+  try {
+    console.log(chalk.cyan(`Adding user "${username}" to docker group...`));
+    execSync(`sudo usermod -aG docker ${username}`, { stdio: 'inherit' });
+    
+    console.log(chalk.green('✅ User added to docker group successfully!'));
+    console.log(chalk.yellow('⚠️  You need to log out and log back in for changes to take effect.'));
+    console.log(chalk.blue('\n🧪 To test after logging back in:'));
+    console.log(chalk.gray('   docker run hello-world'));
+    console.log(chalk.gray('   synchronize start'));
+    
+  } catch (error) {
+    console.error(chalk.red('❌ Failed to add user to docker group.'));
+    console.error(chalk.red('Error:', error.message));
+    console.error(chalk.blue('\n📖 Manual steps:'));
+    console.error(chalk.gray(`   sudo usermod -aG docker ${username}`));
+    console.error(chalk.gray('   # Then log out and log back in'));
+  }
+}
+
+async function testPlatform() {
+  console.log(chalk.blue('🔍 Platform Compatibility Test'));
+  console.log(chalk.yellow('Testing Docker platform compatibility...\n'));
+
+  const arch = os.arch();
+  const platform = os.platform();
+  
+  console.log(chalk.cyan(`Host System: ${platform}/${arch}`));
+  
+  const imageName = resolveImage(loadConfig()).reference;
+  console.log(chalk.cyan(`Image: ${imageName}`));
+  
+  // Test Docker (or Podman) availability
+  if (!checkDocker()) {
+    console.error(chalk.red(`❌ ${getContainerRuntimeLabel()} is not available`));
+    return;
+  }
+  
+  console.log(chalk.green(`✅ ${getContainerRuntimeLabel()} is available`));
+  
+  // Test both platforms and fallback
+  const tests = [
+    { name: 'linux/amd64', args: ['--platform', 'linux/amd64'] },
+    { name: 'linux/arm64', args: ['--platform', 'linux/arm64'] },
+    { name: 'no platform flag', args: [] }
+  ];
+  
+  let workingPlatforms = [];
+  
+  for (const test of tests) {
+    console.log(chalk.blue(`\nTesting ${test.name}...`));
+    
+    try {
+      const args = [
+        'run', '--rm',
+        ...test.args,
+        imageName,
+        '--help'
+      ];
+      
+      const result = execSync(`${getContainerRuntime()} ${args.join(' ')}`, { 
+        encoding: 'utf8', 
+        timeout: 30000,
+        stdio: 'pipe'
+      });
+      
+      if (result.includes('Usage:') || result.includes('--help')) {
+        console.log(chalk.green(`✅ ${test.name} works`));
+        workingPlatforms.push(test.name);
+      } else {
+        console.log(chalk.yellow(`⚠️  ${test.name} responded but output unexpected`));
+      }
+    } catch (error) {
+      const errorMsg = error.message.split('\n')[0];
+      console.log(chalk.red(`❌ ${test.name} failed: ${errorMsg}`));
+    }
+  }
+  
+  // Recommend best platform
+  let recommendedPlatform = 'linux/amd64';
+  if (arch === 'arm64' || arch === 'aarch64') {
+    recommendedPlatform = 'linux/arm64';
+  }
+  
+  console.log(chalk.blue(`\n💡 Recommended platform for your system: ${recommendedPlatform}`));
+  
+  if (workingPlatforms.length === 0) {
+    console.log(chalk.red('\n❌ No platforms are working!'));
+    console.log(chalk.yellow('This suggests the Docker image may not support your architecture.'));
+    console.log(chalk.blue('\n🔧 Troubleshooting steps:'));
+    console.log(chalk.gray('1. Check what platforms the image supports:'));
+    console.log(chalk.gray(`   docker manifest inspect ${imageName}`));
+    console.log(chalk.gray('2. Try pulling the image manually:'));
+    console.log(chalk.gray(`   docker pull ${imageName}`));
+    console.log(chalk.gray('3. Check if there are architecture-specific tags:'));
+    console.log(chalk.gray(`   docker search ${parseImageReference(imageName).name}`));
+    console.log(chalk.gray('4. Contact the image maintainer for multi-arch support'));
+  } else {
+    console.log(chalk.green(`\n✅ Working platforms: ${workingPlatforms.join(', ')}`));
+    console.log(chalk.gray('synchronize start will try these platforms automatically'));
+  }
+}
+
+/**
+ * Resource and log limits of a container as Docker applied them
+ * @param {string} name Container name
+ * @returns {object|null} Limits in getResourceLimits() form, or null if the container does not exist
+ */
+function getContainerLimits(name) {
+  const result = spawnSync(getContainerRuntime(), ['inspect', '--format', '{{json .HostConfig}}', name], { encoding: 'utf8' });
+  if (result.status !== 0) {
+    return null;
+  }
+  
+  try {
+    const hostConfig = JSON.parse(result.stdout);
+    const logConfig = hostConfig.LogConfig || {};
+    const logOptions = logConfig.Config || {};
+    return {
+      memory: hostConfig.Memory ? `${Math.round(hostConfig.Memory / 1048576)}m` : null,
+      cpus: hostConfig.NanoCpus ? hostConfig.NanoCpus / 1e9 : null,
+      pidsLimit: hostConfig.PidsLimit > 0 ? hostConfig.PidsLimit : null,
+      logDriver: logConfig.Type,
+      logMaxSize: logOptions['max-size'] || null,
+      logMaxFile: logOptions['max-file'] || null
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Print the limits of the running synchronizer, or the configured ones if nothing is running
+ */
+function showResourceLimits() {
+  const config = loadConfig();
+  const container = findSynchronizerContainer();
+  const applied = container ? getContainerLimits(container) : null;
+  const limits = applied || getResourceLimits(config);
+  
+  console.log(chalk.blue(applied ? `📏 Limits in force (${container}):` : '📏 Configured limits (no container running):'));
+  console.log(chalk.gray(`   Memory:     ${limits.memory || 'unlimited'}`));
+  console.log(chalk.gray(`   CPUs:       ${limits.cpus || 'unlimited'}`));
+  console.log(chalk.gray(`   PIDs:       ${limits.pidsLimit || 'unlimited'}`));
+  if (applied && applied.logDriver !== 'json-file') {
+    console.log(chalk.gray(`   Logs:       ${applied.logDriver || 'unknown'} driver`));
+  } else {
+    const rotation = limits.logMaxSize ? `${limits.logMaxSize} × ${limits.logMaxFile || 1} files` : 'not rotated';
+    console.log(chalk.gray(`   Logs:       json-file, ${rotation}`));
+  }
+  console.log('');
+}
+
+/**
+ * Print the last known-good image digests and the most recent rollback
+ */
+function showImageHealth() {
+  const state = loadImageState();
+  const kinds = Object.keys(state.lastKnownGood);
+  const rollbacks = readEvents('image-rollback');
+  if (kinds.length === 0 && rollbacks.length === 0) {
+    return;
+  }
+  
+  console.log(chalk.blue('🩺 Image health:'));
+  for (const kind of kinds) {
+    const entry = state.lastKnownGood[kind];
+    console.log(chalk.gray(`   Last known-good (${kind}): ${entry.name}@${entry.digest.slice(0, 19)}… since ${new Date(entry.confirmedAt).toLocaleString()}`));
+  }
+  
+  const lastRollback = rollbacks[rollbacks.length - 1];
+  if (lastRollback) {
+    console.log(chalk.yellow(`   ⏪ Last rollback ${new Date(lastRollback.time).toLocaleString()} (${lastRollback.kind}): ${lastRollback.badDigest.slice(0, 19)}… → ${lastRollback.digest.slice(0, 19)}…`));
+    console.log(chalk.yellow(`      Reason: ${lastRollback.reason}`));
+    
+    const field = RELEASE_CHANNELS[lastRollback.kind] && RELEASE_CHANNELS[lastRollback.kind].imageField;
+    const image = field && parseImageReference(loadConfig()[field] || '');
+    if (image && image.digest === lastRollback.digest) {
+      console.log(chalk.gray(`      Still pinned - resume updates with: synchronize config unset ${field}`));
+    }
+  }
+  console.log(chalk.gray('   Full history: synchronize events'));
+  console.log('');
+}
+
+async function showStatus() {
+  console.log(chalk.blue('🔍 synchronizer Service Status'));
+  console.log(chalk.yellow('Checking systemd service status...\n'));
+
+  const serviceName = getServiceName();
+
+  if (!isDefaultProfile()) {
+    console.log(chalk.cyan(`Profile: ${activeProfile}`));
+  }
+  
+  showResourceLimits();
+  showImageHealth();
+
+  try {
+    // Check if service file exists
+    const serviceExists = fs.existsSync(`/etc/systemd/system/${serviceName}.service`);
+    
+    if (!serviceExists) {
+      console.log(chalk.yellow('⚠️  Systemd service not installed'));
+      console.log(chalk.gray('Run `synchronize service` to generate the service file'));
+      return;
+    }
+
+    console.log(chalk.green(`✅ Service file exists: /etc/systemd/system/${serviceName}.service`));
+
+    // Get service status
+    try {
+      const statusOutput = execSync(`systemctl status ${serviceName} --no-pager`, { 
+        encoding: 'utf8',
+        stdio: 'pipe'
+      });
+      
+      // Parse status for key information
+      const lines = statusOutput.split('\n');
+      const statusLine = lines.find(line => line.includes('Active:'));
+      const loadedLine = lines.find(line => line.includes('Loaded:'));
+      
+      if (statusLine) {
+        if (statusLine.includes('active (running)')) {
+          console.log(chalk.green('🟢 Status: Running'));
+        } else if (statusLine.includes('inactive (dead)')) {
+          console.log(chalk.red('🔴 Status: Stopped'));
+        } else if (statusLine.includes('failed')) {
+          console.log(chalk.red('❌ Status: Failed'));
+        } else {
+          console.log(chalk.yellow('🟡 Status: Unknown'));
+        }
+      }
+
+      if (loadedLine && loadedLine.includes('enabled')) {
+        console.log(chalk.green('✅ Auto-start: Enabled'));
+      } else {
+        console.log(chalk.yellow('⚠️  Auto-start: Disabled'));
+      }
+
+    } catch (error) {
+      console.log(chalk.red('❌ Service status: Not found or error'));
+      console.log(chalk.gray('The service may not be installed or you may need sudo access'));
+    }
+
+    // Show recent logs
+    console.log(chalk.blue('\n📋 Recent Logs (last 10 lines):'));
+    console.log(chalk.gray('─'.repeat(60)));
+    
+    try {
+      const logsOutput = execSync(`journalctl -u ${serviceName} --no-pager -n 10`, { 
+        encoding: 'utf8',
+        stdio: 'pipe'
+      });
+      
+      if (logsOutput.trim()) {
+        // Color-code log levels
+        const coloredLogs = logsOutput
+          .split('\n')
+          .map(line => {
+            if (line.includes('"level":"error"') || line.includes('ERROR')) {
+              return chalk.red(line);
+            } else if (line.includes('"level":"warn"') || line.includes('WARNING')) {
+              return chalk.yellow(line);
+            } else if (line.includes('"level":"info"') || line.includes('INFO')) {
+              return chalk.cyan(line);
+            } else if (line.includes('"level":"debug"') || line.includes('DEBUG')) {
+              return chalk.gray(line);
+            } else if (line.includes('proxy-connected') || line.includes('registered')) {
+              return chalk.green(line);
+            } else {
+              return line;
+            }
+          })
+          .join('\n');
+        
+        console.log(coloredLogs);
+      } else {
+        console.log(chalk.gray('No recent logs found'));
+      }
+    } catch (error) {
+      console.log(chalk.red('❌ Could not retrieve logs'));
+      console.log(chalk.gray('You may need sudo access to view systemd logs'));
+    }
+
+    // Show helpful commands
+    console.log(chalk.blue('\n🛠️  Useful Commands:'));
+    console.log(chalk.gray(`  Start service:    sudo systemctl start ${serviceName}`));
+    console.log(chalk.gray(`  Stop service:     sudo systemctl stop ${serviceName}`));
+    console.log(chalk.gray(`  Restart service:  sudo systemctl restart ${serviceName}`));
+    console.log(chalk.gray(`  Enable auto-start: sudo systemctl enable ${serviceName}`));
+    console.log(chalk.gray(`  View live logs:   journalctl -u ${serviceName} -f`));
+    console.log(chalk.gray(`  View all logs:    journalctl -u ${serviceName}`));
+
+    // Check if running as manual process
+    try {
+      const dockerPs = execSync(`${getContainerRuntime()} ps --format "{{.Names}}"`, {
+        encoding: 'utf8',
+        stdio: 'pipe'
+      });
+      
+      // Compare whole names: the name filter matches substrings, and other profiles share the prefix
+      const runningNames = dockerPs.split('\n').map(line => line.trim());
+      const manualContainers = getChannelContainerNames().filter(name => runningNames.includes(name));
+      
+      if (manualContainers.length > 0) {
+        console.log(chalk.yellow('\n⚠️  Manual synchronizer process also detected!'));
+        console.log(chalk.gray(`Containers: ${manualContainers.join(', ')}`));
+        console.log(chalk.gray('You may have both service and manual process running'));
+        console.log(chalk.gray('Consider stopping one to avoid conflicts'));
+      }
+    } catch (error) {
+      // Docker not available or no containers running
+    }
+
+  } catch (error) {
+    console.error(chalk.red('❌ Error checking service status:'), error.message);
+  }
+}
+
+/**
+ * Get the primary local IP address, filtering out virtual adapters and loopback interfaces
+ * Works across Windows, Mac, and Linux
+ * @returns {string} The primary local IP address or 'localhost' as fallback
+ */
+function getPrimaryLocalIP() {
+  const interfaces = os.networkInterfaces();
+  
+  // Priority order for interface types (prefer physical over virtual)
+  const interfacePriority = {
+    // Physical interfaces (highest priority)
+    'eth': 100,     // Ethernet (Linux)
+    'en': 90,       // Ethernet (macOS)
+    'Ethernet': 80, // Ethernet (Windows)
+    'Wi-Fi': 70,    // WiFi (Windows)
+    'wlan': 60,     // WiFi (Linux)
+    'wlp': 55,      // WiFi (Linux - newer naming)
+    
+    // Virtual interfaces (lower priority)
+    'docker': 10,   // Docker interfaces
+    'veth': 10,     // Virtual Ethernet
+    'br-': 10,      // Bridge interfaces
+    'virbr': 10,    // Virtual bridge
+    'vmnet': 10,    // VMware
+    'vbox': 10,     // VirtualBox
+    'tun': 10,      // Tunnel interfaces
+    'tap': 10,      // TAP interfaces
+    'utun': 10,     // User tunnel (macOS)
+    'awdl': 10,     // Apple Wireless Direct Link
+    'llw': 10,      // Low Latency WLAN (macOS)
+    'bridge': 10,   // Bridge interfaces
+    'vnic': 10,     // Virtual NIC
+    'Hyper-V': 10,  // Hyper-V (Windows)
+    'VirtualBox': 10, // VirtualBox (Windows)
+    'VMware': 10,   // VMware (Windows)
+    'Loopback': 5,  // Loopback (Windows)
+    'lo': 5         // Loopback (Linux/macOS)
+  };
+  
+  const candidates = [];
+  
+  for (const [interfaceName, addresses] of Object.entries(interfaces)) {
+    // Skip loopback interfaces
+    if (interfaceName === 'lo' || interfaceName.includes('Loopback')) {
+      continue;
+    }
+    
+    for (const addr of addresses) {
+      // Only consider IPv4 addresses that are not internal (loopback)
+      if (addr.family === 'IPv4' && !addr.internal) {
+        // Calculate priority based on interface name
+        let priority = 1; // Default low priority
+        
+        for (const [pattern, score] of Object.entries(interfacePriority)) {
+          if (interfaceName.toLowerCase().startsWith(pattern.toLowerCase()) ||
+              interfaceName.toLowerCase().includes(pattern.toLowerCase())) {
+            priority = score;
+            break;
+          }
+        }
+        
+        // Boost priority for common private network ranges
+        const ip = addr.address;
+        if (ip.startsWith('192.168.') || 
+            ip.startsWith('10.') || 
+            (ip.startsWith('172.') && parseInt(ip.split('.')[1]) >= 16 && parseInt(ip.split('.')[1]) <= 31)) {
+          priority += 20; // Prefer private network IPs
+        }
+        
+        // Penalise virtual/container networks
+        if (interfaceName.toLowerCase().includes('docker') ||
+            interfaceName.toLowerCase().includes('veth') ||
+            interfaceName.toLowerCase().includes('br-') ||
+            interfaceName.toLowerCase().includes('virbr') ||
+            ip.startsWith('172.17.') ||  // Default Docker network
+            ip.startsWith('172.18.') ||  // Docker networks
+            ip.startsWith('172.19.') ||
+            ip.startsWith('172.20.') ||
+            ip.startsWith('169.254.')) { // Link-local
+          priority -= 50;
+        }
+        
+        candidates.push({
+          ip: ip,
+          interface: interfaceName,
+          priority: priority,
+          mac: addr.mac
+        });
+      }
+    }
+  }
+  
+  // Sort by priority (highest first) and return the best candidate
+  candidates.sort((a, b) => b.priority - a.priority);
+  
+  if (candidates.length > 0) {
+    const best = candidates[0];
+    console.log(chalk.gray(`🌐 Detected primary IP: ${best.ip} (${best.interface})`));
+    
+    // Log other candidates for debugging if needed
+    if (candidates.length > 1) {
+      console.log(chalk.gray(`   Other interfaces: ${candidates.slice(1, 3).map(c => `${c.ip} (${c.interface})`).join(', ')}`));
+    }
+    
+    return best.ip;
+  }
+  
+  console.log(chalk.yellow('⚠️  Could not detect primary IP, using localhost'));
+  return 'localhost';
+}
+
+async function startWebGUI() {
+  console.log(chalk.blue('🌐 Starting synchronizer Web GUI'));
+  console.log(chalk.yellow('Setting up web dashboard and metrics endpoints...\n'));
+
+  let config = loadConfig();
+  
+  if (hasDashboardPassword(config)) {
+    console.log(chalk.green('🔒 Dashboard password protection enabled'));
+  } else {
+    console.log(chalk.yellow('⚠️  Dashboard is unprotected - consider setting a password'));
+  }
+  
+  // Get the primary local IP address
+  const primaryIP = getPrimaryLocalIP();
+  
+  // Find available ports with better logging
+  console.log(chalk.gray('🔍 Finding available ports...'));
+  const preferredPorts = getDashboardPorts(config);
+  const guiPort = await findAvailablePort(preferredPorts.guiPort);
+  const metricsPort = await findAvailablePort(
+    guiPort === preferredPorts.metricsPort ? preferredPorts.metricsPort + 1 : preferredPorts.metricsPort
+  );
+  
+  if (guiPort !== preferredPorts.guiPort) {
+    console.log(chalk.yellow(`⚠️  Port ${preferredPorts.guiPort} was busy, using port ${guiPort} for dashboard`));
+  }
+  if (metricsPort !== preferredPorts.metricsPort) {
+    console.log(chalk.yellow(`⚠️  Port ${preferredPorts.metricsPort} was busy, using port ${metricsPort} for metrics`));
+  }
+  
+  // Create Express apps
+  const guiApp = express();
+  const metricsApp = express();
+  
+  // Add authentication middleware to GUI app, always checking the live config
+  guiApp.use((req, res, next) => authenticateRequest(config, req, res, next));
+  // POST /api/pull-image takes a JSON body
+  guiApp.use(express.json());
+  
+  // GUI Dashboard
+  guiApp.get('/', (req, res) => {
+    const html = generateDashboardHTML(config, metricsPort, req.authenticated, primaryIP);
+    res.send(html);
+  });
+  
+  guiApp.get('/api/status', async (req, res) => {
+    const status = await getSystemStatus(config);
+    res.json(status);
+  });
+  
+  guiApp.get('/api/logs', async (req, res) => {
+    const logs = await getRecentLogs();
+    res.json({ logs });
+  });
+  
+  // Live container output as server-sent events
+  guiApp.get('/api/logs/stream', async (req, res) => {
+    // The browser may go away while we are still talking to Docker
+    let logs = null;
+    req.on('close', () => {
+      if (logs) {
+        logs.destroy();
+      }
+    });
+    
+    const containerName = await findRunningSynchronizerContainer();
+    if (!containerName) {
+      res.status(404).json({ error: 'No synchronizer container is running' });
+      return;
+    }
+    
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    
+    try {
+      logs = await dockerContainerLogs(containerName, { follow: true, tail: 50 }, (line, streamName) => {
+        res.write(`data: ${JSON.stringify({ line, stream: streamName })}\n\n`);
+      });
+      if (req.destroyed) {
+        logs.destroy();
+        return;
+      }
+      // End the event stream when the container stops or the daemon drops the connection
+      logs.on('end', () => res.end());
+      logs.on('close', () => res.end());
+      logs.on('error', () => res.end());
+    } catch (error) {
+      res.write(`event: error\ndata: ${JSON.stringify({ error: error.message })}\n\n`);
+      res.end();
+    }
+  });
+  
+  guiApp.get('/api/performance', async (req, res) => {
+    const performance = await getPerformanceData(config);
+    res.json(performance);
+  });
+  
+  guiApp.get('/api/points', async (req, res) => {
+    const points = await getPointsData(config);
+    res.json(points);
+  });
+  
+  guiApp.post('/api/install-web-service', async (req, res) => {
+    try {
+      const result = await installWebServiceFile();
+      res.json(result);
+    } catch (error) {
+      res.json({ success: false, error: error.message });
+    }
+  });
+  
+  guiApp.get('/api/compare', (req, res) => {
+    const state = loadCompareState();
+    res.json({ success: true, comparison: state ? summarizeComparison(state) : null });
+  });
+  
+  guiApp.get('/api/check-updates', async (req, res) => {
+    try {
+      const channels = await getChannelStatus(config);
+      
+      const updateStatus = [];
+      let totalUpdates = 0;
+      
+      for (const channel of channels) {
+        try {
+          const hasUpdate = await isNewDockerImageAvailable(channel.name, config);
+          updateStatus.push({
+            ...channel,
+            updateAvailable: hasUpdate,
+            checked: true
+          });
+          if (hasUpdate) totalUpdates++;
+        } catch (error) {
+          updateStatus.push({
+            ...channel,
+            updateAvailable: false,
+            checked: false,
+            error: error.message
+          });
+        }
+      }
+      
+      res.json({
+        success: true,
+        totalUpdates,
+        images: updateStatus,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      res.json({ success: false, error: error.message });
+    }
+  });
+  
+  guiApp.post('/api/pull-image', async (req, res) => {
+    try {
+      const { imageName } = req.body;
+      
+      if (!imageName) {
+        return res.json({ success: false, error: 'Image name is required' });
+      }
+      
+      // Security check - only allow the configured synchronizer images
+      const allowedImages = getConfiguredImages(config).map(image => image.name);
+      
+      if (!allowedImages.includes(imageName)) {
+        return res.json({ success: false, error: 'Image not allowed' });
+      }
+      
+      await dockerPullImage(imageName, { platform: detectDockerPlatform() });
+      res.json({ 
+        success: true, 
+        message: `Successfully pulled ${imageName}`,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      res.json({ success: false, error: error.message });
+    }
+  });
+  
+  // Metrics endpoint (no auth required for monitoring)
+  metricsApp.get('/metrics', async (req, res) => {
+    const metrics = await generateMetrics(config);
+    res.json(metrics);
+  });
+  
+  metricsApp.get('/health', async (req, res) => {
+    const health = await getHealthStatus();
+    res.json(health);
+  });
+  
+  // Start servers
+  const guiServer = guiApp.listen(guiPort, '0.0.0.0', () => {
+    console.log(chalk.green(`🎨 Web Dashboard: http://${primaryIP}:${guiPort}`));
+    if (hasDashboardPassword(config)) {
+      console.log(chalk.gray('   Use any username with your configured password to access'));
+    }
+  });
+  
+  const metricsServer = metricsApp.listen(metricsPort, '0.0.0.0', () => {
+    console.log(chalk.green(`📊 Metrics API: http://${primaryIP}:${metricsPort}/metrics`));
+    console.log(chalk.green(`❤️  Health Check: http://${primaryIP}:${metricsPort}/health`));
+    
+    // Show local URLs in a separate section if not localhost
+    if (primaryIP !== 'localhost') {
+      console.log(chalk.blue('\n📍 Local Access:'));
+      console.log(chalk.gray(`   Dashboard: http://localhost:${guiPort}`));
+      console.log(chalk.gray(`   Metrics: http://localhost:${metricsPort}/metrics`));
+      console.log(chalk.gray(`   Health: http://localhost:${metricsPort}/health`));
+    }
+  });
+  
+  // Apply config edits (password, wallet, image settings) without a restart
+  const stopWatchingConfig = watchConfig(config, (nextConfig, changed) => {
+    config = nextConfig;
+    
+    if (changed.includes('dashboardPasswordHash') || changed.includes('dashboardPassword')) {
+      console.log(hasDashboardPassword(config)
+        ? chalk.green('🔒 Dashboard password updated')
+        : chalk.yellow('⚠️  Dashboard password removed - dashboard is now unprotected'));
+    }
+    if (changed.includes('dashboardPort') || changed.includes('metricsPort')) {
+      console.log(chalk.yellow('⚠️  Port changes take effect the next time the dashboard starts'));
+    }
+  });
+  
+  console.log(chalk.blue('\n🔄 Auto-refresh dashboard every 5 seconds'));
+  console.log(chalk.gray(`👀 Watching ${getConfigFile()} for changes`));
+  console.log(chalk.gray('Press Ctrl+C to stop the web servers\n'));
+  
+  // Graceful shutdown
+  process.on('SIGINT', () => {
+    console.log(chalk.yellow('\n🛑 Shutting down web servers...'));
+    stopWatchingConfig();
+    guiServer.close();
+    metricsServer.close();
+    process.exit(0);
+  });
+  
+  // Keep the process alive
+  setInterval(() => {
+    // Just keep alive, servers handle requests
+  }, 1000);
+}
+
+async function findAvailablePort(startPort) {
+  const net = require('net');
+  
+  return new Promise((resolve, reject) => {
+    // Limit the search to prevent infinite loops
+    const maxAttempts = 100;
+    let attempts = 0;
+    
+    function tryPort(port) {
+      if (attempts >= maxAttempts) {
+        reject(new Error(`Could not find available port after ${maxAttempts} attempts starting from ${startPort}`));
+        return;
+      }
+      
+      attempts++;
+      const server = net.createServer();
+      
+      server.listen(port, () => {
+        const actualPort = server.address().port;
+        server.close(() => resolve(actualPort));
+      });
+      
+      server.on('error', (err) => {
+        if (err.code === 'EADDRINUSE') {
+          // Port is busy, try the next one
+          tryPort(port + 1);
+        } else {
+          // Other error, try next port anyway
+          tryPort(port + 1);
+        }
+      });
+    }
+    
+    tryPort(startPort);
+  });
 }
 
 function generateDashboardHTML(config, metricsPort, authenticated, primaryIP) {
   // Determine if we should show sensitive data
-  const showSensitiveData = !config.dashboardPassword || authenticated;
+  const showSensitiveData = !hasDashboardPassword(config) || authenticated;
   const maskedKey = showSensitiveData ? config.key : '••••••••-••••-••••-••••-••••••••••••';
   const maskedWallet = showSensitiveData ? config.wallet : '0x••••••••••••••••••••••••••••••••••••••••';
   
@@ -1584,6 +5097,10 @@ function generateDashboardHTML(config, metricsPort, authenticated, primaryIP) {
             
             <div class="card">
                 <h3>⚙️ Configuration</h3>
+                <div class="config-item">
+                    <span class="config-label">Profile:</span>
+                    <span class="config-value">${activeProfile}</span>
+                </div>
                 <div class="config-item">
                     <span class="config-label">Sync Name:</span>
                     <span class="config-value">${config.syncHash || 'Not configured'}</span>
@@ -1643,6 +5160,13 @@ function generateDashboardHTML(config, metricsPort, authenticated, primaryIP) {
             </div>
         </div>
         
+        <div class="points-section">
+            <div class="card">
+                <h3>⚖️ Stable vs Nightly</h3>
+                <div id="compare-content">Loading...</div>
+            </div>
+        </div>
+        
         <div class="api-section">
             <div class="card">
                 <h3>🔗 API Endpoints</h3>
@@ -1655,7 +5179,12 @@ function generateDashboardHTML(config, metricsPort, authenticated, primaryIP) {
                     <div class="api-endpoint">
                         <span class="api-method">GET</span>
                         <span class="api-path">/api/logs</span>
-                        <span class="api-desc">Recent systemd service logs</span>
+                        <span class="api-desc">Recent synchronizer logs</span>
+                    </div>
+                    <div class="api-endpoint">
+                        <span class="api-method">GET</span>
+                        <span class="api-path">/api/logs/stream</span>
+                        <span class="api-desc">Live container output (server-sent events)</span>
                     </div>
                     <div class="api-endpoint">
                         <span class="api-method">GET</span>
@@ -1672,10 +5201,15 @@ function generateDashboardHTML(config, metricsPort, authenticated, primaryIP) {
                         <span class="api-path">/api/install-web-service</span>
                         <span class="api-desc">Generate systemd service for web dashboard</span>
                     </div>
+                    <div class="api-endpoint">
+                        <span class="api-method">GET</span>
+                        <span class="api-path">/api/compare</span>
+                        <span class="api-desc">Stable vs nightly comparison summary</span>
+                    </div>
                     <div class="api-endpoint">
                         <span class="api-method">GET</span>
                         <span class="api-path">/api/check-updates</span>
-                        <span class="api-desc">Check for Docker image updates</span>
+                        <span class="api-desc">Check each release channel for Docker image updates</span>
                     </div>
                     <div class="api-endpoint">
                         <span class="api-method">POST</span>
@@ -1750,6 +5284,43 @@ function generateDashboardHTML(config, metricsPort, authenticated, primaryIP) {
             }
         }
         
+        async function fetchComparison() {
+            try {
+                const response = await fetch('/api/compare');
+                const data = await response.json();
+                updateComparisonDisplay(data.comparison);
+            } catch (error) {
+                document.getElementById('compare-content').innerHTML = '<span style="color: #fca5a5;">Error loading comparison</span>';
+            }
+        }
+        
+        function updateComparisonDisplay(comparison) {
+            if (!comparison) {
+                document.getElementById('compare-content').innerHTML = '<span style="opacity: 0.6;">No comparison yet - run <code>synchronize compare --duration 24h</code></span>';
+                return;
+            }
+            
+            const channelsHtml = comparison.channels.map(channel => \`
+                <div class="metric">
+                    <div class="metric-label">\${channel.channel} (\${channel.syncName}):</div>
+                    <div class="metric-value" style="font-size: 0.9em;" title="\${channel.image}">
+                        \${channel.running ? '▶️' : '⏹️'}
+                        \${channel.connectedPercent === null ? 'n/a' : channel.connectedPercent + '% connected'} ·
+                        \${channel.restarts} restarts ·
+                        \${channel.pointsGained === null ? 'no point stats' : '+' + channel.pointsGained + ' points'}
+                    </div>
+                </div>
+            \`).join('');
+            
+            document.getElementById('compare-content').innerHTML = \`
+                <div class="metric">
+                    <div class="metric-label">\${comparison.active ? 'Running until:' : 'Finished:'}</div>
+                    <div class="metric-value" style="font-size: 0.9em;">\${new Date(comparison.active ? comparison.endsAt : comparison.finishedAt || comparison.endsAt).toLocaleString()}</div>
+                </div>
+                \${channelsHtml}
+            \`;
+        }
+        
         function updateStatusDisplay(status) {
             const statusHtml = \`
                 <div class="metric">
@@ -1782,6 +5353,14 @@ function generateDashboardHTML(config, metricsPort, authenticated, primaryIP) {
                         }
                     </div>
                 </div>
+                \${status.imageUpdates && status.imageUpdates.images ? status.imageUpdates.images.map(image => \`
+                <div class="metric">
+                    <div class="metric-label">Channel \${image.channel}:</div>
+                    <div class="metric-value" style="font-size: 0.9em;" title="\${image.name}">
+                        \${image.running ? '▶️ Running' : '⏹️ Not running'} · \${image.error || !image.checked ? '❔ Unknown' : image.updateAvailable ? '🔄 Update available' : '✅ Up to date'}
+                    </div>
+                </div>
+                \`).join('') : ''}
                 \${status.imageUpdates && status.imageUpdates.lastChecked ? \`
                 <div class="metric">
                     <div class="metric-label">Last Checked:</div>
@@ -1989,6 +5568,7 @@ function generateDashboardHTML(config, metricsPort, authenticated, primaryIP) {
             fetchLogs();
             fetchPerformance();
             fetchPoints();
+            fetchComparison();
             document.getElementById('last-updated').textContent = new Date().toLocaleTimeString();
         }
         
@@ -2010,6 +5590,10 @@ async function getSystemStatus(config) {
     autoStart: false,
     uptime: null,
     containerRunning: false,
+    imageHealth: {
+      lastKnownGood: loadImageState().lastKnownGood,
+      lastRollback: readEvents('image-rollback').pop() || null
+    },
     imageUpdates: {
       available: 0,
       lastChecked: null,
@@ -2017,19 +5601,17 @@ async function getSystemStatus(config) {
     }
   };
   
-  // Check Docker
-  try {
-    execSync('docker --version', { stdio: 'ignore' });
-    status.dockerAvailable = true;
-  } catch (error) {
-    status.dockerAvailable = false;
-  }
+  // Check that the Docker daemon answers
+  status.dockerAvailable = await dockerPing();
+  
+  const serviceName = getServiceName();
+  const containerName = getContainerName();
   
   // Check systemd service
   try {
-    const serviceExists = fs.existsSync('/etc/systemd/system/synchronizer-cli.service');
+    const serviceExists = fs.existsSync(`/etc/systemd/system/${serviceName}.service`);
     if (serviceExists) {
-      const statusOutput = execSync('systemctl status synchronizer-cli --no-pager', { 
+      const statusOutput = execSync(`systemctl status ${serviceName} --no-pager`, { 
         encoding: 'utf8',
         stdio: 'pipe'
       });
@@ -2060,48 +5642,42 @@ async function getSystemStatus(config) {
   }
   
   // Check if container is running manually
-  try {
-    const dockerPs = execSync('docker ps --filter name=synchronizer-cli --format "{{.Names}}"', {
-      encoding: 'utf8',
-      stdio: 'pipe'
-    });
-    status.containerRunning = dockerPs.includes('synchronizer-cli');
-  } catch (error) {
-    // Docker not available
+  if (status.dockerAvailable) {
+    try {
+      status.containerRunning = (await dockerListContainers(containerName)).length > 0;
+    } catch (error) {
+      // Docker API error
+    }
   }
   
   // Check Docker image updates (quick check, no pulling)
   if (status.dockerAvailable) {
     try {
-      const images = [
-        'cdrakep/synqchronizer:latest',
-        'cdrakep/synqchronizer-test-fixed:latest'
-      ];
+      const channels = await getChannelStatus(config);
       
       let updatesAvailable = 0;
-      const imageStatuses = [];
-      
-      for (const imageName of images) {
-        try {
-          // Quick check without pulling
-          const hasUpdate = await isNewDockerImageAvailable(imageName);
-          imageStatuses.push({
-            name: imageName,
-            updateAvailable: hasUpdate
-          });
-          if (hasUpdate) updatesAvailable++;
-        } catch (error) {
-          imageStatuses.push({
-            name: imageName,
-            updateAvailable: false,
-            error: error.message
-          });
+      const imageStatuses = [];
+      
+      let lastChecked = null;
+      
+      for (const channel of channels) {
+        // The dashboard polls every few seconds, so this reads the cached result of the last registry check
+        const update = getCachedImageUpdate(channel.name, config);
+        imageStatuses.push({
+          ...channel,
+          updateAvailable: update.updateAvailable,
+          checked: !!update.checkedAt,
+          ...(update.error ? { error: update.error } : {})
+        });
+        if (update.updateAvailable) updatesAvailable++;
+        if (update.checkedAt && (!lastChecked || update.checkedAt < lastChecked)) {
+          lastChecked = update.checkedAt;
         }
       }
       
       status.imageUpdates = {
         available: updatesAvailable,
-        lastChecked: new Date().toISOString(),
+        lastChecked,
         images: imageStatuses
       };
     } catch (error) {
@@ -2114,8 +5690,18 @@ async function getSystemStatus(config) {
 }
 
 async function getRecentLogs() {
+  // The container output covers both `start` and the systemd service, which runs the same container
+  const containerName = await findRunningSynchronizerContainer();
+  if (containerName) {
+    try {
+      return (await readContainerLogs(containerName, 15)).filter(line => line.trim());
+    } catch (error) {
+      // Fall back to the service journal
+    }
+  }
+  
   try {
-    const logsOutput = execSync('journalctl -u synchronizer-cli --no-pager -n 20 --output=short-iso', { 
+    const logsOutput = execSync(`journalctl -u ${getServiceName()} --no-pager -n 20 --output=short-iso`, { 
       encoding: 'utf8',
       stdio: 'pipe'
     });
@@ -2433,28 +6019,15 @@ async function getPointsData(config) {
   }
 }
 
-async function getContainerStats() {
+/**
+ * Stats of a synchronizer container, from its logs when they have them
+ * @param {string} [name] Container to look at; the first running synchronizer container when not given
+ * @returns {Promise<object|null>}
+ */
+async function getContainerStats(name) {
   try {
-    // Check for either synchronizer container
-    const containerNames = ['synchronizer-cli', 'synchronizer-nightly'];
-    let containerName = null;
-    
-    // Find which container is running
-    for (const name of containerNames) {
-      try {
-        const psOutput = execSync(`docker ps --filter name=${name} --format "{{.Names}}"`, {
-          encoding: 'utf8',
-          stdio: 'pipe'
-        });
-        
-        if (psOutput.includes(name)) {
-          containerName = name;
-          break;
-        }
-      } catch (error) {
-        // Continue checking next container name
-      }
-    }
+    // Check for any synchronizer container
+    const containerName = name || await findRunningSynchronizerContainer();
     
     if (!containerName) {
       // No synchronizer container running
@@ -2464,12 +6037,12 @@ async function getContainerStats() {
     // Container is running, proceed with stats gathering
     
     // Check how long the container has been running
-    const inspectOutput = execSync(`docker inspect ${containerName} --format "{{.State.StartedAt}}"`, {
-      encoding: 'utf8',
-      stdio: 'pipe'
-    });
+    const containerInfo = await dockerInspectContainer(containerName);
+    if (!containerInfo) {
+      return null;
+    }
     
-    const startTime = new Date(inspectOutput.trim());
+    const startTime = new Date(containerInfo.State.StartedAt);
     const now = new Date();
     const uptimeMs = now.getTime() - startTime.getTime();
     const uptimeHours = uptimeMs / (1000 * 60 * 60);
@@ -2480,11 +6053,7 @@ async function getContainerStats() {
     
     try {
       // Get more comprehensive logs to look for stats data
-      const logsOutput = execSync(`docker logs ${containerName} --tail 100`, {
-        encoding: 'utf8',
-        stdio: 'pipe',
-        timeout: 10000
-      });
+      const logsOutput = (await readContainerLogs(containerName, 100)).join('\n');
       
       // Look for signs that the synchronizer is actually working
       isEarningPoints = logsOutput.includes('proxy-connected') || 
@@ -2529,22 +6098,18 @@ async function getContainerStats() {
       // Could not read container logs
     }
     
-    // Try to execute a command inside the container to get stats
+    // Check the container's processes when the logs had no stats
     if (!realStats) {
       try {
-        // Try to get stats by executing a command in the container
-        const execOutput = execSync(`docker exec ${containerName} ps aux`, {
-          encoding: 'utf8',
-          stdio: 'pipe',
-          timeout: 5000
-        });
+        // List the processes in the container
+        const top = await dockerContainerTop(containerName);
         
-        // If we can execute commands, the container is healthy
-        if (execOutput.includes('node')) {
+        // A running node process means the synchronizer is up
+        if (top.Processes.some(processInfo => processInfo.join(' ').includes('node'))) {
           isEarningPoints = true;
         }
-      } catch (execError) {
-        // Could not execute command in container
+      } catch (topError) {
+        // Could not list container processes
       }
     }
     
@@ -2587,6 +6152,8 @@ async function getContainerStats() {
       uptimeHours: uptimeHours,
       isEarningPoints: isEarningPoints,
       hasRealStats: !!realStats,
+      containerName,
+      restartCount: containerInfo.RestartCount || 0,
       containerStartTime: startTime.toISOString()
     };
     
@@ -2602,7 +6169,8 @@ async function installWebServiceFile() {
     throw new Error('Missing synq key. Run `synchronize init` first.');
   }
 
-  const serviceFile = path.join(CONFIG_DIR, 'synchronizer-cli-web.service');
+  const serviceName = getServiceName('web');
+  const serviceFile = path.join(CONFIG_DIR, `${serviceName}.service`);
   const user = os.userInfo().username;
   const npxPath = detectNpxPath();
   
@@ -2633,7 +6201,7 @@ User=${user}
 Restart=always
 RestartSec=10
 WorkingDirectory=${os.homedir()}
-ExecStart=${npxPath} synchronize web
+ExecStart=${npxPath} synchronize web${getProfileCliArgs()}
 Environment=NODE_ENV=production
 Environment=PATH=${pathEnv}
 
@@ -2645,8 +6213,8 @@ WantedBy=multi-user.target
   
   const instructions = `sudo cp ${serviceFile} /etc/systemd/system/
 sudo systemctl daemon-reload
-sudo systemctl enable synchronizer-cli-web
-sudo systemctl start synchronizer-cli-web`;
+sudo systemctl enable ${serviceName}
+sudo systemctl start ${serviceName}`;
 
   return {
     success: true,
@@ -2764,7 +6332,7 @@ async function setDashboardPassword() {
 
   const config = loadConfig();
   
-  if (config.dashboardPassword) {
+  if (hasDashboardPassword(config)) {
     console.log(chalk.yellow('Dashboard password is currently set.'));
     
     const changePassword = await inquirer.prompt([{
@@ -2794,6 +6362,7 @@ async function setDashboardPassword() {
 
   if (action === 'remove') {
     delete config.dashboardPassword;
+    delete config.dashboardPasswordHash;
     saveConfig(config);
     console.log(chalk.green('✅ Password protection removed'));
     console.log(chalk.yellow('⚠️  Dashboard is now unprotected - synq key will be visible to anyone'));
@@ -2822,7 +6391,7 @@ async function setDashboardPassword() {
   console.log(chalk.green('✅ Dashboard password set successfully'));
   console.log(chalk.blue('🔒 Dashboard is now password protected'));
   console.log(chalk.gray('Use any username with your password to access the web dashboard'));
-  console.log(chalk.gray('Restart the web dashboard for changes to take effect'));
+  console.log(chalk.gray('A running web dashboard picks up the new password within a few seconds'));
 }
 
 async function validateSynqKey(keyToValidate) {
@@ -3000,247 +6569,268 @@ async function fetchWalletLifetimePoints(key, wallet, config = {}) {
 }
 
 /**
- * Start the nightly test version of the synchronizer with latest Docker image
+ * Start the nightly test version of the synchronizer - shorthand for `start --channel nightly`
  */
-async function startNightly() {
-  const config = loadConfig();
-  if (!config.key) {
-    console.error(chalk.red('Missing synq key. Run `synchronize init` first.'));
-    process.exit(1);
-  }
+async function startNightly(options = {}) {
+  return start({ ...options, channel: 'nightly' });
+}
 
-  if (config.hostname !== os.hostname()) {
-    console.error(chalk.red(`This config was created for ${config.hostname}, not ${os.hostname()}.`));
-    process.exit(1);
+const COMPARE_CHANNELS = ['stable', 'nightly'];
+const DEFAULT_COMPARE_INTERVAL = '60s';
+
+/**
+ * Parse a duration such as 90s, 30m, 24h or 2d
+ * @returns {number|null} Milliseconds, or null when the value is not a duration
+ */
+function parseDuration(value) {
+  const match = /^(\d+(?:\.\d+)?)([smhd])$/.exec(String(value || '').trim());
+  if (!match) {
+    return null;
   }
+  return Number(match[1]) * { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 }[match[2]];
+}
 
-  // Check if Docker is installed
-  if (!checkDocker()) {
-    console.error(chalk.red('Docker is not installed or not accessible.'));
-    
-    const shouldInstall = await inquirer.prompt([{
-      type: 'confirm',
-      name: 'install',
-      message: 'Would you like to install Docker now?',
-      default: true
-    }]);
+/**
+ * Sync name a channel reports under during `compare`
+ * Stable keeps the configured sync name; other channels get their own, derived the
+ * same way so repeated comparisons reuse it
+ */
+function getCompareSyncName(config, channel) {
+  return channel === 'stable' ? config.syncHash : generateSyncHash(config.userName, `${config.secret}:${channel}`, config.hostname);
+}
 
-    if (shouldInstall.install) {
-      await installDocker();
-      
-      // Check again after installation
-      if (!checkDocker()) {
-        console.error(chalk.red('Docker installation may have failed or requires a restart.'));
-        console.error(chalk.yellow('Please try running the command again after restarting your terminal.'));
-        process.exit(1);
-      }
-    } else {
-      console.error(chalk.yellow('Please install Docker first: https://docs.docker.com/get-docker/'));
-      process.exit(1);
-    }
+/**
+ * Comparison run of the active profile, shared with the dashboard through the compare file
+ * @returns {object|null}
+ */
+function loadCompareState() {
+  try {
+    return JSON.parse(fs.readFileSync(getCompareFile(), 'utf8'));
+  } catch (error) {
+    return null;
   }
-  
-  const syncName = config.syncHash;
-  const containerName = 'synchronizer-nightly';
+}
 
-  // Check if container is already running
-  try {
-    const runningContainers = execSync(`docker ps --filter name=${containerName} --format "{{.Names}}"`, {
-      encoding: 'utf8',
-      stdio: 'pipe'
-    });
+function saveCompareState(state) {
+  writeFileAtomic(getCompareFile(), JSON.stringify(state));
+}
+
+/**
+ * Take one sample of every compared container: running, restarts, connection state and log stats
+ * @param {object} state Comparison state, samples are appended in place
+ */
+async function sampleComparison(state) {
+  for (const channel of Object.keys(state.channels)) {
+    const { containerName } = state.channels[channel];
+    const sample = { time: new Date().toISOString(), running: false, restartCount: 0, connected: false };
     
-    if (runningContainers.includes(containerName)) {
-      console.log(chalk.green(`✅ Found existing nightly container running`));
-      console.log(chalk.cyan(`🔗 Connecting to logs... (Ctrl+C will stop the container)`));
-      
-      // Connect to the existing container's logs
-      const logProc = spawn('docker', ['logs', '-f', containerName], { stdio: 'inherit' });
+    try {
+      const container = await dockerInspectContainer(containerName);
+      if (container) {
+        sample.running = !!container.State.Running;
+        sample.restartCount = container.RestartCount || 0;
+      }
       
-      // Handle Ctrl+C to stop the container
-      const cleanup = () => {
-        console.log(chalk.yellow('\n🛑 Stopping nightly container...'));
-        try {
-          execSync(`docker stop ${containerName}`, { stdio: 'pipe' });
-          console.log(chalk.green('✅ Container stopped'));
-        } catch (error) {
-          console.log(chalk.red('❌ Error stopping container:', error.message));
+      const stats = sample.running ? await getContainerStats(containerName) : null;
+      if (stats) {
+        sample.connected = stats.proxyConnectionState === 'CONNECTED';
+        // Without stats in the logs getContainerStats estimates from uptime, which says nothing about the image
+        if (stats.hasRealStats) {
+          sample.points = stats.syncLifePoints;
+          sample.traffic = stats.syncLifeTraffic;
+          sample.sessions = stats.sessions;
         }
-        process.exit(0);
-      };
-      
-      process.on('SIGINT', cleanup);
-      process.on('SIGTERM', cleanup);
-      
-      logProc.on('exit', (code) => {
-        process.exit(code);
-      });
-      
-      return;
+      }
+    } catch (error) {
+      sample.error = error.message;
     }
-  } catch (error) {
-    // No existing container, continue with normal startup
+    
+    state.samples[channel].push(sample);
   }
+}
 
-  // Detect platform architecture
-  const arch = os.arch();
-  const platform = os.platform();
-  let dockerPlatform = 'linux/amd64'; // Default to amd64
+/**
+ * Per-channel figures of a comparison run, used by the report and the dashboard
+ * @param {object} state Comparison state
+ * @returns {object}
+ */
+function summarizeComparison(state) {
+  const channels = Object.keys(state.channels).map(channel => {
+    const samples = state.samples[channel];
+    const last = samples[samples.length - 1];
+    const withStats = samples.filter(sample => sample.points !== undefined);
+    const firstStats = withStats[0];
+    const lastStats = withStats[withStats.length - 1];
+    
+    return {
+      channel,
+      ...state.channels[channel],
+      samples: samples.length,
+      running: last ? last.running : false,
+      connectedPercent: samples.length ? Math.round(samples.filter(sample => sample.connected).length / samples.length * 1000) / 10 : null,
+      restarts: samples.reduce((max, sample) => Math.max(max, sample.restartCount), 0),
+      pointsGained: lastStats ? lastStats.points - firstStats.points : null,
+      trafficGained: lastStats ? lastStats.traffic - firstStats.traffic : null,
+      averageSessions: withStats.length ? Math.round(withStats.reduce((sum, sample) => sum + sample.sessions, 0) / withStats.length * 10) / 10 : null
+    };
+  });
   
-  if (platform === 'linux') {
-    if (arch === 'arm64' || arch === 'aarch64') {
-      dockerPlatform = 'linux/arm64';
-    } else if (arch === 'x64' || arch === 'x86_64') {
-      dockerPlatform = 'linux/amd64';
-    }
-  } else if (platform === 'darwin') {
-    dockerPlatform = arch === 'arm64' ? 'linux/arm64' : 'linux/amd64';
-  }
-
-  console.log(chalk.blue(`Detected platform: ${platform}/${arch} -> Using Docker platform: ${dockerPlatform}`));
-
-  // Set nightly-specific launcher with Croquet version in Docker (2.0.1)
-  const launcherWithVersion = `cli-${packageJson.version}/docker-2.1.3-nightly`;
-  console.log(chalk.cyan(`Using launcher identifier: ${launcherWithVersion}`));
+  return {
+    startedAt: state.startedAt,
+    endsAt: state.endsAt,
+    finishedAt: state.finishedAt || null,
+    intervalSeconds: state.intervalSeconds,
+    active: !state.finishedAt && Date.now() < new Date(state.endsAt).getTime(),
+    channels
+  };
+}
 
-  // Use the FIXED nightly test image
-  const imageName = 'cdrakep/synqchronizer-test-fixed:latest';
-  
-  // Check if we need to pull the latest Docker image
-  const shouldPull = await isNewDockerImageAvailable(imageName);
+/**
+ * Print the comparison report, with a verdict on the nightly channel
+ */
+function printComparisonReport(state) {
+  const summary = summarizeComparison(state);
+  const endedAt = new Date(summary.finishedAt || Date.now());
+  const minutes = Math.round((endedAt - new Date(summary.startedAt)) / 60000);
+  
+  console.log(chalk.blue(`\n📊 Stable vs Nightly Comparison (${Math.floor(minutes / 60)}h ${minutes % 60}m, sampled every ${summary.intervalSeconds}s)`));
+  for (const channel of summary.channels) {
+    console.log(chalk.cyan(`\n${channel.channel}  ${channel.image}`));
+    console.log(chalk.gray(`   Container:  ${channel.containerName}, sync name ${channel.syncName}`));
+    console.log(`   Connected:  ${channel.connectedPercent === null ? 'n/a' : `${channel.connectedPercent}% of ${channel.samples} samples`}`);
+    console.log(`   Restarts:   ${channel.restarts}`);
+    console.log(`   Points:     ${channel.pointsGained === null ? 'n/a (no stats in the logs)' : `+${channel.pointsGained}`}`);
+    console.log(`   Traffic:    ${channel.trafficGained === null ? 'n/a' : `${(channel.trafficGained / (1024 * 1024)).toFixed(2)} MB`}`);
+    console.log(`   Sessions:   ${channel.averageSessions === null ? 'n/a' : `${channel.averageSessions} on average`}`);
+  }
   
-  // Pull the latest image only if necessary
-  if (shouldPull) {
-    console.log(chalk.cyan('Pulling latest nightly test image...'));
-    try {
-      execSync(`docker pull ${imageName}`, { 
-        stdio: ['ignore', 'pipe', 'pipe']
-      });
-      console.log(chalk.green('✅ Nightly test image pulled successfully'));
-    } catch (error) {
-      console.log(chalk.yellow('⚠️  Could not pull latest image - will use local cache if available'));
-      console.log(chalk.gray(error.message));
-    }
+  const [stable, nightly] = summary.channels;
+  console.log('');
+  if (nightly.connectedPercent < stable.connectedPercent) {
+    console.log(chalk.yellow(`⚠️  Nightly was connected less often than stable (${nightly.connectedPercent}% vs ${stable.connectedPercent}%)`));
   }
+  if (nightly.restarts > stable.restarts) {
+    console.log(chalk.yellow(`⚠️  Nightly restarted more often than stable (${nightly.restarts} vs ${stable.restarts})`));
+  }
+  if (nightly.connectedPercent >= stable.connectedPercent && nightly.restarts <= stable.restarts) {
+    console.log(chalk.green('✅ Nightly matched or beat stable on connection time and restarts'));
+  }
+}
 
-  console.log(chalk.magenta(`🌙 Running NIGHTLY TEST synchronizer "${syncName}" with wallet ${config.wallet || '[none]'}`));
-  console.log(chalk.yellow(`⚠️  This is a TEST version for development/testing purposes`));
-  console.log(chalk.green(`✅ Using container image: ${imageName}`));
-
-  // Create Docker command using the same approach as start() function
-  const dockerCmd = 'docker';
-  const args = [
-    'run', '--rm', '--name', containerName,
-    '--pull', 'always', // Always try to pull the latest image
-    '--platform', dockerPlatform,
-    imageName
-  ];
-  
-  // Add container arguments correctly - each flag and value as separate items
-  if (config.depin) {
-    args.push('--depin');
-    args.push(config.depin);
-  } else {
-    args.push('--depin');
-    args.push('wss://api.multisynq.io/depin');
+/**
+ * Run the stable and nightly channels side by side for a while, sampling both,
+ * then print a comparison report and remove the containers
+ */
+async function runComparison(options) {
+  const config = loadConfig();
+  if (!config.key) {
+    console.error(chalk.red('Missing synq key. Run `synchronize init` first.'));
+    process.exit(1);
   }
+  ensureValidConfig(config);
   
-  args.push('--sync-name');
-  args.push(syncName);
-  
-  args.push('--launcher');
-  args.push(launcherWithVersion);
-  
-  args.push('--key');
-  args.push(config.key);
-  
-  if (config.wallet) {
-    args.push('--wallet');
-    args.push(config.wallet);
+  const durationMs = parseDuration(options.duration);
+  const intervalMs = parseDuration(options.interval || DEFAULT_COMPARE_INTERVAL);
+  if (!durationMs || !intervalMs) {
+    console.error(chalk.red(`❌ Invalid duration "${durationMs ? options.interval : options.duration}"`));
+    console.error(chalk.yellow('Use a number with s, m, h or d, e.g. 30m or 24h'));
+    process.exit(1);
   }
   
-  if (config.account) {
-    args.push('--account');
-    args.push(config.account);
+  if (!await dockerPing()) {
+    console.error(chalk.red(`❌ Cannot reach the ${getContainerRuntimeLabel()} daemon`));
+    process.exit(1);
   }
-
-  // For debugging
-  console.log(chalk.gray(`Running command: ${dockerCmd} ${args.join(' ')}`));
   
-  const proc = spawn(dockerCmd, args, { stdio: 'inherit' });
+  // The stable container reuses the normal container and sync name, so nothing else may be running
+  const active = findActiveSynchronizer();
+  if (active) {
+    console.error(chalk.red(`❌ ${active.type === 'service' ? `Service ${active.name}` : `Container ${active.name}`} is already running`));
+    console.error(chalk.yellow('Stop it first with `synchronize stop`, then run the comparison again.'));
+    process.exit(1);
+  }
   
-  // Handle Ctrl+C to stop the container
-  const cleanup = () => {
-    console.log(chalk.yellow('\n🛑 Stopping nightly container...'));
-    try {
-      execSync(`docker stop ${containerName}`, { stdio: 'pipe' });
-      console.log(chalk.green('✅ Container stopped'));
-    } catch (error) {
-      console.log(chalk.red('❌ Error stopping container:', error.message));
-    }
-    process.exit(0);
+  const runtime = getContainerRuntime();
+  const state = {
+    startedAt: new Date().toISOString(),
+    endsAt: new Date(Date.now() + durationMs).toISOString(),
+    intervalSeconds: Math.round(intervalMs / 1000),
+    finishedAt: null,
+    channels: {},
+    samples: {}
   };
   
-  process.on('SIGINT', cleanup);
-  process.on('SIGTERM', cleanup);
-  
-  proc.on('error', (err) => {
-    if (err.code === 'ENOENT') {
-      console.error(chalk.red('Docker command not found. Please ensure Docker is installed and in your PATH.'));
-    } else {
-      console.error(chalk.red('Error running Docker:'), err.message);
+  for (const channel of COMPARE_CHANNELS) {
+    const spec = buildLaunchSpec({ ...config, syncHash: getCompareSyncName(config, channel) }, {
+      ...options,
+      channel,
+      detach: true,
+      restart: 'unless-stopped'
+    });
+    
+    if (spec.pullAlways) {
+      console.log(chalk.cyan(`Pulling ${spec.image.reference}...`));
+      try {
+        await dockerPullImage(spec.image.reference, { platform: spec.platform, onProgress: createPullProgressPrinter() });
+      } catch (error) {
+        console.log(chalk.yellow(`⚠️  Could not pull ${spec.image.reference} - will use local cache if available`));
+      }
     }
-    process.exit(1);
-  });
-  
-  proc.on('exit', code => {
-    if (code === 126) {
-      console.error(chalk.red('❌ Docker permission denied.'));
-      console.error(chalk.yellow('This usually means your user is not in the docker group.'));
-      console.error(chalk.blue('\n🔧 To fix this:'));
-      console.error(chalk.white('1. Add your user to the docker group:'));
-      console.error(chalk.gray(`   sudo usermod -aG docker ${os.userInfo().username}`));
-      console.error(chalk.white('2. Log out and log back in (or restart your terminal)'));
-      console.error(chalk.blue('\n🔧 Or use the fix command:'));
-      console.error(chalk.gray('   synchronize fix-docker'));
-    } else if (code === 125) {
-      console.error(chalk.red('❌ Docker container failed to start.'));
-      console.error(chalk.yellow('This might be due to platform architecture issues.'));
-      console.error(chalk.blue('\n🔧 Troubleshooting steps:'));
-      console.error(chalk.gray('1. Test platform compatibility:'));
-      console.error(chalk.gray('   synchronize test-platform'));
-    } else if (code !== 0) {
-      console.error(chalk.red(`Docker process exited with code ${code}`));
+    
+    // A stopped container from an earlier run would block the name
+    spawnSync(runtime, ['rm', '--force', spec.containerName], { stdio: 'ignore' });
+    const result = spawnSync(runtime, getDockerRunArgs(spec), { encoding: 'utf8', stdio: ['ignore', 'pipe', 'inherit'] });
+    if (result.status !== 0) {
+      explainDockerExitCode(result.status, spec.containerName, spec.image.reference);
+      Object.keys(state.channels).forEach(name => spawnSync(runtime, ['rm', '--force', state.channels[name].containerName], { stdio: 'ignore' }));
+      process.exit(1);
     }
-    process.exit(code);
-  });
-}
-
-// Add this new function
-async function testNightly() {
-  const config = loadConfig();
-  if (!config.key) {
-    console.error(chalk.red('Missing synq key. Run `synchronize init` first.'));
-    process.exit(1);
+    
+    state.channels[channel] = { image: spec.image.reference, syncName: getCompareSyncName(config, channel), containerName: spec.containerName };
+    state.samples[channel] = [];
+    console.log(chalk.green(`✅ ${channel}: ${spec.containerName} running ${spec.image.reference} as ${state.channels[channel].syncName}`));
   }
+  saveCompareState(state);
   
-  const syncName = config.syncHash;
-  console.log(chalk.magenta(`🧪 TEST NIGHTLY - Running NIGHTLY TEST synchronizer "${syncName}" with wallet ${config.wallet || '[none]'}`));
-  console.log(chalk.yellow(`⚠️  This is a direct Docker command execution test`));
-  
-  // Use simple shell execution for testing
-  const shellCommand = `docker run --rm --name synchronizer-nightly --platform linux/$(uname -m | sed 's/x86_64/amd64/' | sed 's/arm64/arm64/') cdrakep/synqchronizer-test:latest --depin wss://api.multisynq.io/depin --sync-name "${syncName}" --launcher nightly-test-2.0.1 --key "${config.key}" ${config.wallet ? `--wallet "${config.wallet}"` : ''}`;
+  console.log(chalk.blue(`\n⚖️  Comparing until ${new Date(state.endsAt).toLocaleString()} - Ctrl+C ends early with a report`));
+  console.log(chalk.gray('   The dashboard shows the comparison while it runs\n'));
   
-  console.log(chalk.gray(`Executing: ${shellCommand}`));
+  let stopping = false;
+  const finish = () => {
+    if (stopping) {
+      return;
+    }
+    stopping = true;
+    state.finishedAt = new Date().toISOString();
+    saveCompareState(state);
+    printComparisonReport(state);
+    
+    if (options.keep) {
+      console.log(chalk.gray('\nContainers left running (--keep)'));
+    } else {
+      console.log(chalk.gray('\nRemoving the comparison containers...'));
+      Object.keys(state.channels).forEach(name => spawnSync(runtime, ['rm', '--force', state.channels[name].containerName], { stdio: 'ignore' }));
+    }
+    process.exit(0);
+  };
+  process.on('SIGINT', finish);
+  process.on('SIGTERM', finish);
   
-  // Run as direct shell command
-  const child = require('child_process').spawn('/bin/sh', ['-c', shellCommand], {
-    stdio: 'inherit'
-  });
+  while (!stopping && Date.now() < new Date(state.endsAt).getTime()) {
+    await sampleComparison(state);
+    saveCompareState(state);
+    
+    const line = Object.keys(state.channels).map(channel => {
+      const sample = state.samples[channel][state.samples[channel].length - 1];
+      const connection = !sample.running ? '⏹️  stopped' : sample.connected ? '✅ connected' : '⏳ not connected';
+      return `${channel} ${connection}, ${sample.restartCount} restarts`;
+    }).join(' | ');
+    console.log(chalk.gray(`[${new Date().toLocaleTimeString()}] ${line}`));
+    
+    await new Promise(resolve => setTimeout(resolve, Math.min(intervalMs, Math.max(new Date(state.endsAt).getTime() - Date.now(), 0))));
+  }
   
-  child.on('exit', (code) => {
-    process.exit(code || 0);
-  });
+  finish();
 }
 
 /**
@@ -3250,19 +6840,18 @@ async function checkImageUpdates() {
   console.log(chalk.blue('🔍 Checking for Docker Image Updates'));
   console.log(chalk.yellow('Checking all synchronizer Docker images...\n'));
 
-  const images = [
-    { name: 'cdrakep/synqchronizer:latest', description: 'Main synchronizer image' },
-    { name: 'cdrakep/synqchronizer-test-fixed:latest', description: 'Fixed nightly test image' }
-  ];
+  const config = loadConfig();
+  const images = await getChannelStatus(config);
 
   let updatesAvailable = 0;
 
   for (const image of images) {
-    console.log(chalk.cyan(`Checking ${image.description}...`));
-    console.log(chalk.gray(`Image: ${image.name}`));
+    console.log(chalk.cyan(`Checking the ${image.channel} channel (${image.description})...`));
+    console.log(chalk.gray(`Image: ${image.name}${image.pinned ? ' (pinned to a digest)' : ''}`));
+    console.log(chalk.gray(`Container: ${image.containerName} ${image.running ? '(running)' : '(not running)'}`));
     
     try {
-      const hasUpdate = await isNewDockerImageAvailable(image.name);
+      const hasUpdate = await isNewDockerImageAvailable(image.name, config);
       
       if (hasUpdate) {
         console.log(chalk.yellow(`🔄 Update available for ${image.name}`));
@@ -3278,41 +6867,293 @@ async function checkImageUpdates() {
         if (shouldPull.pull) {
           try {
             console.log(chalk.cyan(`Pulling ${image.name}...`));
-            execSync(`docker pull ${image.name}`, { stdio: 'inherit' });
+            await dockerPullImage(image.name, { platform: detectDockerPlatform(), onProgress: createPullProgressPrinter() });
             console.log(chalk.green(`✅ Successfully updated ${image.name}`));
           } catch (error) {
             console.log(chalk.red(`❌ Failed to pull ${image.name}: ${error.message}`));
           }
         }
-      } else {
-        console.log(chalk.green(`✅ ${image.name} is up to date`));
+      } else {
+        console.log(chalk.green(`✅ ${image.name} is up to date`));
+      }
+      
+      console.log(''); // Add spacing between images
+    } catch (error) {
+      console.log(chalk.red(`❌ Error checking ${image.name}: ${error.message}`));
+      console.log('');
+    }
+  }
+
+  console.log(chalk.blue('📊 Update Check Summary:'));
+  if (updatesAvailable === 0) {
+    console.log(chalk.green('✅ All images are up to date'));
+  } else {
+    console.log(chalk.yellow(`🔄 ${updatesAvailable} image(s) had updates available`));
+  }
+  
+  console.log(chalk.gray('\n💡 Tip: Use `synchronize monitor` to automatically check for updates'));
+}
+
+const DEFAULT_WATCHDOG_TIMEOUT = 10;
+const DEFAULT_WATCHDOG_MAX_RESTARTS = 3;
+const WATCHDOG_CHECK_INTERVAL_MS = 30 * 1000;
+const WATCHDOG_REPLAY_WAIT_MS = 2000;
+// Output that shows the node is connected: the proxy-connected message or a stats report
+const WATCHDOG_ALIVE_PATTERN = /proxy-connected|"syncLifePoints"|"syncLifeTraffic"/;
+
+/**
+ * Watchdog thresholds: command-line flags override the config
+ * @param {object} config Loaded config
+ * @param {object} options timeout (minutes) and maxRestarts from commander
+ * @returns {{timeoutMinutes: number, maxRestartsPerHour: number}}
+ */
+function getWatchdogSettings(config, options = {}) {
+  const timeoutMinutes = Number(options.timeout !== undefined ? options.timeout
+    : config.watchdogTimeout !== undefined ? config.watchdogTimeout : DEFAULT_WATCHDOG_TIMEOUT);
+  const maxRestartsPerHour = Number(options.maxRestarts !== undefined ? options.maxRestarts
+    : config.watchdogMaxRestarts !== undefined ? config.watchdogMaxRestarts : DEFAULT_WATCHDOG_MAX_RESTARTS);
+  
+  if (!Number.isFinite(timeoutMinutes) || timeoutMinutes <= 0) {
+    console.error(chalk.red('❌ The watchdog timeout must be a positive number of minutes'));
+    process.exit(1);
+  }
+  if (!Number.isInteger(maxRestartsPerHour) || maxRestartsPerHour < 1) {
+    console.error(chalk.red('❌ --max-restarts must be a positive whole number'));
+    process.exit(1);
+  }
+  return { timeoutMinutes, maxRestartsPerHour };
+}
+
+/**
+ * Restart the synchronizer service or container found by findActiveSynchronizer
+ * The watchdog runs unattended, so sudo must not prompt for a password
+ * @returns {string|null} Error message, or null when the restart went through
+ */
+function restartSynchronizerTarget(target) {
+  const command = target.type === 'service'
+    ? (process.getuid && process.getuid() === 0 ? ['systemctl', 'restart', target.name] : ['sudo', '-n', 'systemctl', 'restart', target.name])
+    : [getContainerRuntime(), 'restart', target.name];
+  
+  const result = spawnSync(command[0], command.slice(1), { encoding: 'utf8', stdio: 'pipe' });
+  if (result.error) {
+    return result.error.message;
+  }
+  return result.status === 0 ? null : (result.stderr || '').trim() || `${command.join(' ')} exited with code ${result.status}`;
+}
+
+/**
+ * Follow the synchronizer's log stream and restart it when it has shown no
+ * proxy-connected or stats output for the configured number of minutes
+ * A container can keep running after it lost its proxy connection, so liveness
+ * comes from the output, not from the container state. Log timestamps (not the
+ * time a line was read) tell when the node last showed it was connected.
+ * @param {object} options timeout and maxRestarts overrides
+ * @param {function} getConfig Returns the current config, so live config edits apply
+ * @returns {function} Stops the watchdog
+ */
+function startWatchdog(options, getConfig) {
+  const restartTimes = [];
+  let logs = null;
+  let followed = null;
+  let connection = null;
+  let limitReported = false;
+  
+  const stopFollowing = () => {
+    if (logs) {
+      logs.destroy();
+    }
+    logs = null;
+    followed = null;
+  };
+  
+  const follow = async (containerName, timeoutMs) => {
+    stopFollowing();
+    followed = containerName;
+    
+    let container;
+    try {
+      container = await dockerInspectContainer(containerName);
+    } catch (error) {
+      container = null;
+    }
+    if (!container || followed !== containerName) {
+      followed = null;
+      return;
+    }
+    
+    // Replay one timeout window so output from before the watchdog started counts too
+    const startedAt = new Date(container.State.StartedAt).getTime() || 0;
+    const windowStart = Math.max(startedAt, Date.now() - timeoutMs);
+    // Following the same run again (after a dropped stream) keeps what was already seen
+    const previous = connection && connection.containerName === containerName && connection.startedAt === startedAt ? connection : null;
+    connection = {
+      containerName,
+      startedAt,
+      downSince: windowStart,
+      lastAliveAt: previous ? previous.lastAliveAt : null,
+      lastLine: previous ? previous.lastLine : '',
+      up: previous ? previous.up : null
+    };
+    const tracked = connection;
+    
+    try {
+      const response = await dockerContainerLogs(containerName, { follow: true, timestamps: true, since: Math.floor(windowStart / 1000) }, line => {
+        const match = /^(\S+) (.*)$/.exec(line);
+        const time = match ? new Date(match[1]).getTime() : NaN;
+        const text = match ? match[2] : line;
+        tracked.lastLine = text;
+        if (WATCHDOG_ALIVE_PATTERN.test(text)) {
+          tracked.lastAliveAt = Math.max(tracked.lastAliveAt || 0, Number.isFinite(time) ? time : Date.now());
+        }
+      });
+      if (followed !== containerName) {
+        response.destroy();
+        return;
       }
+      logs = response;
       
-      console.log(''); // Add spacing between images
+      // The stream ends when the container stops or restarts, and is only closed
+      // (no 'end') when the daemon drops it; either way the next check follows again
+      const release = () => {
+        if (logs === response) {
+          logs = null;
+          followed = null;
+        }
+      };
+      response.on('end', release);
+      response.on('close', release);
+      response.on('error', release);
     } catch (error) {
-      console.log(chalk.red(`❌ Error checking ${image.name}: ${error.message}`));
-      console.log('');
+      console.log(chalk.gray(`Could not follow ${containerName}: ${error.message}`));
+      followed = null;
     }
-  }
+  };
+  
+  const check = async () => {
+    const settings = getWatchdogSettings(getConfig(), options);
+    const timeoutMs = settings.timeoutMinutes * 60 * 1000;
+    const target = findActiveSynchronizer();
+    if (!target) {
+      if (followed) {
+        console.log(chalk.gray(`[${new Date().toLocaleTimeString()}] No synchronizer running - waiting for one to start`));
+      }
+      stopFollowing();
+      return;
+    }
+    if (followed !== target.containerName) {
+      await follow(target.containerName, timeoutMs);
+      // Let the replayed window arrive before judging it
+      await new Promise(resolve => setTimeout(resolve, WATCHDOG_REPLAY_WAIT_MS));
+      if (!connection || connection.containerName !== target.containerName) {
+        return;
+      }
+    }
+    
+    const lastSeen = connection.lastAliveAt || connection.downSince;
+    const downMs = Date.now() - lastSeen;
+    const up = downMs < timeoutMs;
+    if (up !== connection.up) {
+      console.log(up
+        ? chalk.green(`[${new Date().toLocaleTimeString()}] ✅ ${target.containerName} ${connection.lastAliveAt ? 'is proxy-connected' : 'started - waiting for proxy-connected'}`)
+        : chalk.yellow(`[${new Date().toLocaleTimeString()}] ⚠️  ${target.containerName} has shown no proxy-connected or stats output since ${new Date(lastSeen).toLocaleTimeString()}`));
+      connection.up = up;
+    }
+    if (up) {
+      return;
+    }
+    
+    const now = Date.now();
+    while (restartTimes.length && now - restartTimes[0] >= 60 * 60 * 1000) {
+      restartTimes.shift();
+    }
+    if (restartTimes.length >= settings.maxRestartsPerHour) {
+      if (!limitReported) {
+        limitReported = true;
+        recordEvent('watchdog-limit', { target: target.name, restarts: restartTimes.length, reason: `${settings.maxRestartsPerHour} restarts within an hour` });
+        console.log(chalk.red(`❌ ${target.name} is still not connected, but the watchdog already restarted it ${restartTimes.length} times this hour`));
+      }
+      return;
+    }
+    limitReported = false;
+    
+    const downFor = downMs < 60000 ? `${Math.round(downMs / 1000)} seconds` : `${Math.round(downMs / 60000)} minutes`;
+    const reason = `no proxy-connected or stats output for ${downFor}`;
+    console.log(chalk.yellow(`[${new Date().toLocaleTimeString()}] 🔁 Restarting ${target.name}: ${reason}`));
+    
+    const error = restartSynchronizerTarget(target);
+    restartTimes.push(now);
+    recordEvent(error ? 'watchdog-restart-failed' : 'watchdog-restart', {
+      target: target.name,
+      via: target.type,
+      reason,
+      lastConnected: connection.lastAliveAt ? new Date(connection.lastAliveAt).toISOString() : null,
+      lastLine: connection.lastLine.slice(0, 200) || null,
+      error: error || null
+    });
+    if (error) {
+      console.log(chalk.red(`❌ Restart failed: ${error}`));
+    }
+    
+    // The restarted container has a new start time, which gives it a full timeout to connect again
+    stopFollowing();
+  };
+  
+  let running = false;
+  const tick = async () => {
+    if (running) {
+      return;
+    }
+    running = true;
+    try {
+      await check();
+    } finally {
+      running = false;
+    }
+  };
+  
+  tick();
+  const interval = setInterval(tick, WATCHDOG_CHECK_INTERVAL_MS);
+  return () => {
+    clearInterval(interval);
+    stopFollowing();
+  };
+}
 
-  console.log(chalk.blue('📊 Update Check Summary:'));
-  if (updatesAvailable === 0) {
-    console.log(chalk.green('✅ All images are up to date'));
-  } else {
-    console.log(chalk.yellow(`🔄 ${updatesAvailable} image(s) had updates available`));
-  }
+/**
+ * Run the liveness watchdog on its own
+ */
+async function runWatchdog(options) {
+  let config = loadConfig();
+  const settings = getWatchdogSettings(config, options);
+  
+  console.log(chalk.blue('🐕 Synchronizer Liveness Watchdog'));
+  console.log(chalk.gray(`   Restart after ${settings.timeoutMinutes} minutes without proxy-connected`));
+  console.log(chalk.gray(`   At most ${settings.maxRestartsPerHour} restarts per hour`));
+  console.log(chalk.gray('   Restarts are recorded in: synchronize events --type watchdog-restart\n'));
+  
+  const stopWatchdog = startWatchdog(options, () => config);
+  const stopWatchingConfig = watchConfig(config, nextConfig => {
+    config = nextConfig;
+  });
   
-  console.log(chalk.gray('\n💡 Tip: Use `synchronize monitor` to automatically check for updates'));
+  process.on('SIGINT', () => {
+    console.log(chalk.yellow('\n🛑 Stopping the watchdog...'));
+    stopWatchdog();
+    stopWatchingConfig();
+    process.exit(0);
+  });
 }
 
 /**
  * Start background monitoring for Docker image updates
+ * With --watchdog, or when watchdogTimeout is configured, the liveness watchdog runs alongside
  */
-async function startImageMonitoring() {
+async function startImageMonitoring(options = {}) {
   console.log(chalk.blue('🕐 Starting Docker Image Monitoring'));
   console.log(chalk.yellow('Background service to check for image updates every 30 minutes\n'));
 
-  const config = loadConfig();
+  let config = loadConfig();
+  const watchdogEnabled = !!options.watchdog || config.watchdogTimeout !== undefined;
   
   // Configuration for monitoring
   const monitoringConfig = {
@@ -3321,15 +7162,14 @@ async function startImageMonitoring() {
     notifyOnly: true   // Just notify, don't auto-update
   };
 
-  const images = [
-    'cdrakep/synqchronizer:latest',
-    'cdrakep/synqchronizer-test-fixed:latest'
-  ];
-
   console.log(chalk.cyan(`📋 Monitoring Configuration:`));
   console.log(chalk.gray(`   Check interval: ${monitoringConfig.checkInterval / 60000} minutes`));
   console.log(chalk.gray(`   Auto-update: ${monitoringConfig.autoUpdate ? 'Enabled' : 'Disabled'}`));
-  console.log(chalk.gray(`   Images: ${images.length} configured`));
+  console.log(chalk.gray(`   Images: ${getConfiguredImages(config).map(image => image.name).join(', ')}`));
+  if (watchdogEnabled) {
+    const settings = getWatchdogSettings(config);
+    console.log(chalk.gray(`   Watchdog: restart after ${settings.timeoutMinutes} minutes without proxy-connected (at most ${settings.maxRestartsPerHour} per hour)`));
+  }
   console.log('');
 
   let checkCount = 0;
@@ -3340,11 +7180,13 @@ async function startImageMonitoring() {
     
     console.log(chalk.blue(`🔍 Check #${checkCount} at ${timestamp}`));
     
+    // Re-read on every check so image changes in config.json apply live
+    const images = getConfiguredImages(config).map(image => image.name);
     let updatesFound = 0;
     
     for (const imageName of images) {
       try {
-        const hasUpdate = await isNewDockerImageAvailable(imageName);
+        const hasUpdate = await isNewDockerImageAvailable(imageName, config);
         
         if (hasUpdate) {
           updatesFound++;
@@ -3353,7 +7195,7 @@ async function startImageMonitoring() {
           if (monitoringConfig.autoUpdate) {
             try {
               console.log(chalk.cyan(`⬇️ Auto-updating ${imageName}...`));
-              execSync(`docker pull ${imageName}`, { stdio: 'pipe' });
+              await dockerPullImage(imageName, { platform: detectDockerPlatform() });
               console.log(chalk.green(`✅ Auto-updated ${imageName}`));
             } catch (error) {
               console.log(chalk.red(`❌ Auto-update failed for ${imageName}: ${error.message}`));
@@ -3384,14 +7226,23 @@ async function startImageMonitoring() {
 
   // Set up interval for periodic checks
   const monitoringInterval = setInterval(performCheck, monitoringConfig.checkInterval);
+  const stopWatchdog = watchdogEnabled ? startWatchdog({}, () => config) : () => {};
+
+  // Later checks use whatever the config holds at that time
+  const stopWatchingConfig = watchConfig(config, nextConfig => {
+    config = nextConfig;
+  });
 
   console.log(chalk.green('🚀 Monitoring started - Press Ctrl+C to stop'));
+  console.log(chalk.gray(`👀 Watching ${getConfigFile()} for changes`));
   console.log(chalk.gray('Tip: You can safely run this in the background or as a systemd service\n'));
 
   // Graceful shutdown
   process.on('SIGINT', () => {
     console.log(chalk.yellow('\n🛑 Stopping image monitoring...'));
     clearInterval(monitoringInterval);
+    stopWatchdog();
+    stopWatchingConfig();
     console.log(chalk.green('✅ Monitoring stopped'));
     process.exit(0);
   });
@@ -3407,7 +7258,8 @@ async function startImageMonitoring() {
  */
 async function installImageMonitoringService() {
   const config = loadConfig();
-  const serviceFile = path.join(CONFIG_DIR, 'synchronizer-cli-monitor.service');
+  const serviceName = getServiceName('monitor');
+  const serviceFile = path.join(CONFIG_DIR, `${serviceName}.service`);
   const user = os.userInfo().username;
   const npxPath = detectNpxPath();
   
@@ -3430,8 +7282,7 @@ async function installImageMonitoringService() {
 
   const unit = `[Unit]
 Description=Synchronizer CLI Docker Image Monitor
-After=network.target docker.service
-Requires=docker.service
+${getContainerRuntime() === 'podman' ? 'After=network-online.target' : 'After=network.target docker.service\nRequires=docker.service'}
 
 [Service]
 Type=simple
@@ -3439,7 +7290,7 @@ User=${user}
 Restart=always
 RestartSec=30
 WorkingDirectory=${os.homedir()}
-ExecStart=${npxPath} synchronize monitor
+ExecStart=${npxPath} synchronize monitor${getProfileCliArgs()}
 Environment=NODE_ENV=production
 Environment=PATH=${pathEnv}
 
@@ -3451,12 +7302,13 @@ WantedBy=multi-user.target
   
   const instructions = `sudo cp ${serviceFile} /etc/systemd/system/
 sudo systemctl daemon-reload
-sudo systemctl enable synchronizer-cli-monitor
-sudo systemctl start synchronizer-cli-monitor`;
+sudo systemctl enable ${serviceName}
+sudo systemctl start ${serviceName}`;
 
   return {
     success: true,
     serviceFile,
+    serviceName,
     instructions,
     message: 'Docker image monitoring service file generated successfully'
   };
@@ -3466,7 +7318,7 @@ sudo systemctl start synchronizer-cli-monitor`;
  * Enterprise API integration - Create synchronizer via Enterprise API
  * This uses the Enterprise API to automatically provision a synq key
  */
-async function setupViaEnterpriseAPI() {
+async function setupViaEnterpriseAPI(options = {}) {
   console.log(chalk.blue('🏢 Enterprise API Setup'));
   console.log(chalk.yellow('Automatically provision a synq key via Enterprise API\n'));
 
@@ -3544,7 +7396,7 @@ async function setupViaEnterpriseAPI() {
       type: 'input',
       name: 'wallet',
       message: 'Wallet address:',
-      validate: input => input ? true : 'Wallet is required'
+      validate: input => checkWalletAddress(input, options.force)
     }]);
 
     // Ask about dashboard password
@@ -3575,11 +7427,11 @@ async function setupViaEnterpriseAPI() {
     const config = {
       userName: finalName,
       key: synchronizer.key,
-      wallet: walletQuestion.wallet,
+      wallet: walletQuestion.wallet.trim(),
       secret,
       hostname,
       syncHash,
-      depin: 'wss://api.multisynq.io/depin',
+      depin: DEFAULT_DEPIN_URL,
       launcher: 'cli',
       enterpriseApiKey: enterpriseApiKey, // Store for future use
       synchronizerId: synchronizer.id
@@ -3593,7 +7445,7 @@ async function setupViaEnterpriseAPI() {
     saveConfig(config);
     
     console.log(chalk.green('\n🎉 Enterprise API setup complete!'));
-    console.log(chalk.blue('📁 Configuration saved to'), CONFIG_FILE);
+    console.log(chalk.blue('📁 Configuration saved to'), getConfigFile());
     console.log(chalk.cyan(`🔗 Sync Name: ${syncHash}`));
     console.log(chalk.cyan(`🆔 Synchronizer ID: ${synchronizer.id}`));
     
@@ -3618,25 +7470,222 @@ async function setupViaEnterpriseAPI() {
 
     const action = nextActionQuestion.action.toLowerCase().trim();
     
-    if (action === 'start' || action === 's') {
-      console.log(chalk.cyan('\n🚀 Starting synchronizer...'));
+    if (action === 'start' || action === 's') {
+      console.log(chalk.cyan('\n🚀 Starting synchronizer...'));
+      await start();
+    } else if (action === 'service' || action === 'r') {
+      console.log(chalk.cyan('\n⚙️ Generating systemd service...'));
+      await installService();
+    } else if (action === 'web' || action === 'w') {
+      console.log(chalk.cyan('\n🌐 Starting web dashboard...'));
+      await startWebGUI();
+    } else {
+      console.log(chalk.gray('\n💡 You can now run:'));
+      console.log(chalk.gray('   synchronize start     # Start synchronizer'));
+      console.log(chalk.gray('   synchronize service   # Generate systemd service'));
+      console.log(chalk.gray('   synchronize points    # View points'));
+      console.log(chalk.gray('   synchronize web       # Launch dashboard'));
+    }
+
+  } catch (error) {
+    console.error(chalk.red('❌ Enterprise API setup failed:'));
+    console.error(chalk.red(error.message));
+    
+    if (error.message.includes('401') || error.message.includes('Unauthorized')) {
+      console.error(chalk.yellow('\n💡 Troubleshooting:'));
+      console.error(chalk.gray('• Check that your Enterprise API Key is correct'));
+      console.error(chalk.gray('• Ensure your account has enterprise privileges'));
+      console.error(chalk.gray('• Contact support if the issue persists'));
+    } else if (error.message.includes('400') || error.message.includes('Bad Request')) {
+      console.error(chalk.yellow('\n💡 The request was invalid. Check your inputs and try again.'));
+    } else if (error.message.includes('ENOTFOUND') || error.message.includes('network')) {
+      console.error(chalk.yellow('\n💡 Network error. Check your internet connection and try again.'));
+    }
+    
+    process.exit(1);
+  }
+}
+
+/**
+ * Automatic Enterprise API setup using API preferences
+ * This fetches preferences from the Enterprise API and configures automatically
+ */
+async function setupViaEnterpriseAPIAutomatic(apiKey, options = {}) {
+  console.log(chalk.blue('🏢 Automatic Enterprise API Setup'));
+  console.log(chalk.yellow('Using API preferences for hands-free configuration\n'));
+
+  try {
+    // First, call the Enterprise API to get preferences
+    console.log(chalk.cyan('🔄 Fetching preferences from Enterprise API...'));
+    
+    const preferencesUrl = 'https://startsynqing.com/api/synq-keys/enterprise/preferences';
+    
+    const preferencesResponse = await fetch(preferencesUrl, {
+      method: 'GET',
+      headers: {
+        'X-Enterprise-API-Key': apiKey,
+        'Content-Type': 'application/json'
+      }
+    });
+
+    if (!preferencesResponse.ok) {
+      const errorText = await preferencesResponse.text();
+      let errorMessage = `Failed to fetch preferences (${preferencesResponse.status})`;
+      
+      try {
+        const errorJson = JSON.parse(errorText);
+        errorMessage = errorJson.message || errorMessage;
+      } catch (parseError) {
+        errorMessage = errorText || errorMessage;
+      }
+      
+      throw new Error(errorMessage);
+    }
+
+    const preferencesResult = await preferencesResponse.json();
+    
+    if (!preferencesResult.success) {
+      throw new Error(preferencesResult.message || 'Failed to fetch preferences');
+    }
+
+    const preferences = preferencesResult.preferences;
+    const owner = preferencesResult.owner;
+
+    console.log(chalk.green('✅ Preferences retrieved successfully!'));
+    console.log(chalk.gray(`   Wallet: ${preferences.walletAddress || 'Not set'}`));
+    console.log(chalk.gray(`   Password: ${preferences.dashboardPassword ? '••••••••' : 'None'}`));
+    console.log(chalk.gray(`   Default Action: ${preferences.defaultAction || 'start'}`));
+    console.log(chalk.gray(`   Web Interface: ${preferences.web ? 'Yes' : 'No'}`));
+
+    // Use wallet from preferences or fallback to owner wallet
+    const walletAddress = (preferences.walletAddress || owner.walletAddress || '').trim();
+    
+    if (!walletAddress) {
+      throw new Error('No wallet address found in preferences or owner information');
+    }
+    
+    // Check the wallet before a synchronizer is created for it
+    const walletResult = checkWalletAddress(walletAddress, options.force);
+    if (walletResult !== true) {
+      throw new Error(`Wallet address from preferences is invalid: ${walletResult}`);
+    }
+
+    // Create synchronizer using Enterprise API
+    console.log(chalk.cyan('\n🔄 Creating synchronizer via Enterprise API...'));
+    
+    const apiUrl = 'https://startsynqing.com/api/synq-keys/enterprise/synchronizer';
+    
+    // Use a default name if none provided in preferences
+    const requestBody = {};
+    
+    const response = await fetch(apiUrl, {
+      method: 'POST',
+      headers: {
+        'X-Enterprise-API-Key': apiKey,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(requestBody)
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      let errorMessage = `API request failed (${response.status})`;
+      
+      try {
+        const errorJson = JSON.parse(errorText);
+        errorMessage = errorJson.message || errorMessage;
+      } catch (parseError) {
+        errorMessage = errorText || errorMessage;
+      }
+      
+      throw new Error(errorMessage);
+    }
+
+    const result = await response.json();
+    
+    if (!result.success || !result.synchronizer) {
+      throw new Error(result.message || 'Failed to create synchronizer');
+    }
+
+    const synchronizer = result.synchronizer;
+    const finalName = synchronizer.name || synchronizer.id;
+    
+    console.log(chalk.green('✅ Synchronizer created successfully!'));
+    console.log(chalk.gray(`   ID: ${synchronizer.id}`));
+    console.log(chalk.gray(`   Name: ${finalName}`));
+    console.log(chalk.gray(`   Synq Key: ${synchronizer.key}`));
+
+    // Generate configuration using the API-provided synq key and preferences
+    const secret = crypto.randomBytes(8).toString('hex');
+    const hostname = os.hostname();
+    const syncHash = generateSyncHash(finalName, secret, hostname);
+
+    const config = {
+      userName: finalName,
+      key: synchronizer.key,
+      wallet: walletAddress,
+      secret,
+      hostname,
+      syncHash,
+      depin: DEFAULT_DEPIN_URL,
+      launcher: 'cli',
+      enterpriseApiKey: apiKey,
+      synchronizerId: synchronizer.id
+    };
+
+    // Set dashboard password if provided in preferences
+    if (preferences.dashboardPassword && preferences.dashboardPassword !== '••••••••') {
+      config.dashboardPassword = preferences.dashboardPassword;
+    }
+
+    // Save configuration
+    saveConfig(config);
+    
+    console.log(chalk.green('\n🎉 Automatic Enterprise API setup complete!'));
+    console.log(chalk.blue('📁 Configuration saved to'), getConfigFile());
+    console.log(chalk.cyan(`🔗 Sync Name: ${syncHash}`));
+    console.log(chalk.cyan(`🆔 Synchronizer ID: ${synchronizer.id}`));
+    console.log(chalk.cyan(`💰 Wallet: ${walletAddress}`));
+    
+    if (config.dashboardPassword) {
+      console.log(chalk.yellow('🔒 Dashboard password protection enabled'));
+    } else {
+      console.log(chalk.gray('🔓 No dashboard password set'));
+    }
+    // Start web interface if web preference is true
+    if (preferences.web === true) {
+      console.log(chalk.cyan('\n🌐 Starting web dashboard (from preferences)...'));
+      // Start web interface in background
+      setTimeout(() => {
+        startWebGUI().catch(console.error);
+      }, 1000);
+    }
+
+
+    // Execute default action from preferences
+    const defaultAction = preferences.defaultAction || 'start';
+    
+    console.log(chalk.cyan(`\n🚀 Executing default action: ${defaultAction}`));
+    
+    if (defaultAction === 'start' || defaultAction === 's') {
+      console.log(chalk.cyan('Starting synchronizer...'));
       await start();
-    } else if (action === 'service' || action === 'r') {
-      console.log(chalk.cyan('\n⚙️ Generating systemd service...'));
+    } else if (defaultAction === 'service' || defaultAction === 'r') {
+      console.log(chalk.cyan('Generating systemd service...'));
       await installService();
-    } else if (action === 'web' || action === 'w') {
-      console.log(chalk.cyan('\n🌐 Starting web dashboard...'));
+    } else if (defaultAction === 'web' || defaultAction === 'w') {
+      console.log(chalk.cyan('Starting web dashboard...'));
       await startWebGUI();
     } else {
+      console.log(chalk.yellow(`Unknown default action: ${defaultAction}, skipping automatic execution`));
       console.log(chalk.gray('\n💡 You can now run:'));
       console.log(chalk.gray('   synchronize start     # Start synchronizer'));
       console.log(chalk.gray('   synchronize service   # Generate systemd service'));
-      console.log(chalk.gray('   synchronize points    # View points'));
       console.log(chalk.gray('   synchronize web       # Launch dashboard'));
     }
 
   } catch (error) {
-    console.error(chalk.red('❌ Enterprise API setup failed:'));
+    console.error(chalk.red('❌ Automatic Enterprise API setup failed:'));
     console.error(chalk.red(error.message));
     
     if (error.message.includes('401') || error.message.includes('Unauthorized')) {
@@ -3644,205 +7693,745 @@ async function setupViaEnterpriseAPI() {
       console.error(chalk.gray('• Check that your Enterprise API Key is correct'));
       console.error(chalk.gray('• Ensure your account has enterprise privileges'));
       console.error(chalk.gray('• Contact support if the issue persists'));
-    } else if (error.message.includes('400') || error.message.includes('Bad Request')) {
-      console.error(chalk.yellow('\n💡 The request was invalid. Check your inputs and try again.'));
+    } else if (error.message.includes('preferences')) {
+      console.error(chalk.yellow('\n💡 Set up your preferences in the enterprise dashboard first'));
     } else if (error.message.includes('ENOTFOUND') || error.message.includes('network')) {
       console.error(chalk.yellow('\n💡 Network error. Check your internet connection and try again.'));
     }
-    
+    
+    process.exit(1);
+  }
+}
+
+/**
+ * Report missing or malformed fields in the active profile's config
+ */
+async function validateConfigCommand() {
+  console.log(chalk.blue('🔎 Configuration Validation'));
+  console.log(chalk.yellow(`Checking ${getConfigFile()}\n`));
+  
+  let config;
+  try {
+    config = readConfigFile();
+  } catch (error) {
+    console.error(chalk.red(`❌ ${error.message}`));
+    process.exit(1);
+  }
+  
+  if (!config) {
+    console.error(chalk.red('❌ No configuration found. Run `synchronize init` first.'));
+    process.exit(1);
+  }
+  
+  try {
+    if ((config.version || 1) < CONFIG_SCHEMA_VERSION) {
+      console.log(chalk.cyan(`Schema v${config.version || 1} is outdated - migrating to v${CONFIG_SCHEMA_VERSION}`));
+      config = loadConfig();
+      console.log('');
+    } else {
+      config = openConfigSecrets(config);
+    }
+  } catch (error) {
+    console.error(chalk.red(`❌ ${error.message}`));
+    process.exit(1);
+  }
+  
+  const problems = validateConfig(config);
+  const errors = problems.filter(problem => problem.level === 'error');
+  const warnings = problems.filter(problem => problem.level === 'warning');
+  
+  for (const problem of errors) {
+    console.log(chalk.red(`❌ ${problem.field} ${problem.message}`));
+  }
+  for (const problem of warnings) {
+    console.log(chalk.yellow(`⚠️  ${problem.field} ${problem.message}`));
+  }
+  
+  if (errors.length > 0) {
+    console.log(chalk.red(`\n${errors.length} error(s), ${warnings.length} warning(s)`));
+    process.exit(1);
+  }
+  
+  console.log(chalk.green(`✅ Configuration is valid (schema v${config.version})`));
+  if (warnings.length > 0) {
+    console.log(chalk.yellow(`${warnings.length} warning(s)`));
+  }
+}
+
+/**
+ * Mask a secret config value for display
+ * Keys keep their last four characters so they can still be told apart
+ */
+function maskConfigValue(field, value) {
+  const definition = CONFIG_FIELDS[field];
+  if (!definition || !definition.secret || value === undefined) {
+    return value;
+  }
+  
+  const text = String(value);
+  if (field === 'dashboardPassword' || field === 'dashboardPasswordHash' || text.length <= 8) {
+    return '••••••••';
+  }
+  return `${'•'.repeat(8)}${text.slice(-4)}`;
+}
+
+function formatConfigValue(value) {
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+/**
+ * Look up a config field definition, exiting with the list of known fields when it does not exist
+ */
+function getConfigFieldDefinition(field) {
+  const definition = CONFIG_FIELDS[field];
+  if (!definition) {
+    console.error(chalk.red(`❌ Unknown setting "${field}"`));
+    console.error(chalk.yellow(`Known settings: ${Object.keys(CONFIG_FIELDS).join(', ')}`));
+    process.exit(1);
+  }
+  return definition;
+}
+
+function loadExistingConfig() {
+  const config = loadConfig();
+  if (!config.key) {
+    console.error(chalk.red('❌ No configuration found. Run `synchronize init` first.'));
+    process.exit(1);
+  }
+  return config;
+}
+
+async function configGet(field, options) {
+  getConfigFieldDefinition(field);
+  const config = loadExistingConfig();
+  
+  if (field === 'dashboardPassword' && config.dashboardPasswordHash) {
+    // Only the hash is stored, so there is nothing to reveal
+    console.log(maskConfigValue(field, config.dashboardPasswordHash));
+    return;
+  }
+  
+  if (config[field] === undefined) {
+    console.error(chalk.yellow(`${field} is not set`));
+    process.exit(1);
+  }
+  
+  const value = options.reveal ? config[field] : maskConfigValue(field, config[field]);
+  console.log(formatConfigValue(value));
+}
+
+async function configList(options) {
+  const config = loadExistingConfig();
+  
+  console.log(chalk.blue(`⚙️  Configuration (${activeProfile})`));
+  console.log(chalk.gray(`${getConfigFile()}\n`));
+  
+  const width = Math.max(...Object.keys(config).map(field => field.length));
+  for (const [field, value] of Object.entries(config)) {
+    const display = options.reveal ? value : maskConfigValue(field, value);
+    console.log(`${chalk.cyan(field.padEnd(width))}  ${formatConfigValue(display)}`);
+  }
+  
+  if (!options.reveal && Object.keys(config).some(field => CONFIG_FIELDS[field] && CONFIG_FIELDS[field].secret)) {
+    console.log(chalk.gray('\nSecrets are masked - use --reveal to show them'));
+  }
+}
+
+async function configSet(field, value, options) {
+  const definition = getConfigFieldDefinition(field);
+  if (definition.derived) {
+    console.error(chalk.red(`❌ ${field} is generated by the CLI and cannot be set directly`));
+    if (field === 'syncHash') {
+      console.error(chalk.yellow('Set userName instead - the sync hash is regenerated from it.'));
+    }
+    process.exit(1);
+  }
+  
+  const config = loadExistingConfig();
+  
+  // Prompt for secrets so they do not end up in shell history
+  if (value === undefined) {
+    if (!definition.secret) {
+      console.error(chalk.red(`❌ Missing value for ${field}`));
+      process.exit(1);
+    }
+    const answer = await inquirer.prompt([{
+      type: 'password',
+      name: 'value',
+      message: `${definition.description}:`,
+      mask: '*'
+    }]);
+    value = answer.value;
+  }
+  
+  let parsedValue = value;
+  if (definition.type === 'number') {
+    parsedValue = Number(value);
+    if (!Number.isFinite(parsedValue)) {
+      console.error(chalk.red(`❌ ${field} must be a number`));
+      process.exit(1);
+    }
+  }
+  
+  const message = parsedValue === '' ? 'must not be empty' : (definition.validate ? definition.validate(parsedValue) : null);
+  if (message) {
+    console.error(chalk.red(`❌ ${field} ${message}`));
+    process.exit(1);
+  }
+  
+  if (field === 'wallet') {
+    parsedValue = parsedValue.trim();
+    const walletResult = checkWalletAddress(parsedValue, options.force);
+    if (walletResult !== true) {
+      console.error(chalk.red(`❌ ${walletResult}`));
+      process.exit(1);
+    }
+  }
+  
+  if (field === 'key') {
+    const keyResult = await checkSynqKey(parsedValue, config.userName);
+    if (keyResult !== true) {
+      console.error(chalk.red(`❌ ${keyResult}`));
+      process.exit(1);
+    }
+  }
+  
+  config[field] = parsedValue;
+  
+  if (field === 'userName') {
+    config.syncHash = generateSyncHash(config.userName, config.secret, config.hostname);
+    console.log(chalk.cyan(`🔗 Sync Name regenerated: ${config.syncHash}`));
+  }
+  
+  saveConfig(config);
+  console.log(chalk.green(`✅ ${field} set to ${formatConfigValue(maskConfigValue(field, parsedValue))}`));
+  console.log(chalk.gray('Restart the synchronizer (and regenerate services) for changes to take effect'));
+}
+
+async function configUnset(field) {
+  const definition = getConfigFieldDefinition(field);
+  if (definition.derived || definition.required) {
+    console.error(chalk.red(`❌ ${field} is required and cannot be removed`));
+    process.exit(1);
+  }
+  
+  const config = loadExistingConfig();
+  if (field === 'dashboardPassword' && config.dashboardPasswordHash) {
+    delete config.dashboardPasswordHash;
+  } else if (config[field] === undefined) {
+    console.log(chalk.gray(`${field} is not set`));
+    return;
+  }
+  
+  delete config[field];
+  
+  if (field === 'userName') {
+    config.syncHash = generateSyncHash(config.userName, config.secret, config.hostname);
+    console.log(chalk.cyan(`🔗 Sync Name regenerated: ${config.syncHash}`));
+  }
+  
+  saveConfig(config);
+  console.log(chalk.green(`✅ ${field} removed`));
+}
+
+/**
+ * Summarize how a saved config version differs from the current one
+ */
+function describeConfigSnapshot(file, current) {
+  let snapshot;
+  try {
+    snapshot = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    return chalk.red('unreadable');
+  }
+  
+  try {
+    const migrated = (snapshot.version || 1) < CONFIG_SCHEMA_VERSION ? migrateConfig(snapshot).config : snapshot;
+    const changed = getChangedConfigFields(current, openConfigSecrets(migrated)).filter(field => field !== 'version');
+    return changed.length === 0 ? chalk.gray('same as current') : `differs in: ${changed.join(', ')}`;
+  } catch (error) {
+    return chalk.yellow(`secrets cannot be decrypted (${error.message})`);
+  }
+}
+
+/**
+ * Print the event log: image confirmations and rollbacks, restarts and their reasons
+ */
+async function showEvents(options) {
+  const limit = parseInt(options.lines, 10) || 20;
+  const events = readEvents(options.type).slice(-limit);
+  
+  if (events.length === 0) {
+    console.log(chalk.gray(`No events recorded yet in ${getEventsFile()}`));
+    return;
+  }
+  
+  console.log(chalk.blue(`📜 Events (${getEventsFile()})`));
+  for (const event of events) {
+    const { time, type, ...details } = event;
+    const color = /rollback|unhealthy|fail/.test(type) ? chalk.yellow : chalk.gray;
+    const fields = Object.keys(details)
+      .filter(name => details[name] !== null && details[name] !== undefined)
+      .map(name => `${name}=${details[name]}`)
+      .join(' ');
+    console.log(color(`${new Date(time).toLocaleString()}  ${type.padEnd(16)} ${fields}`));
+  }
+}
+
+async function configHistory() {
+  const entries = listConfigHistory();
+  
+  console.log(chalk.blue(`🕘 Configuration History (${activeProfile})`));
+  console.log(chalk.gray(`${getConfigHistoryDir()}\n`));
+  
+  if (entries.length === 0) {
+    console.log(chalk.gray('No earlier versions saved yet'));
+    return;
+  }
+  
+  const current = loadConfig();
+  entries.forEach((entry, i) => {
+    console.log(`${chalk.cyan(String(i + 1).padStart(2))}  ${entry.savedAt.toLocaleString()}  ${describeConfigSnapshot(entry.file, current)}`);
+  });
+  
+  console.log(chalk.gray(`\nThe last ${CONFIG_HISTORY_LIMIT} versions are kept. Restore one with \`synchronize config rollback <n>\``));
+}
+
+async function configRollback(n, options) {
+  const entries = listConfigHistory();
+  const index = Number(n);
+  
+  if (!Number.isInteger(index) || index < 1 || index > entries.length) {
+    console.error(chalk.red(`❌ No history entry ${n}`));
+    console.error(chalk.yellow(entries.length > 0
+      ? `Choose 1-${entries.length} from \`synchronize config history\``
+      : 'No earlier versions have been saved yet'));
+    process.exit(1);
+  }
+  
+  const entry = entries[index - 1];
+  let snapshot;
+  try {
+    snapshot = JSON.parse(fs.readFileSync(entry.file, 'utf8'));
+  } catch (error) {
+    console.error(chalk.red(`❌ Could not read ${entry.file}: ${error.message}`));
+    process.exit(1);
+  }
+  
+  if (!options.yes) {
+    const { confirm } = await inquirer.prompt([{
+      type: 'confirm',
+      name: 'confirm',
+      message: `Replace the current configuration with the version saved ${entry.savedAt.toLocaleString()}?`,
+      default: false
+    }]);
+    if (!confirm) {
+      console.log(chalk.gray('Rollback cancelled.'));
+      return;
+    }
+  }
+  
+  writeConfigFile(snapshot);
+  
+  console.log(chalk.green(`✅ Restored configuration saved ${entry.savedAt.toLocaleString()}`));
+  console.log(chalk.gray('The replaced version was added to the history, so this rollback can be undone'));
+  if (snapshot.hostname && snapshot.hostname !== os.hostname()) {
+    console.log(chalk.yellow(`⚠️  This version was bound to host "${snapshot.hostname}" - run \`synchronize rebind\` if the hostname has changed`));
+  }
+  console.log(chalk.gray('Restart the synchronizer (and regenerate services) for changes to take effect'));
+}
+
+const BUNDLE_FORMAT = 'synchronizer-cli-bundle';
+const BUNDLE_VERSION = 1;
+
+/**
+ * Encrypt a bundle payload with a passphrase (scrypt + AES-256-GCM)
+ * @param {string} plaintext Serialized payload
+ * @param {string} passphrase User passphrase
+ * @returns {object} Fields merged into the bundle envelope
+ */
+function encryptBundlePayload(plaintext, passphrase) {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', crypto.scryptSync(passphrase, salt, 32), iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  
+  return {
+    encrypted: true,
+    kdf: 'scrypt',
+    salt: salt.toString('base64'),
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    payload: ciphertext.toString('base64')
+  };
+}
+
+function decryptBundlePayload(bundle, passphrase) {
+  const key = crypto.scryptSync(passphrase, Buffer.from(bundle.salt, 'base64'), 32);
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(bundle.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(bundle.tag, 'base64'));
+  
+  try {
+    return Buffer.concat([decipher.update(Buffer.from(bundle.payload, 'base64')), decipher.final()]).toString('utf8');
+  } catch (error) {
+    throw new Error('Could not decrypt bundle - wrong passphrase or corrupted file');
+  }
+}
+
+/**
+ * Passphrase for bundle encryption, from SYNCHRONIZER_BUNDLE_PASSPHRASE or a prompt
+ * @param {boolean} confirm Ask twice (used when creating a bundle)
+ */
+async function getBundlePassphrase(confirm) {
+  if (process.env.SYNCHRONIZER_BUNDLE_PASSPHRASE) {
+    return process.env.SYNCHRONIZER_BUNDLE_PASSPHRASE;
+  }
+  
+  const questions = [{
+    type: 'password',
+    name: 'passphrase',
+    message: 'Bundle passphrase:',
+    validate: input => input && input.length >= 8 ? true : 'Passphrase must be at least 8 characters',
+    mask: '*'
+  }];
+  
+  if (confirm) {
+    questions.push({
+      type: 'password',
+      name: 'confirmPassphrase',
+      message: 'Confirm passphrase:',
+      validate: (input, answers) => input === answers.passphrase ? true : 'Passphrases do not match',
+      mask: '*'
+    });
+  }
+  
+  const { passphrase } = await inquirer.prompt(questions);
+  return passphrase;
+}
+
+/**
+ * Write a portable bundle with the active profile's config and points history
+ * Secrets are decrypted so the bundle can be opened on another machine
+ */
+async function exportConfig(file, options) {
+  console.log(chalk.blue('📦 Export Synchronizer Configuration'));
+  
+  const config = loadExistingConfig();
+  const outputFile = path.resolve(file || `synchronizer-${activeProfile}-${new Date().toISOString().slice(0, 10)}.json`);
+  
+  const payload = {
+    config,
+    points: options.points === false ? null : loadPointsData()
+  };
+  
+  let bundle = {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    createdAt: new Date().toISOString(),
+    cliVersion: packageJson.version,
+    sourceHostname: os.hostname(),
+    profile: activeProfile,
+    encrypted: false,
+    payload
+  };
+  
+  if (options.encrypt) {
+    const passphrase = await getBundlePassphrase(true);
+    bundle = { ...bundle, ...encryptBundlePayload(JSON.stringify(payload), passphrase) };
+  }
+  
+  fs.writeFileSync(outputFile, JSON.stringify(bundle, null, 2), { mode: 0o600 });
+  
+  console.log(chalk.green(`✅ Bundle written to ${outputFile}`));
+  console.log(chalk.gray(`   Profile: ${activeProfile}`));
+  console.log(chalk.gray(`   Sync Name: ${config.syncHash}`));
+  console.log(chalk.gray(`   Points history: ${payload.points ? 'included' : 'not included'}`));
+  
+  if (!options.encrypt) {
+    console.log(chalk.yellow('⚠️  The bundle contains your synq key in plaintext - use --encrypt or keep it private'));
+  }
+  console.log(chalk.blue(`\n💡 On the new host run: synchronize import ${path.basename(outputFile)}`));
+}
+
+/**
+ * Recreate a configuration from an export bundle on this host
+ * hostname, secret and syncHash are regenerated unless --keep-sync-name is given
+ */
+async function importConfig(file, options) {
+  console.log(chalk.blue('📥 Import Synchronizer Configuration'));
+  
+  let bundle;
+  try {
+    bundle = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    console.error(chalk.red(`❌ Could not read bundle: ${error.message}`));
+    process.exit(1);
+  }
+  
+  if (bundle.format !== BUNDLE_FORMAT) {
+    console.error(chalk.red('❌ Not a synchronizer-cli export bundle'));
+    process.exit(1);
+  }
+  if (bundle.version > BUNDLE_VERSION) {
+    console.error(chalk.red(`❌ Bundle version ${bundle.version} is newer than this CLI supports - upgrade synchronizer-cli`));
+    process.exit(1);
+  }
+  
+  let existing;
+  try {
+    existing = readConfigFile();
+  } catch (error) {
+    console.error(chalk.red(`❌ ${error.message}`));
+    console.error(chalk.yellow('Fix or move the existing file before importing.'));
+    process.exit(1);
+  }
+  if (existing && !options.force) {
+    console.error(chalk.red(`❌ A configuration already exists at ${getConfigFile()}`));
+    console.error(chalk.yellow('Use --force to replace it, or --profile <name> to import into another profile.'));
+    process.exit(1);
+  }
+  
+  let payload = bundle.payload;
+  if (bundle.encrypted) {
+    try {
+      payload = JSON.parse(decryptBundlePayload(bundle, await getBundlePassphrase(false)));
+    } catch (error) {
+      console.error(chalk.red(`❌ ${error.message}`));
+      process.exit(1);
+    }
+  }
+  
+  const imported = payload.config || {};
+  const hostname = os.hostname();
+  const secret = crypto.randomBytes(8).toString('hex');
+  const config = {
+    ...imported,
+    hostname,
+    secret,
+    syncHash: options.keepSyncName ? imported.syncHash : generateSyncHash(imported.userName, secret, hostname)
+  };
+  
+  if (config.wallet) {
+    const walletResult = checkWalletAddress(config.wallet, options.allowInvalidWallet, '--allow-invalid-wallet');
+    if (walletResult !== true) {
+      console.error(chalk.red(`❌ Bundle wallet: ${walletResult}`));
+      process.exit(1);
+    }
+  }
+  
+  const errors = validateConfig(config).filter(problem => problem.level === 'error');
+  if (errors.length > 0) {
+    console.error(chalk.red('❌ Bundle contains an invalid configuration:'));
+    for (const problem of errors) {
+      console.error(chalk.red(`   • ${problem.field} ${problem.message}`));
+    }
     process.exit(1);
   }
+  
+  if (existing) {
+    const backupFile = `${getConfigFile()}.pre-import-${Date.now()}.bak`;
+    fs.copyFileSync(getConfigFile(), backupFile);
+    fs.chmodSync(backupFile, 0o600);
+    console.log(chalk.gray(`Existing configuration backed up to ${backupFile}`));
+  }
+  
+  saveConfig(config);
+  if (payload.points) {
+    savePointsData(payload.points);
+  }
+  
+  console.log(chalk.green(`✅ Configuration imported to ${getConfigFile()}`));
+  console.log(chalk.gray(`   From host: ${bundle.sourceHostname} (profile ${bundle.profile})`));
+  console.log(chalk.gray(`   Hostname: ${hostname}`));
+  console.log(chalk.cyan(`🔗 Sync Name: ${config.syncHash}${options.keepSyncName ? ' (kept)' : ' (regenerated)'}`));
+  console.log(chalk.gray(`   Points history: ${payload.points ? 'restored' : 'not included'}`));
+  console.log(chalk.yellow('\n⚠️  Stop the synchronizer on the old host before starting it here'));
 }
 
 /**
- * Automatic Enterprise API setup using API preferences
- * This fetches preferences from the Enterprise API and configures automatically
+ * Copy regenerated unit files into /etc/systemd/system and restart the active ones
+ * @param {string[]} serviceNames Units to reinstall
  */
-async function setupViaEnterpriseAPIAutomatic(apiKey) {
-  console.log(chalk.blue('🏢 Automatic Enterprise API Setup'));
-  console.log(chalk.yellow('Using API preferences for hands-free configuration\n'));
-
+function reinstallSystemdUnits(serviceNames) {
   try {
-    // First, call the Enterprise API to get preferences
-    console.log(chalk.cyan('🔄 Fetching preferences from Enterprise API...'));
-    
-    const preferencesUrl = 'https://startsynqing.com/api/synq-keys/enterprise/preferences';
-    
-    const preferencesResponse = await fetch(preferencesUrl, {
-      method: 'GET',
-      headers: {
-        'X-Enterprise-API-Key': apiKey,
-        'Content-Type': 'application/json'
-      }
-    });
-
-    if (!preferencesResponse.ok) {
-      const errorText = await preferencesResponse.text();
-      let errorMessage = `Failed to fetch preferences (${preferencesResponse.status})`;
-      
-      try {
-        const errorJson = JSON.parse(errorText);
-        errorMessage = errorJson.message || errorMessage;
-      } catch (parseError) {
-        errorMessage = errorText || errorMessage;
-      }
-      
-      throw new Error(errorMessage);
-    }
-
-    const preferencesResult = await preferencesResponse.json();
-    
-    if (!preferencesResult.success) {
-      throw new Error(preferencesResult.message || 'Failed to fetch preferences');
+    for (const serviceName of serviceNames) {
+      execSync(`sudo cp ${path.join(CONFIG_DIR, `${serviceName}.service`)} /etc/systemd/system/`, { stdio: 'inherit' });
     }
-
-    const preferences = preferencesResult.preferences;
-    const owner = preferencesResult.owner;
-
-    console.log(chalk.green('✅ Preferences retrieved successfully!'));
-    console.log(chalk.gray(`   Wallet: ${preferences.walletAddress || 'Not set'}`));
-    console.log(chalk.gray(`   Password: ${preferences.dashboardPassword ? '••••••••' : 'None'}`));
-    console.log(chalk.gray(`   Default Action: ${preferences.defaultAction || 'start'}`));
-    console.log(chalk.gray(`   Web Interface: ${preferences.web ? 'Yes' : 'No'}`));
-
-    // Create synchronizer using Enterprise API
-    console.log(chalk.cyan('\n🔄 Creating synchronizer via Enterprise API...'));
-    
-    const apiUrl = 'https://startsynqing.com/api/synq-keys/enterprise/synchronizer';
+    execSync('sudo systemctl daemon-reload', { stdio: 'inherit' });
     
-    // Use a default name if none provided in preferences
-    const requestBody = {};
-    
-    const response = await fetch(apiUrl, {
-      method: 'POST',
-      headers: {
-        'X-Enterprise-API-Key': apiKey,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(requestBody)
-    });
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      let errorMessage = `API request failed (${response.status})`;
-      
-      try {
-        const errorJson = JSON.parse(errorText);
-        errorMessage = errorJson.message || errorMessage;
-      } catch (parseError) {
-        errorMessage = errorText || errorMessage;
+    for (const serviceName of serviceNames) {
+      if (isServiceActive(serviceName)) {
+        execSync(`sudo systemctl restart ${serviceName}`, { stdio: 'inherit' });
+        console.log(chalk.green(`✅ Restarted ${serviceName}`));
+      } else {
+        console.log(chalk.gray(`   ${serviceName} is not running - start it with: sudo systemctl start ${serviceName}`));
       }
-      
-      throw new Error(errorMessage);
     }
-
-    const result = await response.json();
-    
-    if (!result.success || !result.synchronizer) {
-      throw new Error(result.message || 'Failed to create synchronizer');
-    }
-
-    const synchronizer = result.synchronizer;
-    const finalName = synchronizer.name || synchronizer.id;
-    
-    console.log(chalk.green('✅ Synchronizer created successfully!'));
-    console.log(chalk.gray(`   ID: ${synchronizer.id}`));
-    console.log(chalk.gray(`   Name: ${finalName}`));
-    console.log(chalk.gray(`   Synq Key: ${synchronizer.key}`));
-
-    // Use wallet from preferences or fallback to owner wallet
-    const walletAddress = preferences.walletAddress || owner.walletAddress;
-    
-    if (!walletAddress) {
-      throw new Error('No wallet address found in preferences or owner information');
+  } catch (error) {
+    console.error(chalk.red('❌ Failed to reinstall systemd units:'), error.message);
+    console.error(chalk.blue('\n📖 Manual steps:'));
+    for (const serviceName of serviceNames) {
+      console.error(chalk.gray(`   sudo cp ${path.join(CONFIG_DIR, `${serviceName}.service`)} /etc/systemd/system/`));
     }
-
-    // Generate configuration using the API-provided synq key and preferences
-    const secret = crypto.randomBytes(8).toString('hex');
-    const hostname = os.hostname();
-    const syncHash = generateSyncHash(finalName, secret, hostname);
-
-    const config = {
-      userName: finalName,
-      key: synchronizer.key,
-      wallet: walletAddress,
-      secret,
-      hostname,
-      syncHash,
-      depin: 'wss://api.multisynq.io/depin',
-      launcher: 'cli',
-      enterpriseApiKey: apiKey,
-      synchronizerId: synchronizer.id
-    };
-
-    // Set dashboard password if provided in preferences
-    if (preferences.dashboardPassword && preferences.dashboardPassword !== '••••••••') {
-      config.dashboardPassword = preferences.dashboardPassword;
+    console.error(chalk.gray('   sudo systemctl daemon-reload'));
+    for (const serviceName of serviceNames) {
+      console.error(chalk.gray(`   sudo systemctl restart ${serviceName}`));
     }
+  }
+}
 
-    // Save configuration
-    saveConfig(config);
-    
-    console.log(chalk.green('\n🎉 Automatic Enterprise API setup complete!'));
-    console.log(chalk.blue('📁 Configuration saved to'), CONFIG_FILE);
-    console.log(chalk.cyan(`🔗 Sync Name: ${syncHash}`));
-    console.log(chalk.cyan(`🆔 Synchronizer ID: ${synchronizer.id}`));
-    console.log(chalk.cyan(`💰 Wallet: ${walletAddress}`));
-    
-    if (config.dashboardPassword) {
-      console.log(chalk.yellow('🔒 Dashboard password protection enabled'));
-    } else {
-      console.log(chalk.gray('🔓 No dashboard password set'));
-    }
-    // Start web interface if web preference is true
-    if (preferences.web === true) {
-      console.log(chalk.cyan('\n🌐 Starting web dashboard (from preferences)...'));
-      // Start web interface in background
-      setTimeout(() => {
-        startWebGUI().catch(console.error);
-      }, 1000);
+/**
+ * Re-bind the configuration to this host after a hostname change
+ * Regenerates secret/syncHash and optionally the systemd units that embed them
+ */
+async function rebindConfig(options) {
+  console.log(chalk.blue('🔗 Rebind Configuration to This Host'));
+  
+  const config = loadExistingConfig();
+  const oldHostname = config.hostname;
+  const newHostname = os.hostname();
+  
+  if (oldHostname === newHostname && !options.force) {
+    console.log(chalk.green(`✅ Configuration already matches this host (${newHostname})`));
+    console.log(chalk.gray('Use --force to regenerate the sync name anyway'));
+    return;
+  }
+  
+  console.log(chalk.cyan(`   Old hostname: ${oldHostname || 'unknown'}`));
+  console.log(chalk.cyan(`   New hostname: ${newHostname}`));
+  console.log('');
+  
+  if (!options.yes) {
+    const { proceed } = await inquirer.prompt([{
+      type: 'confirm',
+      name: 'proceed',
+      message: 'Regenerate the secret and sync name for this host?',
+      default: true
+    }]);
+    if (!proceed) {
+      console.log(chalk.gray('Configuration unchanged.'));
+      return;
     }
-
-
-    // Execute default action from preferences
-    const defaultAction = preferences.defaultAction || 'start';
-    
-    console.log(chalk.cyan(`\n🚀 Executing default action: ${defaultAction}`));
-    
-    if (defaultAction === 'start' || defaultAction === 's') {
-      console.log(chalk.cyan('Starting synchronizer...'));
-      await start();
-    } else if (defaultAction === 'service' || defaultAction === 'r') {
-      console.log(chalk.cyan('Generating systemd service...'));
-      await installService();
-    } else if (defaultAction === 'web' || defaultAction === 'w') {
-      console.log(chalk.cyan('Starting web dashboard...'));
-      await startWebGUI();
-    } else {
-      console.log(chalk.yellow(`Unknown default action: ${defaultAction}, skipping automatic execution`));
-      console.log(chalk.gray('\n💡 You can now run:'));
-      console.log(chalk.gray('   synchronize start     # Start synchronizer'));
-      console.log(chalk.gray('   synchronize service   # Generate systemd service'));
-      console.log(chalk.gray('   synchronize web       # Launch dashboard'));
+  }
+  
+  const oldSyncHash = config.syncHash;
+  config.hostname = newHostname;
+  config.secret = crypto.randomBytes(8).toString('hex');
+  config.syncHash = generateSyncHash(config.userName, config.secret, config.hostname);
+  saveConfig(config);
+  
+  console.log(chalk.green('✅ Configuration rebound'));
+  console.log(chalk.cyan(`🔗 Sync Name: ${oldSyncHash || 'none'} → ${config.syncHash}`));
+  
+  // Units generated by installService (one per release channel), installWebServiceFile and installImageMonitoringService
+  const units = [
+    ...Object.keys(RELEASE_CHANNELS).map(channelName => ({
+      serviceName: getChannelServiceName(channelName),
+      label: channelName === 'stable' ? 'Synchronizer service' : `Synchronizer service (${channelName} channel)`,
+      // Regenerate with the channel, image and limits the unit was created with
+      generate: () => {
+        const serviceOptions = readServiceOptions(channelName, config);
+        if (!serviceOptions) {
+          console.log(chalk.yellow(`⚠️  Could not read the options ${getChannelServiceName(channelName)} was generated with - run \`synchronize service --channel ...\` again`));
+          return null;
+        }
+        return installService(serviceOptions);
+      }
+    })),
+    { serviceName: getServiceName('web'), label: 'Web dashboard service', generate: installWebServiceFile },
+    { serviceName: getServiceName('monitor'), label: 'Image monitoring service', generate: installImageMonitoringService }
+  ].filter(unit =>
+    fs.existsSync(path.join(CONFIG_DIR, `${unit.serviceName}.service`)) ||
+    fs.existsSync(`/etc/systemd/system/${unit.serviceName}.service`)
+  );
+  
+  if (units.length === 0) {
+    return;
+  }
+  
+  console.log(chalk.blue('\n⚙️  Systemd units found:'));
+  for (const unit of units) {
+    console.log(chalk.gray(`   ${unit.label}: ${unit.serviceName}`));
+  }
+  
+  let regenerate = options.yes;
+  if (!regenerate) {
+    const answer = await inquirer.prompt([{
+      type: 'confirm',
+      name: 'regenerate',
+      message: 'Regenerate these unit files with the new sync name?',
+      default: true
+    }]);
+    regenerate = answer.regenerate;
+  }
+  
+  if (!regenerate) {
+    console.log(chalk.yellow('⚠️  Existing units still use the old sync name - run `synchronize service` to update them'));
+    return;
+  }
+  
+  for (const unit of units) {
+    console.log(chalk.cyan(`\nRegenerating ${unit.label.toLowerCase()}...`));
+    const result = await unit.generate();
+    // Web and monitor generators return their result instead of printing it
+    if (result && result.serviceFile) {
+      console.log(chalk.green('Systemd service file written to'), result.serviceFile);
     }
+  }
+  
+  const installed = units
+    .map(unit => unit.serviceName)
+    .filter(serviceName => fs.existsSync(`/etc/systemd/system/${serviceName}.service`));
+  
+  if (installed.length === 0) {
+    return;
+  }
+  
+  let reinstall = options.yes;
+  if (!reinstall) {
+    const answer = await inquirer.prompt([{
+      type: 'confirm',
+      name: 'reinstall',
+      message: `Reinstall ${installed.join(', ')} into /etc/systemd/system now? (requires sudo)`,
+      default: true
+    }]);
+    reinstall = answer.reinstall;
+  }
+  
+  if (reinstall) {
+    console.log('');
+    reinstallSystemdUnits(installed);
+  }
+}
 
-  } catch (error) {
-    console.error(chalk.red('❌ Automatic Enterprise API setup failed:'));
-    console.error(chalk.red(error.message));
-    
-    if (error.message.includes('401') || error.message.includes('Unauthorized')) {
-      console.error(chalk.yellow('\n💡 Troubleshooting:'));
-      console.error(chalk.gray('• Check that your Enterprise API Key is correct'));
-      console.error(chalk.gray('• Ensure your account has enterprise privileges'));
-      console.error(chalk.gray('• Contact support if the issue persists'));
-    } else if (error.message.includes('preferences')) {
-      console.error(chalk.yellow('\n💡 Set up your preferences in the enterprise dashboard first'));
-    } else if (error.message.includes('ENOTFOUND') || error.message.includes('network')) {
-      console.error(chalk.yellow('\n💡 Network error. Check your internet connection and try again.'));
-    }
+/**
+ * List all configuration profiles with their sync names and derived resources
+ */
+async function showProfiles() {
+  console.log(chalk.blue('👥 Configuration Profiles'));
+  console.log(chalk.yellow(`Profiles are stored in ${CONFIG_DIR}\n`));
+  
+  const profiles = listProfiles();
+  const selectedProfile = activeProfile;
+  
+  if (profiles.length === 0) {
+    console.log(chalk.gray('No profiles configured yet. Run `synchronize init` first.'));
+    return;
+  }
+  
+  for (const profile of profiles) {
+    setActiveProfile(profile);
+    const config = loadConfig();
+    const marker = profile === selectedProfile ? chalk.green('●') : ' ';
     
-    process.exit(1);
+    console.log(`${marker} ${chalk.bold(profile)}`);
+    console.log(chalk.gray(`    Config:    ${getConfigFile()}`));
+    console.log(chalk.gray(`    Sync Name: ${config.syncHash || 'Not configured'}`));
+    console.log(chalk.gray(`    Container: ${getContainerName()}`));
+    console.log(chalk.gray(`    Service:   ${getServiceName()}`));
   }
+  
+  setActiveProfile(selectedProfile);
 }
 
 program.name('synchronize')
@@ -3885,13 +8474,55 @@ program.name('synchronize')
     synchronize start         # Start synchronizer container
     synchronize nightly       # Run fixed nightly test version
     synchronize dashboard     # Launch web dashboard
-    synchronize check-updates # Check for Docker image updates`)
+    synchronize check-updates # Check for Docker image updates
+
+👥 PROFILES:
+    synchronize --profile <name> init   # Configure an additional synq key
+    synchronize --profile <name> start  # Run it alongside the default profile
+    SYNCHRONIZER_PROFILE=<name>         # Select a profile via environment`)
   .version(packageJson.version)
-  .option('--api <key>', 'Automatic Enterprise API setup using API key and preferences');
+  .option('--api <key>', 'Automatic Enterprise API setup using API key and preferences')
+  .option('--profile <name>', 'Configuration profile to use (defaults to $SYNCHRONIZER_PROFILE or "default")')
+  .option('--runtime <name>', 'Container runtime: docker or podman (defaults to $SYNCHRONIZER_RUNTIME, the config, then detection)');
+
+// Resolve the active profile and container runtime before any command runs
+program.hook('preAction', () => {
+  setActiveProfile(program.opts().profile);
+  setContainerRuntime(program.opts().runtime);
+});
 
-program.command('init').description('Interactive configuration').action(init);
-program.command('start').description('Build and run synchronizer Docker container').action(start);
-program.command('service').description('Generate systemd service file for headless service').action(installService);
+program.command('init')
+  .description('Interactive configuration (use --yes with flags or SYNQ_* variables to skip prompts)')
+  .option('--key <key>', 'Synq key (or SYNQ_KEY)')
+  .option('--wallet <address>', 'Wallet address (or SYNQ_WALLET)')
+  .option('--name <name>', 'Optional sync name (or SYNQ_NAME)')
+  .option('--dashboard-password <password>', 'Web dashboard password (or SYNQ_DASHBOARD_PASSWORD)')
+  .option('-y, --yes', 'Do not prompt; fail if a required value is missing')
+  .option('-f, --force', 'Save a wallet address that fails validation')
+  .action(init);
+addResourceLimitOptions(program.command('start')
+  .description('Build and run synchronizer Docker container')
+  .option('--image <reference>', 'Image to run: repository[:tag] or repository@sha256:<digest>')
+  .option('-d, --detach', 'Run in the background with a Docker restart policy and return the container ID (waits up to rollbackWindow seconds when the image digest is new)')
+  .option('--restart <policy>', 'Restart policy for --detach (no, always, unless-stopped, on-failure[:n])', 'unless-stopped')
+  .option('--supervise', 'Stay in the foreground and restart the container after failures, with exponential backoff')
+  .option('--max-restarts <count>', `Restarts per hour before --supervise gives up (default ${DEFAULT_SUPERVISE_MAX_RESTARTS})`)
+  .option('--channel <channel>', 'Release channel: stable, nightly or custom:<image>', 'stable'))
+  .action(start);
+program.command('stop').description('Stop the running synchronizer container or systemd service').action(stopSynchronizer);
+program.command('restart').description('Restart the running synchronizer container or systemd service').action(restartSynchronizer);
+program.command('logs')
+  .description('Show synchronizer logs from the container or systemd journal')
+  .option('-f, --follow', 'Keep streaming new log lines')
+  .option('--since <time>', 'Only show logs since a timestamp or relative time (e.g. 10m, 2h)')
+  .option('-n, --tail <lines>', 'Number of lines to show when --since is not given', '100')
+  .action(showLogs);
+program.command('attach').description('Attach to the live output of the running synchronizer without stopping it on exit').action(attachSynchronizer);
+addResourceLimitOptions(program.command('service')
+  .description('Generate systemd service file for headless service')
+  .option('--channel <channel>', 'Release channel: stable, nightly or custom:<image>', 'stable')
+  .option('--image <reference>', 'Image to run: repository[:tag] or repository@sha256:<digest>'))
+  .action(installService);
 program.command('service-web').description('Generate systemd service file for web dashboard').action(async () => {
   try {
     const result = await installWebServiceFile();
@@ -3911,17 +8542,75 @@ program.command('service-web').description('Generate systemd service file for we
 program.command('status').description('Show systemd service status and recent logs').action(showStatus);
 program.command('web').description('Start web dashboard and metrics server').action(startWebGUI);
 program.command('install-docker').description('Install Docker automatically (Linux only)').action(installDocker);
-program.command('fix-docker').description('Fix Docker permissions (add user to docker group)').action(fixDockerPermissions);
+program.command('fix-docker').description('Fix Docker permissions (add user to docker group) or show rootless Podman hints').action(fixDockerPermissions);
 program.command('test-platform').description('Test Docker platform compatibility').action(testPlatform);
 program.command('points').description('Show wallet lifetime points and stats').action(showPoints);
 program.command('set-password').description('Set or change the dashboard password').action(setDashboardPassword);
 program.command('validate-key [key]')
   .description('Validate a synq key format and check availability with API')
   .action(validateSynqKey);
-program.command('nightly').description('Start synchronizer with latest nightly test Docker image').action(startNightly);
-program.command('test-nightly').description('Test nightly launch with direct Docker command').action(testNightly);
+addResourceLimitOptions(program.command('nightly')
+  .description('Start synchronizer with latest nightly test Docker image (same as start --channel nightly)')
+  .option('--image <reference>', 'Nightly image to run: repository[:tag] or repository@sha256:<digest>'))
+  .action(startNightly);
+addResourceLimitOptions(program.command('compare')
+  .description('Run stable and nightly side by side with distinct sync names and compare them')
+  .requiredOption('--duration <duration>', 'How long to compare, e.g. 30m, 24h or 2d')
+  .option('--interval <duration>', `Time between samples (default ${DEFAULT_COMPARE_INTERVAL})`)
+  .option('--keep', 'Leave both containers running after the report'))
+  .action(runComparison);
+program.command('test-nightly').description('Alias of nightly (start --channel nightly), kept for existing scripts').action(startNightly);
+const composeCommand = addResourceLimitOptions(program.command('compose')
+  .description('Write a Docker Compose project (docker-compose.yml and .env) for this profile')
+  .option('-o, --output <dir>', 'Project directory (default ~/.synchronizer-cli/compose/<profile>)')
+  .option('--web', 'Add the web dashboard service')
+  .option('--monitor', 'Add the image update monitor service')
+  .option('--channel <channel>', 'Release channel: stable, nightly or custom:<image>', 'stable')
+  .option('--image <reference>', 'Image to run: repository[:tag] or repository@sha256:<digest>'))
+  .action(generateComposeProject);
+composeCommand.command('up')
+  .description('Start the generated Compose project in the background')
+  .option('--dir <dir>', 'Project directory (default ~/.synchronizer-cli/compose/<profile>)')
+  .action(composeUp);
+composeCommand.command('down')
+  .description('Stop and remove the generated Compose project')
+  .option('--dir <dir>', 'Project directory (default ~/.synchronizer-cli/compose/<profile>)')
+  .action(composeDown);
+program.command('k8s')
+  .description('Generate Kubernetes manifests (Namespace, Secret, Deployment) for this profile')
+  .option('-o, --output <file>', 'Write the manifests to a file (mode 0600) instead of stdout')
+  .option('-n, --namespace <name>', 'Namespace (default synchronizer-cli[-<profile>])')
+  .option('--replicas <count>', 'Replicas - must be 1, each synq key runs one synchronizer', '1')
+  .option('--cpu-request <quantity>', `CPU request (default ${K8S_DEFAULT_RESOURCES.cpuRequest})`)
+  .option('--cpu-limit <quantity>', `CPU limit (default ${K8S_DEFAULT_RESOURCES.cpuLimit})`)
+  .option('--memory-request <quantity>', `Memory request (default ${K8S_DEFAULT_RESOURCES.memoryRequest})`)
+  .option('--memory-limit <quantity>', `Memory limit (default ${K8S_DEFAULT_RESOURCES.memoryLimit})`)
+  .option('--image <reference>', 'Image to run: repository[:tag] or repository@sha256:<digest>')
+  .action(generateK8sManifests);
+program.command('events')
+  .description('Show the event log (image confirmations, rollbacks, restarts)')
+  .option('-n, --lines <count>', 'Number of events to show', '20')
+  .option('--type <type>', 'Only show events of this type, e.g. image-rollback')
+  .action(showEvents);
+addResourceLimitOptions(program.command('print-command')
+  .description('Print the exact container command a launch would run')
+  .option('--format <format>', `Output format: ${PRINT_COMMAND_FORMATS.join(', ')}`, 'shell')
+  .option('--channel <channel>', 'Release channel: stable, nightly or custom:<image>')
+  .option('--nightly', 'Describe the nightly container instead of the main one (same as --channel nightly)')
+  .option('--image <reference>', 'Image to run: repository[:tag] or repository@sha256:<digest>')
+  .option('-d, --detach', 'Describe a detached launch (start --detach)')
+  .option('--restart <policy>', 'Restart policy for --detach', 'unless-stopped'))
+  .action(printCommand);
 program.command('check-updates').description('Check for Docker image updates manually').action(checkImageUpdates);
-program.command('monitor').description('Start background monitoring for Docker image updates').action(startImageMonitoring);
+program.command('monitor')
+  .description('Start background monitoring for Docker image updates')
+  .option('--watchdog', 'Also run the liveness watchdog (on by default when watchdogTimeout is configured)')
+  .action(startImageMonitoring);
+program.command('watchdog')
+  .description('Restart the synchronizer when its logs show no proxy connection for too long')
+  .option('--timeout <minutes>', `Minutes without proxy-connected before a restart (default: config watchdogTimeout or ${DEFAULT_WATCHDOG_TIMEOUT})`)
+  .option('--max-restarts <count>', `Restarts per hour before the watchdog gives up (default: config watchdogMaxRestarts or ${DEFAULT_WATCHDOG_MAX_RESTARTS})`)
+  .action(runWatchdog);
 program.command('monitor-service').description('Generate systemd service file for image monitoring').action(async () => {
   try {
     const result = await installImageMonitoringService();
@@ -3930,14 +8619,58 @@ program.command('monitor-service').description('Generate systemd service file fo
     console.log(chalk.blue('\n📋 To install the monitoring service, run:'));
     console.log(chalk.gray(result.instructions));
     console.log(chalk.yellow('\n💡 The monitoring service will check for Docker image updates every 30 minutes'));
-    console.log(chalk.cyan('🔍 View monitoring logs with: journalctl -u synchronizer-cli-monitor -f'));
+    console.log(chalk.cyan(`🔍 View monitoring logs with: journalctl -u ${result.serviceName} -f`));
   } catch (error) {
     console.error(chalk.red('❌ Error generating monitoring service:'), error.message);
     process.exit(1);
   }
 });
-program.command('api').description('Set up synchronizer via Enterprise API').action(setupViaEnterpriseAPI);
-program.command('api-auto').description('Automatic Enterprise API setup using API preferences').action(async () => {
+program.command('profiles').description('List configuration profiles').action(showProfiles);
+program.command('rebind')
+  .description('Re-bind the configuration to this host after a hostname change')
+  .option('-y, --yes', 'Do not prompt; regenerate and reinstall existing systemd units')
+  .option('-f, --force', 'Regenerate the sync name even if the hostname is unchanged')
+  .action(rebindConfig);
+program.command('export [file]')
+  .description('Export the configuration and points history to a portable bundle')
+  .option('-e, --encrypt', 'Encrypt the bundle with a passphrase (or SYNCHRONIZER_BUNDLE_PASSPHRASE)')
+  .option('--no-points', 'Leave the points history out of the bundle')
+  .action(exportConfig);
+program.command('import <file>')
+  .description('Import a bundle created by `synchronize export` on this host')
+  .option('-f, --force', 'Replace an existing configuration')
+  .option('--allow-invalid-wallet', 'Accept a bundle wallet address that fails validation')
+  .option('--keep-sync-name', 'Keep the original sync name instead of regenerating it')
+  .action(importConfig);
+
+const configCommand = program.command('config').description('Inspect, change and validate the configuration');
+configCommand.command('validate').description('Report missing or malformed configuration fields').action(validateConfigCommand);
+configCommand.command('get <field>')
+  .description('Print a single configuration value')
+  .option('--reveal', 'Show secret values unmasked')
+  .action(configGet);
+configCommand.command('set <field> [value]')
+  .description('Change a configuration value (prompts for secrets when value is omitted)')
+  .option('-f, --force', 'Save a wallet address that fails validation')
+  .action(configSet);
+configCommand.command('unset <field>').description('Remove an optional configuration value').action(configUnset);
+configCommand.command('list')
+  .description('Show all configuration values')
+  .option('--reveal', 'Show secret values unmasked')
+  .action(configList);
+configCommand.command('history').description('List earlier saved versions of the configuration').action(configHistory);
+configCommand.command('rollback <n>')
+  .description('Restore version <n> from `config history`')
+  .option('-y, --yes', 'Do not ask for confirmation')
+  .action(configRollback);
+program.command('api')
+  .description('Set up synchronizer via Enterprise API')
+  .option('-f, --force', 'Save a wallet address that fails validation')
+  .action(setupViaEnterpriseAPI);
+program.command('api-auto')
+  .description('Automatic Enterprise API setup using API preferences')
+  .option('-f, --force', 'Save a wallet address that fails validation')
+  .action(async (options) => {
   try {
     const apiKey = await inquirer.prompt([{
       type: 'password',
@@ -3945,7 +8678,7 @@ program.command('api-auto').description('Automatic Enterprise API setup using AP
       message: 'Enter Enterprise API Key:',
       validate: input => input ? true : 'Enterprise API Key is required'
     }]);
-    await setupViaEnterpriseAPIAutomatic(apiKey.apiKey);
+    await setupViaEnterpriseAPIAutomatic(apiKey.apiKey, options);
   } catch (error) {
     console.error(chalk.red('❌ Error setting up Enterprise API:'), error.message);
     process.exit(1);
@@ -3961,10 +8694,14 @@ if (process.argv.includes('--api')) {
   if (apiIndex !== -1 && apiIndex + 1 < process.argv.length) {
     const apiKey = process.argv[apiIndex + 1];
     if (apiKey && !apiKey.startsWith('-')) {
+      // program.parse() is skipped here, so resolve --profile by hand
+      const profileIndex = process.argv.indexOf('--profile');
+      setActiveProfile(profileIndex !== -1 ? process.argv[profileIndex + 1] : undefined);
+      
       // Run automatic Enterprise API setup
       (async () => {
         try {
-          await setupViaEnterpriseAPIAutomatic(apiKey);
+          await setupViaEnterpriseAPIAutomatic(apiKey, { force: process.argv.includes('--force') });
         } catch (error) {
           console.error(chalk.red('❌ Error with automatic Enterprise API setup:'), error.message);
           process.exit(1);
@@ -38,21 +38,8 @@ su - $USERNAME -c "
   npm install -g synchronizer-cli
 "
 
-# Write synchronizer config manually
-CONFIG_DIR="/home/$USERNAME/.synchronizer-cli"
-CONFIG_FILE="\$CONFIG_DIR/config.json"
-mkdir -p \$CONFIG_DIR
-cat > \$CONFIG_FILE <<EOF
-{
-  "key": "$API_KEY",
-  "wallet": "$WALLET",
-  "dashboardPassword": "$DASHBOARD_PASSWORD",
-  "hostname": "$(hostname)",
-  "depin": "wss://api.multisynq.io/depin",
-  "launcher": "cli"
-}
-EOF
-chown -R $USERNAME:$USERNAME \$CONFIG_DIR
+# Configure the synchronizer without prompts (generates secret and syncHash)
+su - $USERNAME -c "SYNQ_KEY='$API_KEY' SYNQ_WALLET='$WALLET' SYNQ_DASHBOARD_PASSWORD='$DASHBOARD_PASSWORD' synchronize init --yes"
 
 # Install systemd services
 su - $USERNAME -c "synchronize service"